@@ -1,4 +1,4 @@
-import { EquipmentParser, HM } from './utils/index.js';
+import { CharacterBuilder, EquipmentParser, HM, RollAuditService } from './utils/index.js';
 /**
  * Hero Mancer Equipment API
  *
@@ -8,6 +8,15 @@ import { EquipmentParser, HM } from './utils/index.js';
  * 3. When form is submitted, either:
  *    - Collect equipment: `await heroMancer.collectEquipmentSelections(event)`
  *    - Or process wealth: `await heroMancer.convertWealthToCurrency(formData)`
+ *
+ * Characters can also be created without the form:
+ * 1. Check a build: `heroMancer.validateBuild(build)`
+ * 2. Create it: `await heroMancer.createCharacter(build, { advancements: 'auto', choices })`
+ *    - advancements is "prompt" (default), "auto" or "defer" to leave them for the owning player
+ *    - Players' ability scores have to follow a roll method they may use, and their builds with equipment or currency go to the GM for approval
+ *
+ * Ability rolls made while creating a character are logged, and posted to chat when roll auditing is enabled:
+ * - Read them from the created actor: `heroMancer.getRollLog(actor)`
  */
 
 /**
@@ -116,5 +125,35 @@ export const API = {
    */
   convertWealthToCurrency: async (formData) => {
     return await EquipmentParser.convertWealthStringToCurrency(formData);
+  },
+
+  /**
+   * Create a character from a build without opening the Hero Mancer form
+   * @param {Object} build - Race, class and background UUIDs, abilities, equipment, biography and owner
+   * @param {Object} [options] - Creation options
+   * @param {string} [options.advancements="prompt"] - "prompt", "auto" or "defer"
+   * @param {Object} [options.choices] - Advancement data keyed by advancement ID and level, used by "auto"
+   * @returns {Promise<Actor|boolean|void>} The created actor, true if the build was sent for approval, or void if it is invalid
+   */
+  createCharacter: async (build, options = {}) => {
+    return await CharacterBuilder.create(build, options);
+  },
+
+  /**
+   * Check a build against the Hero Mancer form rules
+   * @param {Object} build - The character build
+   * @returns {boolean} True if the build can be created
+   */
+  validateBuild: (build) => {
+    return CharacterBuilder.validate(build);
+  },
+
+  /**
+   * Get the ability rolls logged for a created character
+   * @param {Actor} actor - The created actor
+   * @returns {Array<Object>} Logged rolls with method, formula, results, whether they were rerolls and their chat message ID (null when roll auditing was off)
+   */
+  getRollLog: (actor) => {
+    return RollAuditService.getLog(actor);
   }
 };
@@ -0,0 +1,158 @@
+import { ApprovalService, HM, RollAuditService } from '../utils/index.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
+
+export class Approvals extends HandlebarsApplicationMixin(ApplicationV2) {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  static DEFAULT_OPTIONS = {
+    id: 'hero-mancer-approvals',
+    classes: ['hm-app'],
+    tag: 'div',
+    position: {
+      height: 'auto',
+      width: 650
+    },
+    window: {
+      icon: 'fa-solid fa-user-check',
+      resizable: true
+    },
+    actions: {
+      approveBuild: Approvals.approveBuild,
+      rejectBuild: Approvals.rejectBuild
+    }
+  };
+
+  static PARTS = {
+    body: {
+      template: 'modules/hero-mancer/templates/approvals.hbs',
+      id: 'body',
+      classes: ['hm-approvals-popup']
+    }
+  };
+
+  get title() {
+    return `${HM.NAME} | ${game.i18n.localize('hm.approval.title')}`;
+  }
+
+  /* -------------------------------------------- */
+  /*  Protected Methods                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Prepares the list of pending builds
+   * @param {object} _options - Application render options
+   * @returns {object} Context data for template rendering
+   * @protected
+   * @override
+   */
+  _prepareContext(_options) {
+    try {
+      const pending = ApprovalService.getPending().map((entry) => ({
+        id: entry.id,
+        name: entry.name,
+        player: game.users.get(entry.userId)?.name ?? game.i18n.localize('hm.unknown'),
+        submitted: new Date(entry.submitted).toLocaleString(game.i18n.lang),
+        rolls: entry.submission?.rollLog?.length ? RollAuditService.summarize(entry.submission.rollLog) : null,
+        unverified: RollAuditService.verify(entry.submission?.rollLog, game.users.get(entry.userId))
+      }));
+
+      return { pending };
+    } catch (error) {
+      HM.log(1, `Error preparing context: ${error.message}`);
+      return { pending: [] };
+    }
+  }
+
+  /**
+   * Builds the review of each pending build from its submission
+   * @param {object} _context - Prepared context data
+   * @param {object} _options - Application render options
+   * @returns {Promise<void>}
+   * @protected
+   * @override
+   */
+  async _onRender(_context, _options) {
+    const pending = Object.fromEntries(ApprovalService.getPending().map((entry) => [entry.id, entry]));
+
+    for (const review of this.element.querySelectorAll('[data-pending-id] .approval-review')) {
+      try {
+        await ApprovalService.renderReview(review, pending[review.closest('[data-pending-id]').dataset.pendingId]?.submission);
+      } catch (error) {
+        HM.log(1, 'Error rendering build review:', error);
+      }
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Opens the approval window, or brings it to the front if it is already open
+   * @static
+   */
+  static open() {
+    const app = foundry.applications.instances.get(this.DEFAULT_OPTIONS.id) ?? new Approvals();
+    app.render(true);
+  }
+
+  /**
+   * Re-renders the approval window if it is open
+   * @static
+   */
+  static refresh() {
+    foundry.applications.instances.get(this.DEFAULT_OPTIONS.id)?.render();
+  }
+
+  /**
+   * Approves a pending build, creating the character for its player
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element inside a pending entry
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async approveBuild(_event, target) {
+    const pendingId = target.closest('[data-pending-id]')?.dataset.pendingId;
+    if (!pendingId) return;
+
+    target.disabled = true;
+    try {
+      const actor = await ApprovalService.approve(pendingId);
+      if (actor) ui.notifications.info(game.i18n.format('hm.approval.created', { name: actor.name }));
+    } catch (error) {
+      HM.log(1, 'Error approving build:', error);
+      ui.notifications.error('hm.errors.character-creation-failed', { localize: true });
+    } finally {
+      target.disabled = false;
+    }
+  }
+
+  /**
+   * Rejects a pending build with a comment for the player
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element inside a pending entry
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async rejectBuild(_event, target) {
+    const pendingId = target.closest('[data-pending-id]')?.dataset.pendingId;
+    if (!pendingId) return;
+
+    const comment = await DialogV2.prompt({
+      window: { title: 'hm.approval.reject' },
+      content: `<p>${game.i18n.localize('hm.approval.reject-hint')}</p><textarea name="reject-comment" rows="4" aria-label="${game.i18n.localize('hm.approval.comment')}" autofocus></textarea>`,
+      ok: {
+        label: 'hm.approval.reject',
+        callback: (_event, button) => button.form.elements['reject-comment'].value
+      },
+      rejectClose: false,
+      modal: true
+    });
+    if (comment === null || comment === undefined) return;
+
+    await ApprovalService.reject(pendingId, comment.trim());
+  }
+}
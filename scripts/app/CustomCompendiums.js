@@ -22,7 +22,8 @@ export class CustomCompendiums extends HandlebarsApplicationMixin(ApplicationV2)
       classes: () => CustomCompendiums.manageCompendium('class'),
       races: () => CustomCompendiums.manageCompendium('race'),
       backgrounds: () => CustomCompendiums.manageCompendium('background'),
-      items: () => CustomCompendiums.manageCompendium('item')
+      items: () => CustomCompendiums.manageCompendium('item'),
+      spells: () => CustomCompendiums.manageCompendium('spell')
     },
     position: {
       height: 'auto',
@@ -51,7 +52,7 @@ export class CustomCompendiums extends HandlebarsApplicationMixin(ApplicationV2)
 
   static #validPacksCache = new Map();
 
-  static PACKS = { class: [], background: [], race: [], item: [] };
+  static PACKS = { class: [], background: [], race: [], item: [], spell: [] };
 
   get title() {
     return `${HM.NAME} | ${game.i18n.localize('hm.settings.custom-compendiums.menu.name')}`;
@@ -75,6 +76,7 @@ export class CustomCompendiums extends HandlebarsApplicationMixin(ApplicationV2)
     CustomCompendiums.PACKS.background = game.settings.get(HM.ID, 'backgroundPacks');
     CustomCompendiums.PACKS.race = game.settings.get(HM.ID, 'racePacks');
     CustomCompendiums.PACKS.item = game.settings.get(HM.ID, 'itemPacks');
+    CustomCompendiums.PACKS.spell = game.settings.get(HM.ID, 'spellPacks');
     HM.log(1, 'Squeeb', CustomCompendiums.PACKS);
   }
 
@@ -86,7 +88,7 @@ export class CustomCompendiums extends HandlebarsApplicationMixin(ApplicationV2)
    */
   static async manageCompendium(type) {
     try {
-      if (!['class', 'race', 'background', 'item'].includes(type)) {
+      if (!['class', 'race', 'background', 'item', 'spell'].includes(type)) {
         throw new Error(`Invalid compendium type: ${type}`);
       }
 
@@ -116,7 +118,7 @@ export class CustomCompendiums extends HandlebarsApplicationMixin(ApplicationV2)
    * @returns {Promise<boolean>} Whether the settings were successfully saved
    */
   static async formHandler(_event, _form, _formData) {
-    const types = ['class', 'race', 'background', 'item'];
+    const types = ['class', 'race', 'background', 'item', 'spell'];
     const settingsUpdates = [];
     const changedSettings = {};
 
@@ -187,7 +189,7 @@ export class CustomCompendiums extends HandlebarsApplicationMixin(ApplicationV2)
    * @private
    */
   static async #collectValidPacks(type, useCache = true) {
-    if (!type || !['class', 'race', 'background', 'item'].includes(type)) {
+    if (!type || !['class', 'race', 'background', 'item', 'spell'].includes(type)) {
       throw new Error(`Invalid document type: ${type}`);
     }
 
@@ -502,6 +504,8 @@ export class CustomCompendiums extends HandlebarsApplicationMixin(ApplicationV2)
         return 'fa-solid fa-scroll';
       case 'item':
         return 'fa-solid fa-shield-halved';
+      case 'spell':
+        return 'fa-solid fa-wand-sparkles';
       default:
         return 'fa-solid fa-atlas';
     }
@@ -1,4 +1,4 @@
-import { HM, StatRoller, needsReload, needsRerender, rerenderHM } from '../utils/index.js';
+import { HM, RollAuditService, RollPoolManager, StatRoller, needsReload, needsRerender, rerenderHM } from '../utils/index.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -58,14 +58,20 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
       const settingsToFetch = [
         { key: 'allowedMethods', defaultValue: {} },
         { key: 'customRollFormula', defaultValue: '4d6kh3' },
+        { key: 'lockMethodOnRoll', defaultValue: false },
+        { key: 'rollPoolSets', defaultValue: 1 },
+        { key: 'rollRules', defaultValue: { rerollOnes: false, minModifierTotal: null, minHighestScore: null } },
         { key: 'chainedRolls', defaultValue: false },
+        { key: 'abilityRollAudit', defaultValue: 'off' },
         { key: 'rollDelay', defaultValue: 500 },
         { key: 'customStandardArray', defaultValue: '15,14,13,12,10,8' },
         { key: 'statGenerationSwapMode', defaultValue: false },
         { key: 'customPointBuyTotal', defaultValue: 27 },
+        { key: 'pointBuyCosts', defaultValue: StatRoller.formatPointBuyCosts(StatRoller.POINT_BUY_PRESETS.standard.costs) },
         { key: 'abilityScoreDefault', defaultValue: 8 },
         { key: 'abilityScoreMin', defaultValue: 8 },
-        { key: 'abilityScoreMax', defaultValue: 15 }
+        { key: 'abilityScoreMax', defaultValue: 15 },
+        { key: 'abilityLimits', defaultValue: {} }
       ];
 
       const context = {};
@@ -80,6 +86,14 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
         }
       }
 
+      context.pointBuyPresets = Object.keys(StatRoller.POINT_BUY_PRESETS).map((key) => ({ key, label: `hm.settings.point-buy-costs.presets.${key}` }));
+      context.rollPoolMaxSets = RollPoolManager.MAX_SETS;
+      context.methodKeys = Object.keys(StatRoller.METHOD_KEYS);
+      context.playerPermissions = this._preparePlayerPermissions(context.allowedMethods);
+      context.abilityRollAuditModes = RollAuditService.MODES.map((key) => ({ key, label: `hm.settings.ability-roll-audit.${key}` }));
+      context.abilityLimits = this._prepareAbilityLimits(context.abilityLimits);
+      context.abilitiesCount = Object.keys(CONFIG.DND5E.abilities).length;
+
       return context;
     } catch (error) {
       HM.log(1, `Error preparing dice rolling context: ${error.message}`);
@@ -96,21 +110,76 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
   _getDefaultContext() {
     return {
       allowedMethods: {},
+      methodKeys: Object.keys(StatRoller.METHOD_KEYS),
+      playerPermissions: [],
+      lockMethodOnRoll: false,
       customRollFormula: '4d6kh3',
+      rollPoolSets: 1,
+      rollRules: { rerollOnes: false, minModifierTotal: null, minHighestScore: null },
       chainedRolls: false,
+      abilityRollAudit: 'off',
+      abilityRollAuditModes: [],
       rollDelay: 500,
       customStandardArray: '15,14,13,12,10,8',
       statGenerationSwapMode: false,
       customPointBuyTotal: 27,
+      pointBuyCosts: StatRoller.formatPointBuyCosts(StatRoller.POINT_BUY_PRESETS.standard.costs),
+      pointBuyPresets: [],
+      rollPoolMaxSets: RollPoolManager.MAX_SETS,
       abilityScoreDefault: 8,
       abilityScoreMin: 8,
-      abilityScoreMax: 15
+      abilityScoreMax: 15,
+      abilityLimits: [],
+      abilitiesCount: Object.keys(CONFIG.DND5E.abilities).length
     };
   }
 
+  /**
+   * Lists every ability of the system with the limits configured for it
+   * @param {object} abilityLimits - Configured limits keyed by ability
+   * @returns {Array<object>} One entry per ability, unset limits are null
+   * @private
+   */
+  _prepareAbilityLimits(abilityLimits) {
+    const extraKeys = StatRoller.getExtraAbilities();
+
+    return Object.entries(CONFIG.DND5E.abilities).map(([key, ability]) => ({
+      key,
+      label: ability.label,
+      extra: extraKeys.includes(key),
+      min: abilityLimits[key]?.min ?? null,
+      default: abilityLimits[key]?.default ?? null,
+      max: abilityLimits[key]?.max ?? null
+    }));
+  }
+
+  /**
+   * Lists the players with the methods they may use and the method they are locked to
+   * @param {object} allowedMethods - Methods allowed world-wide
+   * @returns {Array<object>} One entry per player
+   * @private
+   */
+  _preparePlayerPermissions(allowedMethods) {
+    const permissions = game.settings.get(HM.ID, 'methodPermissions') ?? {};
+
+    return game.users
+      .filter((user) => !user.isGM)
+      .map((user) => {
+        const custom = permissions[user.id];
+        const locked = user.getFlag(HM.ID, StatRoller.METHOD_LOCK_FLAG);
+        return {
+          id: user.id,
+          name: user.name,
+          custom: !!custom,
+          methods: Object.keys(StatRoller.METHOD_KEYS).map((key) => ({ key, enabled: !!(custom ?? allowedMethods)[key] })),
+          locked: locked ? `hm.app.abilities.methods.${locked === 'manualFormula' ? 'manual' : locked}` : null
+        };
+      });
+  }
+
   /**
    * Actions to perform after the application renders
-   * Sets up event listeners for the roll delay slider
+   * Sets up event listeners for the roll delay slider, the point buy presets and the player permissions
    * @param {object} _context - The rendered context data
    * @param {object} _options - The render options
    * @returns {void}
@@ -120,6 +189,8 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
   _onRender(_context, _options) {
     try {
       this._setupDelaySlider();
+      this._setupPointBuyPresets();
+      this._setupPlayerPermissions();
     } catch (error) {
       HM.log(1, `Error in _onRender: ${error.message}`);
     }
@@ -152,6 +223,45 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
     });
   }
 
+  /**
+   * Fills the cost table, point total and score range from the chosen point buy preset
+   * @returns {void}
+   * @private
+   */
+  _setupPointBuyPresets() {
+    const html = this.element;
+    const select = html?.querySelector('#pointBuyPreset');
+    if (!select) return;
+
+    select.addEventListener('change', (e) => {
+      const preset = StatRoller.POINT_BUY_PRESETS[e.target.value];
+      if (!preset) return;
+
+      html.querySelector('#pointBuyCosts').value = StatRoller.formatPointBuyCosts(preset.costs);
+      html.querySelector('#customPointBuyTotal').value = preset.total;
+      html.querySelector('#abilityScoreMin').value = preset.min;
+      html.querySelector('#abilityScoreMax').value = preset.max;
+      html.querySelector('#abilityScoreDefault').value = preset.default;
+    });
+  }
+
+  /**
+   * Enables the method checkboxes of a player only while the player has own permissions
+   * @returns {void}
+   * @private
+   */
+  _setupPlayerPermissions() {
+    this.element?.querySelectorAll('.player-permission').forEach((row) => {
+      const custom = row.querySelector('.player-permission-custom');
+      const update = () => {
+        row.querySelectorAll('.player-permission-method').forEach((checkbox) => (checkbox.disabled = !custom.checked));
+      };
+
+      custom?.addEventListener('change', update);
+      if (custom) update();
+    });
+  }
+
   /* -------------------------------------------- */
   /*  Static Public Methods                       */
   /* -------------------------------------------- */
@@ -172,6 +282,9 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
       const allowedMethods = DiceRolling._extractAllowedMethods(form);
       if (!DiceRolling._validateAllowedMethods(allowedMethods)) return false;
 
+      const methodPermissions = DiceRolling._extractMethodPermissions(form);
+      if (!DiceRolling._validateMethodPermissions(methodPermissions)) return false;
+
       // Validate and prepare ability score settings
       const abilityScoreSettings = DiceRolling._prepareAbilityScoreSettings(formData);
       if (!DiceRolling._validateAbilityScoreSettings(abilityScoreSettings)) return false;
@@ -189,11 +302,23 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
         }
       }
 
-      // Validate point buy if enabled
-      if (allowedMethods.pointBuy && !DiceRolling._validatePointBuy(formData.object.customPointBuyTotal, abilityScoreSettings.min)) {
+      // Validate point buy cost table and total if enabled
+      const pointBuyCosts = DiceRolling._preparePointBuyCosts(formData, abilityScoreSettings, allowedMethods.pointBuy);
+      if (allowedMethods.pointBuy && (!pointBuyCosts || !DiceRolling._validatePointBuy(formData.object.customPointBuyTotal, abilityScoreSettings.min, pointBuyCosts))) {
         return false;
       }
 
+      // Validate the limits of single abilities against the score range and cost table
+      const abilityLimits = DiceRolling._extractAbilityLimits(form);
+      if (!DiceRolling._validateAbilityLimits(abilityLimits, abilityScoreSettings, allowedMethods.pointBuy ? pointBuyCosts : null)) return false;
+
+      // Validate the rules for rolled sets against the score range and the roll formula
+      const rollRules = DiceRolling._extractRollRules(form);
+      if (!DiceRolling._validateRollRules(rollRules, abilityScoreSettings.max, formData.object.customRollFormula)) return false;
+
+      // Keep the number of rolled sets within the supported range
+      formData.object.rollPoolSets = Math.max(1, Math.min(RollPoolManager.MAX_SETS, parseInt(formData.object.rollPoolSets) || 1));
+
       // Track settings changes
       const changedSettings = {};
 
@@ -204,14 +329,44 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
         changedSettings.allowedMethods = true;
       }
 
+      // Check and save per-player method permissions
+      const currentMethodPermissions = game.settings.get(HM.ID, 'methodPermissions');
+      if (JSON.stringify(currentMethodPermissions) !== JSON.stringify(methodPermissions)) {
+        game.settings.set(HM.ID, 'methodPermissions', methodPermissions);
+        changedSettings.methodPermissions = true;
+      }
+
+      // Check and save per-ability limits
+      const currentAbilityLimits = game.settings.get(HM.ID, 'abilityLimits');
+      if (JSON.stringify(currentAbilityLimits) !== JSON.stringify(abilityLimits)) {
+        game.settings.set(HM.ID, 'abilityLimits', abilityLimits);
+        changedSettings.abilityLimits = true;
+      }
+
+      // Let the players marked for unlocking choose another method
+      for (const checkbox of form.querySelectorAll('.player-permission-unlock:checked')) {
+        await StatRoller.unlockMethod(game.users.get(checkbox.closest('.player-permission')?.dataset.userId));
+      }
+
+      // Check and save rollRules setting
+      const currentRollRules = game.settings.get(HM.ID, 'rollRules');
+      if (JSON.stringify(currentRollRules) !== JSON.stringify(rollRules)) {
+        game.settings.set(HM.ID, 'rollRules', rollRules);
+        changedSettings.rollRules = true;
+      }
+
       // Save all other settings
       const otherSettings = [
+        'lockMethodOnRoll',
         'customRollFormula',
+        'rollPoolSets',
         'chainedRolls',
+        'abilityRollAudit',
         'rollDelay',
         'customStandardArray',
         'statGenerationSwapMode',
         'customPointBuyTotal',
+        'pointBuyCosts',
         'abilityScoreDefault',
         'abilityScoreMin',
         'abilityScoreMax'
@@ -256,7 +411,8 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
     return {
       standardArray: form.elements.standardArray?.checked ?? false,
       manual: form.elements.manual?.checked ?? false,
-      pointBuy: form.elements.pointBuy?.checked ?? false
+      pointBuy: form.elements.pointBuy?.checked ?? false,
+      rollPool: form.elements.rollPool?.checked ?? false
     };
   }
 
@@ -275,6 +431,95 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
     return true;
   }
 
+  /**
+   * Extracts the methods of the players with own permissions from form
+   * Players without own permissions use the allowed methods.
+   * @param {HTMLFormElement} form - The form element
+   * @returns {Object<string, object>} Boolean flags for each method keyed by user ID
+   * @static
+   * @private
+   */
+  static _extractMethodPermissions(form) {
+    const permissions = {};
+
+    form.querySelectorAll('.player-permission').forEach((row) => {
+      if (!row.querySelector('.player-permission-custom')?.checked) return;
+      permissions[row.dataset.userId] = Object.fromEntries(
+        Object.keys(StatRoller.METHOD_KEYS).map((key) => [key, row.querySelector(`.player-permission-method[data-method="${key}"]`)?.checked ?? false])
+      );
+    });
+
+    return permissions;
+  }
+
+  /**
+   * Validates that every player with own permissions has at least one method
+   * @param {Object<string, object>} methodPermissions - Boolean flags for each method keyed by user ID
+   * @returns {boolean} True if validation passes, false otherwise
+   * @static
+   * @private
+   */
+  static _validateMethodPermissions(methodPermissions) {
+    for (const [userId, methods] of Object.entries(methodPermissions)) {
+      if (Object.values(methods).some((value) => value)) continue;
+      ui.notifications.error(game.i18n.format('hm.settings.method-permissions.need-method', { name: game.users.get(userId)?.name ?? userId }));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Extracts the rules for rolled sets from form
+   * Empty numbers turn the rule off.
+   * @param {HTMLFormElement} form - The form element
+   * @returns {{rerollOnes: boolean, minModifierTotal: number|null, minHighestScore: number|null}} The roll rules
+   * @static
+   * @private
+   */
+  static _extractRollRules(form) {
+    const toNumber = (field) => {
+      const value = parseInt(field?.value);
+      return isNaN(value) ? null : value;
+    };
+
+    return {
+      rerollOnes: form.elements.rerollOnes?.checked ?? false,
+      minModifierTotal: toNumber(form.elements.minModifierTotal),
+      minHighestScore: toNumber(form.elements.minHighestScore)
+    };
+  }
+
+  /**
+   * Validates that a set rolled within the score range can meet the roll rules
+   * @param {object} rollRules - The roll rules
+   * @param {number} max - Maximum ability score
+   * @param {string} [formula] - Roll formula, the best roll lowers the maximum if it is below it
+   * @returns {boolean} True if validation passes, false otherwise
+   * @static
+   * @private
+   */
+  static _validateRollRules(rollRules, max, formula) {
+    try {
+      if (formula?.trim()) max = Math.min(max, new Roll(formula).evaluateSync({ maximize: true }).total);
+    } catch (error) {
+      HM.log(2, `Could not find the best roll of "${formula}":`, error);
+    }
+
+    const bestTotal = Object.keys(CONFIG.DND5E.abilities).length * Math.floor((max - 10) / 2);
+
+    if (rollRules.minHighestScore !== null && rollRules.minHighestScore > max) {
+      ui.notifications.error(game.i18n.format('hm.settings.roll-rules.unreachable-highest-score', { min: rollRules.minHighestScore, max }));
+      return false;
+    }
+
+    if (rollRules.minModifierTotal !== null && rollRules.minModifierTotal > bestTotal) {
+      ui.notifications.error(game.i18n.format('hm.settings.roll-rules.unreachable-modifier-total', { min: rollRules.minModifierTotal, max: bestTotal }));
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * Prepares ability score settings with defaults
    * @param {FormDataExtended} formData - The processed form data
@@ -326,6 +571,56 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
     };
   }
 
+  /**
+   * Extracts the limits of single abilities from form
+   * Empty fields use the world-wide value and abilities without any limit are left out.
+   * @param {HTMLFormElement} form - The form element
+   * @returns {Object<string, {min: number|null, default: number|null, max: number|null}>} Limits keyed by ability
+   * @static
+   * @private
+   */
+  static _extractAbilityLimits(form) {
+    const limits = {};
+
+    form.querySelectorAll('.ability-limit').forEach((input) => {
+      const value = parseInt(input.value);
+      if (isNaN(value)) return;
+      limits[input.dataset.ability] ??= { min: null, default: null, max: null };
+      limits[input.dataset.ability][input.dataset.limit] = value;
+    });
+
+    return limits;
+  }
+
+  /**
+   * Validates that every ability's range holds its default and that point buy can price its scores
+   * An ability without its own default starts at the world-wide default moved into its range.
+   * @param {object} abilityLimits - Limits keyed by ability
+   * @param {object} settings - Object containing the world-wide min, max, and default ability score values
+   * @param {Object<number, number>|null} costs - Point buy cost table, or null when point buy is disabled
+   * @returns {boolean} True if validation passes, false otherwise
+   * @static
+   * @private
+   */
+  static _validateAbilityLimits(abilityLimits, settings, costs) {
+    for (const [key, limits] of Object.entries(abilityLimits)) {
+      const ability = CONFIG.DND5E.abilities[key]?.label ?? key;
+      const min = limits.min ?? settings.min;
+      const max = limits.max ?? settings.max;
+
+      if (min > max || (limits.default !== null && (limits.default < min || limits.default > max))) {
+        ui.notifications.error(game.i18n.format('hm.settings.ability-limits.invalid-range', { ability }));
+        return false;
+      }
+
+      if (costs && !(min in costs && max in costs)) {
+        ui.notifications.error(game.i18n.format('hm.settings.ability-limits.unpriced', { ability, min, max }));
+        return false;
+      }
+    }
+    return true;
+  }
+
   /**
    * Validates and fixes standard array if needed
    * @param {string} standardArrayString - Comma-separated string of ability scores
@@ -357,18 +652,47 @@ export class DiceRolling extends HandlebarsApplicationMixin(ApplicationV2) {
     };
   }
 
+  /**
+   * Parses and validates the point buy cost table, normalizing it in the form data
+   * The table has to price every score between the minimum and maximum. When point buy is disabled,
+   * an invalid table is replaced by the saved one instead of being reported.
+   * @param {FormDataExtended} formData - The processed form data
+   * @param {object} settings - Object containing min, max, and default ability score values
+   * @param {boolean} enabled - Whether point buy is an allowed method
+   * @returns {Object<number, number>|null} The cost table, or null if it is invalid
+   * @static
+   * @private
+   */
+  static _preparePointBuyCosts(formData, settings, enabled) {
+    let { costs, error } = StatRoller.parsePointBuyCosts(formData.object.pointBuyCosts);
+    if (!error && !(settings.min in costs && settings.max in costs)) {
+      error = game.i18n.format('hm.settings.point-buy-costs.errors.range', { min: settings.min, max: settings.max });
+    }
+
+    if (error) {
+      if (enabled) ui.notifications.error(game.i18n.format('hm.settings.point-buy-costs.invalid', { error }));
+      else formData.object.pointBuyCosts = game.settings.get(HM.ID, 'pointBuyCosts');
+      return null;
+    }
+
+    formData.object.pointBuyCosts = StatRoller.formatPointBuyCosts(costs);
+    return costs;
+  }
+
   /**
    * Validates point buy total allows viable builds with min/max settings
    * @param {number|string} pointBuyTotal - The point buy total value
    * @param {number} min - Minimum allowed ability score
+   * @param {Object<number, number>} costs - Point cost keyed by ability score
    * @returns {boolean} True if validation passes, false otherwise
    * @static
    * @private
    */
-  static _validatePointBuy(pointBuyTotal, min) {
+  static _validatePointBuy(pointBuyTotal, min, costs) {
     const pointBuyTotalNumber = parseInt(pointBuyTotal);
-    const minPointCost = StatRoller.getPointBuyCostForScore(min);
-    const abilityCount = Object.keys(CONFIG.DND5E.abilities).length;
+    const minPointCost = StatRoller.getPointBuyCostForScore(min, costs);
+    // The total covers the core abilities, extra abilities are funded on top of it
+    const abilityCount = StatRoller.STANDARD_ABILITIES.length;
     const minTotalCost = minPointCost * abilityCount;
 
     if (pointBuyTotalNumber < minTotalCost && pointBuyTotalNumber !== 0) {
@@ -1,4 +1,4 @@
-import { ActorCreationService, CharacterArtPicker, CharacterRandomizer, DOMManager, FormValidation, HM, ProgressBar, SavedOptions, StatRoller } from '../utils/index.js';
+import { AbilityBonusManager, AbilitySuggester, ActorCreationService, ApprovalService, BuildTransfer, CharacterArtPicker, CharacterRandomizer, DOMManager, DraftManager, EncumbrancePreview, EquipmentShop, FormValidation, HM, MulticlassManager, PartyComparison, PresetManager, ProgressBar, RollBreakdown, RollPoolManager, SavedOptions, SpellManager, StatRoller } from '../utils/index.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -23,15 +23,32 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
     actions: {
       rollStat: HeroMancer.rollStat,
       adjustScore: StatRoller.adjustScore,
+      rollPool: RollPoolManager.roll,
+      choosePoolSet: RollPoolManager.chooseSet,
+      suggestAbilities: AbilitySuggester.apply,
+      shopBuy: EquipmentShop.buy,
+      shopSell: EquipmentShop.sell,
       selectCharacterArt: CharacterArtPicker.selectCharacterArt,
       selectTokenArt: CharacterArtPicker.selectTokenArt,
       selectPlayerAvatar: CharacterArtPicker.selectPlayerAvatar,
+      addMulticlass: MulticlassManager.addClassRow,
+      removeMulticlass: MulticlassManager.removeClassRow,
+      saveDraft: DraftManager.saveDraft,
+      loadDraft: DraftManager.loadDraft,
+      duplicateDraft: DraftManager.duplicateDraft,
+      renameDraft: DraftManager.renameDraft,
+      deleteDraft: DraftManager.deleteDraft,
+      exportBuild: BuildTransfer.exportBuild,
+      importBuild: BuildTransfer.importBuild,
+      applyPreset: PresetManager.applyPreset,
+      dismissApproval: ApprovalService.dismissStatus,
       resetOptions: HeroMancer.resetOptions,
       nosubmit: HeroMancer.noSubmit,
       randomizeCharacterName: HeroMancer.randomizeCharacterName,
       randomize: HeroMancer.randomize,
       openCompendiumSettings: (event) => HeroMancer.openMenu(event, 'customCompendiumMenu'),
       openCustomizationSettings: (event) => HeroMancer.openMenu(event, 'customizationMenu'),
+      openPresetsSettings: (event) => HeroMancer.openMenu(event, 'presetsMenu'),
       openDiceRollingSettings: (event) => HeroMancer.openMenu(event, 'diceRollingMenu'),
       openMandatoryFieldsSettings: (event) => HeroMancer.openMenu(event, 'mandatoryFieldsMenu'),
       openTroubleshooterSettings: (event) => HeroMancer.openMenu(event, 'troubleshootingMenu'),
@@ -61,6 +78,12 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
           action: 'openCustomizationSettings',
           dataset: { menu: 'customizationMenu' }
         },
+        {
+          icon: 'fa-solid fa-user-gear',
+          label: 'hm.settings.configure-presets',
+          action: 'openPresetsSettings',
+          dataset: { menu: 'presetsMenu' }
+        },
         {
           icon: 'fa-solid fa-dice',
           label: 'hm.settings.configure-rolling',
@@ -78,6 +101,16 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
           label: 'hm.settings.troubleshooter.generate-report',
           action: 'openTroubleshooterSettings',
           dataset: { menu: 'troubleshootingMenu' }
+        },
+        {
+          icon: 'fa-solid fa-file-export',
+          label: 'hm.app.transfer.export',
+          action: 'exportBuild'
+        },
+        {
+          icon: 'fa-solid fa-file-import',
+          label: 'hm.app.transfer.import',
+          action: 'importBuild'
         }
       ]
     }
@@ -92,6 +125,7 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
     race: { template: 'modules/hero-mancer/templates/tab-race.hbs', classes: ['hm-app-tab-content'] },
     class: { template: 'modules/hero-mancer/templates/tab-class.hbs', classes: ['hm-app-tab-content'] },
     abilities: { template: 'modules/hero-mancer/templates/tab-abilities.hbs', classes: ['hm-app-tab-content'] },
+    spells: { template: 'modules/hero-mancer/templates/tab-spells.hbs', classes: ['hm-app-tab-content'] },
     equipment: { template: 'modules/hero-mancer/templates/tab-equipment.hbs', classes: ['hm-app-tab-content'] },
     biography: { template: 'modules/hero-mancer/templates/tab-biography.hbs', classes: ['hm-app-tab-content'] },
     finalize: { template: 'modules/hero-mancer/templates/tab-finalize.hbs', classes: ['hm-app-tab-content'] },
@@ -109,6 +143,12 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   #isRendering;
 
+  /**
+   * ID of the GM preset the form was started from, whose locked fields are disabled
+   * @type {string|null}
+   */
+  presetId = game.user.getFlag(HM.ID, SavedOptions.FLAG)?.preset ?? null;
+
   get title() {
     return `${HM.NAME} | ${game.user.name}`;
   }
@@ -176,15 +216,18 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
    * @override
    */
   _preparePartContext(partId, context) {
-    let abilitiesCount, diceRollMethod;
+    let diceRollMethod, activePreset;
     try {
       // Set tab data for all parts that have a tab
       if (context.tabs?.[partId]) {
         context.tab = context.tabs[partId];
       }
 
+      // Fields locked by the active preset are rendered disabled
+      context.locked = PresetManager.getLocks(this.presetId);
+
       // Navigation buttons logic
-      const tabOrder = ['start', 'background', 'race', 'class', 'abilities', 'equipment', 'biography', 'finalize'].filter((tab) => !(HM.COMPAT?.ELKAN && tab === 'equipment'));
+      const tabOrder = HeroMancer.#getTabOrder();
       const currentTabIndex = tabOrder.indexOf(this.tabGroups['hero-mancer-tabs']);
 
       switch (partId) {
@@ -193,22 +236,43 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
           context.tokenCustomizationEnabled = game.settings.get(HM.ID, 'enableTokenCustomization');
           context.token = this.#getTokenConfig();
           context.isGM = game.user.isGM;
+          context.approval = ApprovalService.getStatus();
+          context.presets = PresetManager.getPresets();
+          activePreset = PresetManager.getPreset(this.presetId);
+          context.activePreset = activePreset && {
+            id: activePreset.id,
+            description: activePreset.description,
+            lockedLabels: (activePreset.locks ?? []).map((field) => PresetManager.getFieldLabel(field)).join(', ')
+          };
+          break;
+        case 'class':
+          context.maxLevel = CONFIG.DND5E.maxLevel || 20;
           break;
         case 'abilities':
-          abilitiesCount = Object.keys(CONFIG.DND5E.abilities).length;
           diceRollMethod = StatRoller.getDiceRollingMethod();
-          HeroMancer.selectedAbilities = Array(abilitiesCount).fill(HM.ABILITY_SCORES.DEFAULT);
+          HeroMancer.selectedAbilities = StatRoller.getDefaultScores();
+          RollBreakdown.manual = {};
           context.abilities = StatRoller.buildAbilitiesContext();
           context.rollStat = this.rollStat;
           context.rollMethods = StatRoller.rollMethods;
           context.diceRollMethod = diceRollMethod;
-          context.allowedMethods = game.settings.get(HM.ID, 'allowedMethods');
+          context.allowedMethods = StatRoller.getAllowedMethods();
+          context.methodLocked = !!StatRoller.getLockedMethod();
           context.standardArray = StatRoller.getStandardArrayValues(diceRollMethod);
           context.selectedAbilities = HeroMancer.selectedAbilities;
           context.totalPoints = StatRoller.getTotalPoints();
           context.pointsSpent = StatRoller.calculateTotalPointsSpent(HeroMancer.selectedAbilities);
           context.remainingPoints = context.totalPoints - context.pointsSpent;
+          context.pointBuyCosts = Array.from({ length: HM.ABILITY_SCORES.MAX - HM.ABILITY_SCORES.MIN + 1 }, (_, i) => {
+            const score = HM.ABILITY_SCORES.MIN + i;
+            return { score, cost: StatRoller.getPointBuyCostForScore(score) };
+          });
           context.chainedRolls = game.settings.get(HM.ID, 'chainedRolls');
+          context.rollPool = RollPoolManager.getContext();
+          context.rollRules = StatRoller.describeRollRules();
+          context.party = game.settings.get(HM.ID, 'enablePartyComparison') ? PartyComparison.getContext() : null;
+          context.bonusSources = AbilityBonusManager.SOURCES;
+          context.bonusValues = Array.from({ length: AbilityBonusManager.MAX_BONUS + 1 }, (_, value) => value);
           break;
         case 'biography':
           context.alignments =
@@ -259,6 +323,10 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
         race: { icon: 'fa-solid fa-feather-alt' },
         class: { icon: 'fa-solid fa-chess-rook' },
         abilities: { icon: 'fa-solid fa-fist-raised' },
+        spells: {
+          icon: 'fa-solid fa-wand-sparkles',
+          hiddenIf: () => !SpellManager.isAvailable
+        },
         equipment: {
           icon: 'fa-solid fa-shield-halved',
           skipIf: () => HM.COMPAT?.ELKAN
@@ -283,7 +351,8 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
           label: game.i18n.localize(`hm.app.tab-names.${partId}`),
           group: tabGroup,
           cssClass: this.tabGroups[tabGroup] === partId ? 'active' : '',
-          icon: config.icon
+          icon: config.icon,
+          hidden: config.hiddenIf?.() ?? false
         };
 
         return tabs;
@@ -322,6 +391,8 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
       });
     }
 
+    DraftManager.renderList(this.element);
+
     // Restore any saved options
     await DOMManager.restoreFormOptions(this.element);
     DOMManager.updateTabIndicators(this.element);
@@ -336,6 +407,7 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
       }
       DOMManager.updateAbilitiesSummary();
       DOMManager.updateEquipmentSummary();
+      SpellManager.refresh(this.element);
     });
   }
 
@@ -474,6 +546,9 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
 
     // Update tab indicators
     DOMManager.updateTabIndicators(this.element);
+
+    // Strength may have changed since the equipment was chosen
+    if (tabName === 'equipment') EncumbrancePreview.update(this.element);
   }
 
   /* -------------------------------------------- */
@@ -588,6 +663,9 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
         if (app) {
           await app.render(true);
 
+          // Start over from the active preset rather than a blank form
+          await PresetManager.restore(app);
+
           // Reinitialize all event handlers after render
           requestAnimationFrame(async () => {
             await DOMManager.initialize(app.element);
@@ -768,10 +846,7 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
 
     const tabGroup = 'hero-mancer-tabs';
     const currentTab = app.tabGroups[tabGroup];
-    const tabOrder = ['start', 'background', 'race', 'class', 'abilities', 'equipment', 'biography', 'finalize'];
-
-    // Skip equipment if ELKAN compatibility is enabled
-    const filteredTabs = HM.COMPAT?.ELKAN ? tabOrder.filter((tab) => tab !== 'equipment') : tabOrder;
+    const filteredTabs = HeroMancer.#getTabOrder();
 
     const currentIndex = filteredTabs.indexOf(currentTab);
     if (currentIndex > 0) {
@@ -793,10 +868,7 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
 
     const tabGroup = 'hero-mancer-tabs';
     const currentTab = app.tabGroups[tabGroup];
-    const tabOrder = ['start', 'background', 'race', 'class', 'abilities', 'equipment', 'biography', 'finalize'];
-
-    // Skip equipment if ELKAN compatibility is enabled
-    const filteredTabs = HM.COMPAT?.ELKAN ? tabOrder.filter((tab) => tab !== 'equipment') : tabOrder;
+    const filteredTabs = HeroMancer.#getTabOrder();
 
     const currentIndex = filteredTabs.indexOf(currentTab);
     if (currentIndex < filteredTabs.length - 1) {
@@ -816,11 +888,15 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
    * @static
    */
   static async formHandler(event, _form, formData) {
+    // Locked preset fields are disabled, so fill their values back in from the preset
+    const presetId = HM.heroMancer?.presetId ?? null;
+    PresetManager.applyLockedValues(formData.object, presetId);
+
     // Handle "Save for Later" action
     if (event.submitter?.dataset.action === 'saveOptions') {
       try {
         await HeroMancer.noSubmit(event);
-        await SavedOptions.saveOptions(formData.object);
+        await SavedOptions.saveOptions({ ...formData.object, preset: presetId });
         ui.notifications.info('hm.app.optionsSaved', { localize: true });
       } catch (error) {
         HM.log(1, 'Error saving options:', error);
@@ -839,4 +915,20 @@ export class HeroMancer extends HandlebarsApplicationMixin(ApplicationV2) {
       return null;
     }
   }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Gets the order of the tabs that are currently shown
+   * Equipment is skipped with ELKAN compatibility and Spells when nothing grants spellcasting
+   * @returns {string[]} Tab IDs in navigation order
+   * @private
+   * @static
+   */
+  static #getTabOrder() {
+    const tabOrder = ['start', 'background', 'race', 'class', 'abilities', 'spells', 'equipment', 'biography', 'finalize'];
+    return tabOrder.filter((tab) => !(HM.COMPAT?.ELKAN && tab === 'equipment') && !(tab === 'spells' && !SpellManager.isAvailable));
+  }
 }
@@ -0,0 +1,529 @@
+import { DocumentService, HM, LevelUpService } from '../utils/index.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class LevelUp extends HandlebarsApplicationMixin(ApplicationV2) {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    tag: 'form',
+    form: {
+      handler: LevelUp.formHandler,
+      closeOnSubmit: false,
+      submitOnChange: false
+    },
+    actions: {
+      rollHitPoints: LevelUp.rollHitPoints,
+      previousTab: LevelUp.navigatePreviousTab,
+      nextTab: LevelUp.navigateNextTab
+    },
+    classes: ['hm-app', 'hm-level-up'],
+    position: {
+      height: 'auto',
+      width: 'auto',
+      top: '100'
+    },
+    window: {
+      icon: 'fa-solid fa-arrow-up',
+      resizable: false,
+      minimizable: true
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    tabs: { template: 'modules/hero-mancer/templates/app-nav.hbs', classes: ['hm-app-nav'] },
+    class: { template: 'modules/hero-mancer/templates/level-up/tab-class.hbs', classes: ['hm-app-tab-content'] },
+    'hit-points': { template: 'modules/hero-mancer/templates/level-up/tab-hit-points.hbs', classes: ['hm-app-tab-content'] },
+    improvement: { template: 'modules/hero-mancer/templates/level-up/tab-improvement.hbs', classes: ['hm-app-tab-content'] },
+    spells: { template: 'modules/hero-mancer/templates/level-up/tab-spells.hbs', classes: ['hm-app-tab-content'] },
+    finalize: { template: 'modules/hero-mancer/templates/level-up/tab-finalize.hbs', classes: ['hm-app-tab-content'] },
+    footer: { template: 'modules/hero-mancer/templates/level-up/footer.hbs', classes: ['hm-app-footer'] }
+  };
+
+  /**
+   * Tab group shared with the main window, so the navigation styles apply
+   * @type {string}
+   * @static
+   */
+  static TAB_GROUP = 'hero-mancer-tabs';
+
+  /**
+   * Tab icons in navigation order
+   * @type {Object<string, string>}
+   * @static
+   */
+  static TAB_ICONS = {
+    class: 'fa-solid fa-chess-rook',
+    'hit-points': 'fa-solid fa-heart',
+    improvement: 'fa-solid fa-fist-raised',
+    spells: 'fa-solid fa-wand-sparkles',
+    finalize: 'fa-solid fa-flag-checkered'
+  };
+
+  /**
+   * Actor flag holding hit die rolls keyed by class ID and level, so closing the window or switching classes does not give a reroll
+   * @type {string}
+   * @static
+   */
+  static HIT_POINT_FLAG = 'hitPointRolls';
+
+  /* -------------------------------------------- */
+  /*  Instance Properties                         */
+  /* -------------------------------------------- */
+
+  /**
+   * The actor being levelled up
+   * @type {Actor}
+   */
+  actor;
+
+  /**
+   * ID of the class item chosen for the new level
+   * @type {string}
+   */
+  classId;
+
+  /**
+   * IDs of the tabs shown for the chosen class, in navigation order
+   * @private
+   * @type {string[]}
+   */
+  #tabOrder = [];
+
+  /**
+   * @param {Actor} actor - The actor to level up
+   * @param {object} [options={}] - Application options
+   */
+  constructor(actor, options = {}) {
+    super({ id: `${HM.ID}-level-up-${actor.id}`, ...options });
+    this.actor = actor;
+    this.classId = actor.items.get(actor.system.details?.originalClass)?.id ?? actor.itemTypes.class[0]?.id;
+  }
+
+  get title() {
+    return `${HM.NAME} | ${game.i18n.format('hm.level-up.title', { name: this.actor.name })}`;
+  }
+
+  /**
+   * The class item chosen for the new level
+   * @type {Item|undefined}
+   */
+  get classItem() {
+    return this.actor.items.get(this.classId);
+  }
+
+  /**
+   * Result of the hit die roll for the chosen class and its new level, null until rolled
+   * @type {number|null}
+   */
+  get hitPointRoll() {
+    const classItem = this.classItem;
+    if (!classItem) return null;
+    return this.actor.getFlag(HM.ID, `${LevelUp.HIT_POINT_FLAG}.${classItem.id}-${classItem.system.levels + 1}`) ?? null;
+  }
+
+  /* -------------------------------------------- */
+  /*  Protected Methods                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Prepares the data shared by all tabs: the chosen class, its new level and which tabs apply
+   * @param {object} _options - Application render options
+   * @returns {Promise<object>} Context for rendering
+   * @protected
+   * @override
+   */
+  async _prepareContext(_options) {
+    try {
+      const classItem = this.classItem;
+      const level = classItem.system.levels + 1;
+      const improvement = LevelUpService.getImprovement(classItem, level);
+      const spellPicks = await LevelUpService.getSpellPicks(this.actor, classItem);
+
+      this.#tabOrder = Object.keys(LevelUp.TAB_ICONS).filter((tab) => !(tab === 'improvement' && !improvement) && !(tab === 'spells' && !spellPicks));
+      if (!this.#tabOrder.includes(this.tabGroups[LevelUp.TAB_GROUP])) this.tabGroups[LevelUp.TAB_GROUP] = 'class';
+
+      return {
+        actor: this.actor,
+        classItem,
+        level,
+        characterLevel: (this.actor.system.details?.level ?? 0) + 1,
+        improvement,
+        spellPicks,
+        choices: this.#readChoices(),
+        tabs: this._getTabs()
+      };
+    } catch (error) {
+      HM.log(1, 'Error preparing level up context:', error);
+      return { actor: this.actor, tabs: {}, choices: {} };
+    }
+  }
+
+  /**
+   * Prepares context data for a specific tab
+   * @param {string} partId - ID of the template part being rendered
+   * @param {object} context - Shared context from _prepareContext
+   * @returns {Promise<object>} Modified context for the specific part
+   * @protected
+   * @override
+   */
+  async _preparePartContext(partId, context) {
+    try {
+      if (context.tabs?.[partId]) context.tab = context.tabs[partId];
+      const currentTabIndex = this.#tabOrder.indexOf(this.tabGroups[LevelUp.TAB_GROUP]);
+
+      switch (partId) {
+        case 'class':
+          context.classes = LevelUpService.getClassLevels(this.actor).map((entry) => ({ ...entry, selected: entry.id === this.classId }));
+          break;
+        case 'hit-points':
+          context.hitPoints = LevelUpService.getHitPointOptions(this.actor, context.classItem);
+          context.hitPointRoll = this.hitPointRoll;
+          break;
+        case 'improvement':
+          if (!context.improvement) break;
+          context.asi = this.#getImprovementContext(context.improvement);
+          context.feats = context.asi.allowFeat ? await DocumentService.getFeatIndex() : [];
+          break;
+        case 'finalize':
+          context.review = await this.#getReview(context);
+          break;
+        case 'footer':
+          context.isFirstTab = currentTabIndex === 0;
+          context.isLastTab = currentTabIndex === this.#tabOrder.length - 1;
+          context.previousTabName = currentTabIndex > 0 ? game.i18n.localize(`hm.level-up.tab-names.${this.#tabOrder[currentTabIndex - 1]}`) : '';
+          context.nextTabName = currentTabIndex < this.#tabOrder.length - 1 ? game.i18n.localize(`hm.level-up.tab-names.${this.#tabOrder[currentTabIndex + 1]}`) : '';
+          break;
+      }
+      return context;
+    } catch (error) {
+      HM.log(1, `Error preparing context for part ${partId}:`, error);
+      return context;
+    }
+  }
+
+  /**
+   * Generates tab navigation data, hiding the tabs that do not apply to the chosen class
+   * @returns {Record<string, Partial<ApplicationTab>>} Tab data keyed by tab ID
+   * @protected
+   */
+  _getTabs() {
+    const group = LevelUp.TAB_GROUP;
+    return Object.keys(LevelUp.TAB_ICONS).reduce((tabs, tabId) => {
+      tabs[tabId] = {
+        id: tabId,
+        label: game.i18n.localize(`hm.level-up.tab-names.${tabId}`),
+        group,
+        cssClass: this.tabGroups[group] === tabId ? 'active' : '',
+        icon: LevelUp.TAB_ICONS[tabId],
+        hidden: !this.#tabOrder.includes(tabId)
+      };
+      return tabs;
+    }, {});
+  }
+
+  /**
+   * Keeps the spell limits and the review in step with the form
+   * Picking another class changes every later tab, so those are rendered again
+   * @param {object} formConfig - Form configuration
+   * @param {Event} event - Change event
+   * @protected
+   * @override
+   */
+  _onChangeForm(formConfig, event) {
+    super._onChangeForm(formConfig, event);
+
+    if (event.target.name === 'class') {
+      this.classId = event.target.value;
+      this.render({ parts: ['tabs', 'hit-points', 'improvement', 'spells', 'finalize', 'footer'] });
+      return;
+    }
+
+    if (event.target.matches('.spell-checkbox')) this.#updateSpellLimits();
+    this.render({ parts: ['finalize'] });
+  }
+
+  /**
+   * Applies the spell limits after the spell list is rendered
+   * @param {ApplicationRenderContext} _context - Prepared context data
+   * @param {RenderOptions} _options - Provided render options
+   * @protected
+   * @override
+   */
+  _onRender(_context, _options) {
+    this.#updateSpellLimits();
+  }
+
+  /**
+   * Re-renders the footer so its navigation buttons match the active tab
+   * @param {string} tabName - The name of the tab to activate
+   * @param {string} groupName - The name of the tab group to activate
+   * @param {object} options - Additional options
+   * @override
+   */
+  changeTab(tabName, groupName, options = {}) {
+    super.changeTab(tabName, groupName, options);
+    this.render({ parts: ['footer'] });
+  }
+
+  /* -------------------------------------------- */
+  /*  Private Instance Methods                    */
+  /* -------------------------------------------- */
+
+  /**
+   * Reads the choices currently made in the form
+   * @returns {{classId: string, hitPoints: string|number|null, improvement: object|null, spells: string[]}} Level up choices
+   * @private
+   */
+  #readChoices() {
+    const choices = { classId: this.classId, hitPoints: this.hitPointRoll ?? 'avg', improvement: null, spells: [] };
+    if (!this.element) return choices;
+
+    const FormDataExtendedClass = foundry.applications.ux?.FormDataExtended ?? FormDataExtended;
+    const data = foundry.utils.expandObject(new FormDataExtendedClass(this.element).object);
+
+    if (data['hit-points'] === 'roll' && this.hitPointRoll === null) choices.hitPoints = null;
+    if (data['improvement-type'] === 'feat') choices.improvement = { type: 'feat', uuid: data.feat || '' };
+    else if (data['improvement-type'] === 'asi') choices.improvement = { type: 'asi', assignments: data.asi ?? {} };
+
+    choices.spells = Array.from(this.element.querySelectorAll('.spell-checkbox:checked')).map((checkbox) => checkbox.value);
+    return choices;
+  }
+
+  /**
+   * Builds the ability rows of the Improvement tab
+   * @param {object} improvement - The ability score improvement advancement
+   * @returns {{points: number, cap: number, allowFeat: boolean, abilities: Array<object>}} Improvement context
+   * @private
+   */
+  #getImprovementContext(improvement) {
+    const config = improvement.configuration ?? {};
+    const locked = config.locked ?? new Set();
+    return {
+      points: config.points ?? 2,
+      cap: config.cap ?? 2,
+      allowFeat: config.allowFeat ?? true,
+      abilities: Object.entries(CONFIG.DND5E.abilities).map(([key, ability]) => {
+        const current = this.actor.system.abilities[key];
+        const max = current?.max ?? 20;
+        return {
+          key,
+          label: ability.label,
+          value: current?.value ?? 10,
+          max,
+          disabled: (locked.has?.(key) ?? false) || (current?.value ?? 10) >= max
+        };
+      })
+    };
+  }
+
+  /**
+   * Checks that the ability score points are all spent, as far as the abilities can take them, and that no ability goes past the cap
+   * @param {object} improvement - The ability score improvement advancement
+   * @param {Object<string, number>} assignments - Points assigned keyed by ability
+   * @returns {boolean} True if the assignments can be applied
+   * @private
+   */
+  #validateImprovement(improvement, assignments) {
+    const { points, cap, abilities } = this.#getImprovementContext(improvement);
+
+    for (const ability of abilities) {
+      const amount = parseInt(assignments[ability.key]) || 0;
+      if (amount < 0 || amount > cap || (amount && ability.disabled) || ability.value + amount > ability.max) {
+        ui.notifications.warn(game.i18n.format('hm.level-up.errors.asi-cap', { ability: ability.label, cap }));
+        return false;
+      }
+    }
+
+    // With most abilities at their maximum, fewer points may be left to spend
+    const available = abilities.filter((ability) => !ability.disabled).reduce((sum, ability) => sum + Math.min(cap, ability.max - ability.value), 0);
+    const required = Math.min(points, available);
+    const spent = Object.values(assignments).reduce((sum, amount) => sum + (parseInt(amount) || 0), 0);
+    if (spent !== required || spent < 1) {
+      ui.notifications.warn(game.i18n.format('hm.level-up.errors.asi-points', { points: required }));
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Summarises the choices for the Finalize tab
+   * @param {object} context - Shared context
+   * @returns {Promise<Array<{label: string, value: string}>>} Review rows
+   * @private
+   */
+  async #getReview(context) {
+    const { choices, classItem, level } = context;
+    const hitPoints = LevelUpService.getHitPointOptions(this.actor, classItem);
+    const rows = [
+      { label: game.i18n.localize('TYPES.Item.class'), value: game.i18n.format('hm.level-up.review.class', { class: classItem.name, level }) },
+      { label: game.i18n.localize('DND5E.Level'), value: String(context.characterLevel) }
+    ];
+
+    const rolled = choices.hitPoints === 'avg' ? hitPoints.average : choices.hitPoints;
+    rows.push({
+      label: game.i18n.localize('DND5E.HitPoints'),
+      value: rolled === null ? game.i18n.localize('hm.level-up.review.not-rolled') : `+${Math.max(rolled + hitPoints.conMod, 1)}`
+    });
+
+    if (context.improvement) {
+      let value = game.i18n.localize('hm.level-up.review.none');
+      if (choices.improvement?.type === 'feat' && choices.improvement.uuid) {
+        value = fromUuidSync(choices.improvement.uuid)?.name ?? choices.improvement.uuid;
+      } else if (choices.improvement?.type === 'asi') {
+        const increases = Object.entries(choices.improvement.assignments)
+          .filter(([, amount]) => parseInt(amount) > 0)
+          .map(([key, amount]) => `${CONFIG.DND5E.abilities[key]?.abbreviation?.toUpperCase() ?? key.toUpperCase()} +${amount}`);
+        if (increases.length) value = increases.join(', ');
+      }
+      rows.push({ label: game.i18n.localize('hm.level-up.tab-names.improvement'), value });
+    }
+
+    if (context.spellPicks) {
+      const names = choices.spells.map((uuid) => fromUuidSync(uuid)?.name ?? uuid);
+      rows.push({ label: game.i18n.localize('hm.level-up.tab-names.spells'), value: names.length ? names.join(', ') : game.i18n.localize('hm.level-up.review.none') });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Updates the spell counters and locks further picks once a limit is reached
+   * @private
+   */
+  #updateSpellLimits() {
+    const tab = this.element?.querySelector('.tab[data-tab="spells"]');
+    if (!tab) return;
+
+    const checkboxes = Array.from(tab.querySelectorAll('.spell-checkbox'));
+    const isCantrip = (checkbox) => checkbox.dataset.level === '0';
+    const cantripsChosen = checkboxes.filter((checkbox) => checkbox.checked && isCantrip(checkbox)).length;
+    const spellsChosen = checkboxes.filter((checkbox) => checkbox.checked && !isCantrip(checkbox)).length;
+    const cantripLimit = parseInt(tab.dataset.cantrips) || 0;
+    const spellLimit = parseInt(tab.dataset.spells) || 0;
+
+    const cantripCount = tab.querySelector('.spell-count-cantrips');
+    if (cantripCount) cantripCount.textContent = game.i18n.format('hm.level-up.spells.cantrips-count', { chosen: cantripsChosen, max: cantripLimit });
+    const spellCount = tab.querySelector('.spell-count-spells');
+    if (spellCount) spellCount.textContent = game.i18n.format('hm.level-up.spells.spells-count', { chosen: spellsChosen, max: spellLimit });
+
+    for (const checkbox of checkboxes) {
+      const full = isCantrip(checkbox) ? cantripsChosen >= cantripLimit : spellsChosen >= spellLimit;
+      checkbox.disabled = !checkbox.checked && full;
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Opens the Level Up window for an actor, or brings it to the front if it is already open
+   * @param {Actor} actor - The actor to level up
+   * @returns {LevelUp|null} The application, or null if the actor cannot be levelled up
+   * @static
+   */
+  static open(actor) {
+    if (!LevelUpService.canLevelUp(actor)) {
+      ui.notifications.warn('hm.level-up.errors.unavailable', { localize: true });
+      return null;
+    }
+
+    const app = foundry.applications.instances.get(`${HM.ID}-level-up-${actor.id}`) ?? new LevelUp(actor);
+    app.render(true);
+    return app;
+  }
+
+  /**
+   * Rolls the hit die of the chosen class to chat
+   * The roll is kept on the actor until the level is gained, so it cannot be rerolled by switching classes or reopening the window
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} _target - The button element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async rollHitPoints(_event, _target) {
+    if (this.hitPointRoll !== null) return;
+
+    try {
+      const classItem = this.classItem;
+      const { die } = LevelUpService.getHitPointOptions(this.actor, classItem);
+      const roll = await new Roll(`1${die}`).evaluate();
+      await roll.toMessage({
+        speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+        flavor: game.i18n.format('hm.level-up.hit-points.roll-flavor', { class: classItem.name, level: classItem.system.levels + 1 })
+      });
+
+      await this.actor.setFlag(HM.ID, `${LevelUp.HIT_POINT_FLAG}.${classItem.id}-${classItem.system.levels + 1}`, roll.total);
+      this.render({ parts: ['hit-points', 'finalize'] });
+    } catch (error) {
+      HM.log(1, 'Error rolling hit points:', error);
+      ui.notifications.error('hm.level-up.errors.hit-points-failed', { localize: true });
+    }
+  }
+
+  /**
+   * Navigate to the previous shown tab
+   * @param {Event} event - The triggering event
+   * @static
+   */
+  static navigatePreviousTab(event) {
+    event.preventDefault();
+    const currentIndex = this.#tabOrder.indexOf(this.tabGroups[LevelUp.TAB_GROUP]);
+    if (currentIndex > 0) this.changeTab(this.#tabOrder[currentIndex - 1], LevelUp.TAB_GROUP);
+  }
+
+  /**
+   * Navigate to the next shown tab
+   * @param {Event} event - The triggering event
+   * @static
+   */
+  static navigateNextTab(event) {
+    event.preventDefault();
+    const currentIndex = this.#tabOrder.indexOf(this.tabGroups[LevelUp.TAB_GROUP]);
+    if (currentIndex < this.#tabOrder.length - 1) this.changeTab(this.#tabOrder[currentIndex + 1], LevelUp.TAB_GROUP);
+  }
+
+  /**
+   * Validates the choices, closes the window and levels up the actor
+   * @param {Event} _event - The form submission event
+   * @param {HTMLFormElement} _form - The form element
+   * @param {FormDataExtended} _formData - The processed form data
+   * @returns {Promise<boolean>} Whether the level up was completed
+   * @static
+   */
+  static async formHandler(_event, _form, _formData) {
+    const choices = this.#readChoices();
+    const classItem = this.classItem;
+    const improvement = LevelUpService.getImprovement(classItem, classItem.system.levels + 1);
+
+    if (choices.hitPoints === null) {
+      ui.notifications.warn('hm.level-up.errors.no-roll', { localize: true });
+      return false;
+    }
+
+    if (improvement) {
+      if (choices.improvement?.type === 'feat' && !choices.improvement.uuid) {
+        ui.notifications.warn('hm.level-up.errors.no-feat-selected', { localize: true });
+        return false;
+      }
+      if (choices.improvement?.type !== 'feat' && !this.#validateImprovement(improvement, choices.improvement?.assignments ?? {})) return false;
+    }
+
+    await this.close();
+    try {
+      const completed = await LevelUpService.levelUp(this.actor, choices);
+      if (completed) await this.actor.unsetFlag(HM.ID, LevelUp.HIT_POINT_FLAG);
+      return completed;
+    } catch (error) {
+      HM.log(1, 'Level up failed:', error);
+      ui.notifications.error('hm.level-up.errors.failed', { localize: true });
+      return false;
+    }
+  }
+}
@@ -0,0 +1,286 @@
+import { BuildTransfer, HM, needsRerender, PresetManager, rerenderHM } from '../utils/index.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
+
+export class Presets extends HandlebarsApplicationMixin(ApplicationV2) {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  static DEFAULT_OPTIONS = {
+    id: 'hero-mancer-settings-presets',
+    classes: ['hm-app'],
+    tag: 'form',
+    form: {
+      handler: Presets.formHandler,
+      closeOnSubmit: true,
+      submitOnChange: false
+    },
+    position: {
+      height: 'auto',
+      width: '600'
+    },
+    window: {
+      icon: 'fa-solid fa-user-gear',
+      resizable: false
+    },
+    actions: {
+      capturePreset: Presets.capturePreset,
+      importPreset: Presets.importPreset,
+      deletePreset: Presets.deletePreset
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/hero-mancer/templates/settings/presets.hbs',
+      id: 'body',
+      classes: ['hm-presets-popup']
+    },
+    footer: {
+      template: 'modules/hero-mancer/templates/settings/settings-footer.hbs',
+      id: 'footer',
+      classes: ['hm-compendiums-footer']
+    }
+  };
+
+  /* -------------------------------------------- */
+  /*  Instance Properties                         */
+  /* -------------------------------------------- */
+
+  /**
+   * Working copy of the preset library, saved on submit
+   * @type {Object<string, object>|null}
+   * @private
+   */
+  #presets = null;
+
+  get title() {
+    return `${HM.NAME} | ${game.i18n.localize('hm.settings.presets.menu.name')}`;
+  }
+
+  /* -------------------------------------------- */
+  /*  Protected Methods                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Prepares context data for the preset library
+   * @param {object} _options - Application render options
+   * @returns {object} Context data for template rendering
+   * @protected
+   * @override
+   */
+  _prepareContext(_options) {
+    try {
+      this.#presets ??= foundry.utils.deepClone(game.settings.get(HM.ID, 'presets') || {});
+
+      const presets = Object.values(this.#presets).map((preset) => ({
+        id: preset.id,
+        name: preset.name,
+        description: preset.description,
+        summary: Presets.#summarize(preset.build),
+        locks: PresetManager.LOCKABLE_FIELDS.map((field) => ({
+          field,
+          label: PresetManager.getFieldLabel(field),
+          locked: preset.locks?.includes(field) ?? false
+        }))
+      }));
+
+      return {
+        presets,
+        canCapture: !!HM.heroMancer?.rendered
+      };
+    } catch (error) {
+      HM.log(1, `Error preparing context: ${error.message}`);
+      ui.notifications.error('hm.settings.presets.error-context', { localize: true });
+      return { presets: [], canCapture: false };
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Adds a preset from the build currently open in Hero Mancer
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} _target - The button element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async capturePreset(_event, _target) {
+    const form = HM.heroMancer?.element;
+    if (!form) {
+      ui.notifications.warn('hm.settings.presets.no-app', { localize: true });
+      return;
+    }
+
+    const build = BuildTransfer.serialize(form);
+    const name = await Presets.#promptName(build.form['character-name'] || game.i18n.localize('hm.settings.presets.default-name'));
+    if (!name) return;
+
+    this.#addPreset(name, build);
+  }
+
+  /**
+   * Adds a preset from an exported build file
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} _target - The button element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async importPreset(_event, _target) {
+    const file = await DialogV2.prompt({
+      window: { title: 'hm.settings.presets.import' },
+      content: `<p>${game.i18n.localize('hm.settings.presets.import-hint')}</p><input type="file" name="build-file" accept=".json,application/json" aria-label="${game.i18n.localize('hm.settings.presets.import')}">`,
+      ok: {
+        label: 'hm.settings.presets.import',
+        callback: (_event, button) => button.form.elements['build-file'].files[0]
+      },
+      rejectClose: false,
+      modal: true
+    });
+    if (!file) return;
+
+    try {
+      const readFile = foundry.utils.readTextFromFile ?? readTextFromFile;
+      const build = JSON.parse(await readFile(file));
+      if (!BuildTransfer.isValidBuild(build)) {
+        ui.notifications.error('hm.errors.import-invalid', { localize: true });
+        return;
+      }
+
+      const name = await Presets.#promptName(build.form['character-name'] || file.name.replace(/\.json$/i, ''));
+      if (!name) return;
+
+      this.#addPreset(name, build);
+    } catch (error) {
+      HM.log(1, 'Error importing preset:', error);
+      ui.notifications.error('hm.errors.import-invalid', { localize: true });
+    }
+  }
+
+  /**
+   * Removes a preset from the working copy
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element inside a preset entry
+   * @returns {void}
+   * @static
+   */
+  static deletePreset(_event, target) {
+    const presetId = target.closest('[data-preset-id]')?.dataset.presetId;
+    if (!presetId) return;
+
+    this.#syncFromForm();
+    delete this.#presets[presetId];
+    this.render();
+  }
+
+  /**
+   * Processes form submission for the preset library
+   * @param {Event} _event - The form submission event
+   * @param {HTMLFormElement} _form - The form element
+   * @param {FormDataExtended} formData - The processed form data
+   * @returns {Promise<boolean|void>} Returns false if saving fails
+   * @static
+   */
+  static async formHandler(_event, _form, formData) {
+    try {
+      this.#syncFromForm(formData.object);
+
+      const changedSettings = {};
+      if (JSON.stringify(game.settings.get(HM.ID, 'presets')) !== JSON.stringify(this.#presets)) {
+        await game.settings.set(HM.ID, 'presets', this.#presets);
+        changedSettings.presets = true;
+      }
+
+      if (needsRerender(changedSettings)) rerenderHM();
+
+      ui.notifications.info('hm.settings.presets.saved', { localize: true });
+    } catch (error) {
+      HM.log(1, `Error in formHandler: ${error.message}`);
+      ui.notifications.error('hm.settings.presets.error-saving', { localize: true });
+      return false;
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Private Instance Methods                    */
+  /* -------------------------------------------- */
+
+  /**
+   * Adds a preset to the working copy and re-renders, keeping unsaved edits of the other presets
+   * @param {string} name - Preset name
+   * @param {object} build - Build data as produced by BuildTransfer.serialize
+   * @private
+   */
+  #addPreset(name, build) {
+    this.#syncFromForm();
+
+    const id = foundry.utils.randomID();
+    this.#presets[id] = { id, name, description: '', build, locks: [] };
+    this.render();
+  }
+
+  /**
+   * Copies names, descriptions and locks from the form into the working copy
+   * @param {object} [data] - Flat form data, read from the form if omitted
+   * @private
+   */
+  #syncFromForm(data) {
+    const FormDataClass = foundry.applications.ux?.FormDataExtended ?? FormDataExtended;
+    const values = foundry.utils.expandObject(data ?? new FormDataClass(this.element).object).presets ?? {};
+
+    for (const [id, preset] of Object.entries(this.#presets)) {
+      const entry = values[id];
+      if (!entry) continue;
+
+      preset.name = entry.name?.trim() || preset.name;
+      preset.description = entry.description?.trim() ?? '';
+      preset.locks = PresetManager.LOCKABLE_FIELDS.filter((field) => entry.locks?.[field]);
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Joins the race, class and background names of a preset build
+   * @param {object} build - Build data
+   * @returns {string} Summary text
+   * @private
+   * @static
+   */
+  static #summarize(build) {
+    const names = ['race', 'class', 'background']
+      .map((type) => {
+        const uuid = build?.form?.[type]?.match(/\[(.*?)]/)?.[1];
+        return uuid ? fromUuidSync(uuid)?.name : null;
+      })
+      .filter(Boolean);
+    return names.length ? names.join(' · ') : game.i18n.localize('hm.settings.presets.no-selections');
+  }
+
+  /**
+   * Asks for a preset name
+   * @param {string} defaultName - Name to prefill
+   * @returns {Promise<string|null>} The trimmed name, or null if cancelled or empty
+   * @private
+   * @static
+   */
+  static async #promptName(defaultName) {
+    const name = await DialogV2.prompt({
+      window: { title: 'hm.settings.presets.add' },
+      content: `<input type="text" name="preset-name" value="${Handlebars.escapeExpression(defaultName)}" aria-label="${game.i18n.localize('hm.settings.presets.name')}" autofocus>`,
+      ok: {
+        label: 'hm.settings.presets.add',
+        callback: (_event, button) => button.form.elements['preset-name'].value
+      },
+      rejectClose: false,
+      modal: true
+    });
+
+    return name?.trim() || null;
+  }
+}
@@ -1,5 +1,5 @@
 import { registerSettings } from './settings.js';
-import { API, DocumentService, EquipmentParser, HeroMancer, StatRoller } from './utils/index.js';
+import { API, ApprovalService, Approvals, CharacterBuilder, DocumentService, EquipmentParser, HeroMancer, LevelUp, LevelUpService, StatRoller } from './utils/index.js';
 
 /**
  * Main Hero Mancer class, define some statics that will be used everywhere in the module.
@@ -56,6 +56,10 @@ export class HM {
    * @property {string} class.value - Default value of selected class
    * @property {string} class.id - ID of selected class
    * @property {string} class.uuid - UUID of class document
+   * @property {Object} subclass - Selected subclass
+   * @property {string} subclass.value - Default value of selected subclass
+   * @property {string} subclass.id - ID of selected subclass
+   * @property {string} subclass.uuid - UUID of subclass document
    * @property {Object} race - Selected race
    * @property {string} race.value - Default value of selected race
    * @property {string} race.id - ID of selected race
@@ -67,6 +71,7 @@ export class HM {
    */
   static SELECTED = {
     class: { value: '', id: '', uuid: '' },
+    subclass: { value: '', id: '', uuid: '' },
     race: { value: '', id: '', uuid: '' },
     background: { value: '', id: '', uuid: '' }
   };
@@ -231,11 +236,16 @@ Hooks.on('init', () => {
     'system.description.value',
     'system.identifier',
     'system.item',
+    'system.price',
+    'system.primaryAbility',
     'system.properties',
+    'system.quantity',
     'system.source.rules',
     'system.startingEquipment',
+    'system.type.baseItem',
     'system.type.value',
     'system.wealth',
+    'system.weight',
     'type',
     'uuid'
   ];
@@ -246,6 +256,8 @@ Hooks.once('ready', async () => {
   if (!game.settings.get(HM.ID, 'enable')) return;
 
   HM.checkModuleCompatibility();
+  ApprovalService.registerSocket();
+  CharacterBuilder.registerSocket();
   await DocumentService.loadAndInitializeDocuments();
 
   if (!HM.COMPAT.ELKAN) await EquipmentParser.initializeLookupItems(); // Completely disable EquipmentParser if Elkan is enabled.
@@ -258,6 +270,8 @@ Hooks.once('ready', async () => {
 
   globalThis.heroMancer = HM.API;
   Hooks.callAll('heroMancer.Ready', this);
+
+  await CharacterBuilder.checkDeferred();
 });
 
 Hooks.on('renderActorDirectory', () => {
@@ -289,4 +303,27 @@ Hooks.on('renderActorDirectory', () => {
   // Insert button before the create folder button
   const createFolderButton = headerActions.querySelector('button[class*="create-folder"]');
   headerActions.insertBefore(button, createFolderButton);
+
+  // GMs get a button for the approval queue when approval mode is on
+  if (game.user.isGM && game.settings.get(HM.ID, 'requireApproval')) {
+    const approvalsButton = document.createElement('button');
+    approvalsButton.type = 'button';
+    approvalsButton.classList.add('hm-approvals-button');
+    approvalsButton.setAttribute('title', game.i18n.localize('hm.approval.button-hint'));
+    approvalsButton.innerHTML = `<i class="fa-solid fa-user-check"></i> ${game.i18n.localize('hm.approval.title')}`;
+    approvalsButton.addEventListener('click', () => Approvals.open());
+    headerActions.insertBefore(approvalsButton, createFolderButton);
+  }
+});
+
+Hooks.on('getActorSheetHeaderButtons', (sheet, buttons) => {
+  if (!game.settings.get(HM.ID, 'enable')) return;
+  if (!LevelUpService.canLevelUp(sheet.actor)) return;
+
+  buttons.unshift({
+    label: 'hm.level-up.button',
+    class: 'hm-level-up-button',
+    icon: 'fa-solid fa-arrow-up',
+    onclick: () => LevelUp.open(sheet.actor)
+  });
 });
@@ -1,4 +1,4 @@
-import { CharacterArtPicker, CustomCompendiums, Customization, DiceRolling, HM, MandatoryFields, StatRoller, Troubleshooter } from './utils/index.js';
+import { Approvals, CharacterArtPicker, CustomCompendiums, Customization, DiceRolling, HM, MandatoryFields, Presets, RollPoolManager, StatRoller, Troubleshooter } from './utils/index.js';
 
 /**
  * Main registration function that initializes all module settings.
@@ -69,6 +69,24 @@ function registerCoreSettings() {
     }
   });
 
+  game.settings.register(HM.ID, 'requireApproval', {
+    name: 'hm.settings.require-approval.name',
+    hint: 'hm.settings.require-approval.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => ui.actors?.render()
+  });
+
+  game.settings.register(HM.ID, 'pendingBuilds', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => Approvals.refresh()
+  });
+
   game.settings.register(HM.ID, 'publishWealthRolls', {
     name: 'hm.settings.publish-wealth-rolls.name',
     hint: 'hm.settings.publish-wealth-rolls.hint',
@@ -136,6 +154,14 @@ function registerCompendiumSettings() {
     default: []
   });
 
+  game.settings.register(HM.ID, 'spellPacks', {
+    name: 'hm.settings.spell-packs.name',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: []
+  });
+
   HM.log(3, 'Compendium settings registered.');
 }
 
@@ -154,6 +180,22 @@ function registerCustomizationSettings() {
     restricted: true
   });
 
+  game.settings.registerMenu(HM.ID, 'presetsMenu', {
+    name: 'hm.settings.presets.menu.name',
+    hint: 'hm.settings.presets.menu.hint',
+    icon: 'fa-solid fa-user-gear',
+    label: 'hm.settings.configure-presets',
+    type: Presets,
+    restricted: true
+  });
+
+  game.settings.register(HM.ID, 'presets', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
   game.settings.register(HM.ID, 'artPickerRoot', {
     name: 'hm.settings.art-picker-root.name',
     hint: 'hm.settings.art-picker-root.hint',
@@ -257,6 +299,24 @@ function registerCustomizationSettings() {
     default: false
   });
 
+  game.settings.register(HM.ID, 'enablePartyComparison', {
+    name: 'hm.settings.party-comparison.name',
+    hint: 'hm.settings.party-comparison.hint',
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(HM.ID, 'hideNonProficientEquipment', {
+    name: 'hm.settings.hide-non-proficient.name',
+    hint: 'hm.settings.hide-non-proficient.hint',
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
   HM.log(3, 'Customization settings registered.');
 }
 
@@ -282,10 +342,27 @@ function registerDiceRollingSettings() {
     default: {
       standardArray: true,
       pointBuy: true,
-      manual: true
+      manual: true,
+      rollPool: true
     }
   });
 
+  game.settings.register(HM.ID, 'methodPermissions', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.register(HM.ID, 'lockMethodOnRoll', {
+    name: 'hm.settings.lock-method-on-roll.name',
+    hint: 'hm.settings.lock-method-on-roll.hint',
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
   game.settings.register(HM.ID, 'customRollFormula', {
     name: 'hm.settings.custom-roll-formula.name',
     hint: 'hm.settings.custom-roll-formula.hint',
@@ -305,6 +382,44 @@ function registerDiceRollingSettings() {
     default: 0
   });
 
+  game.settings.register(HM.ID, 'pointBuyCosts', {
+    name: 'hm.settings.point-buy-costs.name',
+    hint: 'hm.settings.point-buy-costs.hint',
+    scope: 'world',
+    config: false,
+    type: String,
+    restricted: true,
+    default: StatRoller.formatPointBuyCosts(StatRoller.POINT_BUY_PRESETS.standard.costs)
+  });
+
+  game.settings.register(HM.ID, 'rollPoolSets', {
+    name: 'hm.settings.roll-pool-sets.name',
+    hint: 'hm.settings.roll-pool-sets.hint',
+    scope: 'world',
+    config: false,
+    type: Number,
+    range: {
+      min: 1,
+      max: RollPoolManager.MAX_SETS,
+      step: 1
+    },
+    default: 1
+  });
+
+  game.settings.register(HM.ID, 'rollRules', {
+    name: 'hm.settings.roll-rules.name',
+    hint: 'hm.settings.roll-rules.hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    restricted: true,
+    default: {
+      rerollOnes: false,
+      minModifierTotal: null,
+      minHighestScore: null
+    }
+  });
+
   game.settings.register(HM.ID, 'chainedRolls', {
     name: 'hm.settings.chained-rolls.name',
     hint: 'hm.settings.chained-rolls.hint',
@@ -314,6 +429,21 @@ function registerDiceRollingSettings() {
     default: false
   });
 
+  game.settings.register(HM.ID, 'abilityRollAudit', {
+    name: 'hm.settings.ability-roll-audit.name',
+    hint: 'hm.settings.ability-roll-audit.hint',
+    scope: 'world',
+    config: false,
+    type: String,
+    restricted: true,
+    choices: {
+      off: 'hm.settings.ability-roll-audit.off',
+      public: 'hm.settings.ability-roll-audit.public',
+      gm: 'hm.settings.ability-roll-audit.gm'
+    },
+    default: 'off'
+  });
+
   game.settings.register(HM.ID, 'rollDelay', {
     name: 'hm.settings.roll-delay.name',
     hint: 'hm.settings.roll-delay.hint',
@@ -381,6 +511,16 @@ function registerDiceRollingSettings() {
     }
   });
 
+  game.settings.register(HM.ID, 'abilityLimits', {
+    name: 'hm.settings.ability-limits.name',
+    hint: 'hm.settings.ability-limits.hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    restricted: true,
+    default: {}
+  });
+
   game.settings.register(HM.ID, 'statGenerationSwapMode', {
     name: 'hm.settings.stat-generation-swap-mode.name',
     hint: 'hm.settings.stat-generation-swap-mode.hint',
@@ -469,10 +609,12 @@ function registerCompatibilitySettings() {
   HM.log(3, 'Compatibility settings registered.');
 }
 
-export const RELOAD = new Set(['enable', 'classPacks', 'racePacks', 'backgroundPacks', 'itemPacks', 'elkanCompatibility', 'tokenizerCompatibility']);
+export const RELOAD = new Set(['enable', 'classPacks', 'racePacks', 'backgroundPacks', 'itemPacks', 'spellPacks', 'elkanCompatibility', 'tokenizerCompatibility']);
 
 export const RERENDER = new Set([
   'enableRandomize',
+  'enablePartyComparison',
+  'hideNonProficientEquipment',
   'alignments',
   'deities',
   'eye-colors',
@@ -483,14 +625,21 @@ export const RERENDER = new Set([
   'chainedRolls',
   'rollDelay',
   'customPointBuyTotal',
+  'pointBuyCosts',
+  'rollPoolSets',
+  'rollRules',
+  'methodPermissions',
+  'lockMethodOnRoll',
   'abilityScoreDefault',
   'abilityScoreMin',
   'abilityScoreMax',
+  'abilityLimits',
   'statGenerationSwapMode',
   'mandatoryFields',
   'enableTokenCustomization',
   'enableNavigationButtons',
-  'enablePlayerCustomization'
+  'enablePlayerCustomization',
+  'presets'
 ]);
 
 /**
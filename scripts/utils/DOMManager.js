@@ -1,4 +1,4 @@
-import { EquipmentParser, FormValidation, HeroMancer, HM, JournalPageEmbed, SavedOptions, StatRoller, TableManager } from './index.js';
+import { AbilityBonusManager, AbilitySuggester, CombatPreview, EncumbrancePreview, EquipmentParser, EquipmentShop, FormValidation, HeroMancer, HM, JournalPageEmbed, MulticlassManager, PartyComparison, RollBreakdown, RollPoolManager, SavedOptions, SpellManager, StatRoller, TableManager } from './index.js';
 
 /**
  * Centralized DOM event and observer management
@@ -202,6 +202,7 @@ export class DOMManager {
     try {
       this.initializeEquipmentContainer(element);
       this.initializeDropdowns(element);
+      SpellManager.initialize(element);
       this.initializeAbilities(element);
       this.initializeEquipment(element);
       this.initializeCharacterDetails(element);
@@ -236,6 +237,8 @@ export class DOMManager {
         }
       });
     }
+
+    this.#initializeSubclassSelection(element);
   }
 
   /**
@@ -255,6 +258,12 @@ export class DOMManager {
 
     // Initialize ability value tracking
     StatRoller.initializeAbilityDropdownTracking();
+
+    // Rolled pool values assigned to abilities
+    RollPoolManager.initialize(element);
+
+    // Race and background increases shown next to the base scores
+    AbilityBonusManager.initialize(element);
   }
 
   /**
@@ -298,11 +307,18 @@ export class DOMManager {
       // Only update once if needed
       if (needsUpdate) {
         this.updateEquipmentSummary();
+        EquipmentShop.update(element);
       }
     });
 
     // Attach listeners to existing equipment items
     this.attachEquipmentListeners(equipmentContainer);
+
+    // Starting wealth is what the shop spends
+    this.on(equipmentContainer, 'change', (event) => {
+      if (event.target.matches('[id^="use-starting-wealth-"], [id^="starting-wealth-amount-"]')) EquipmentShop.update(element);
+    });
+    EquipmentShop.initialize(element);
   }
 
   /**
@@ -651,6 +667,7 @@ export class DOMManager {
     // Check if we're already processing an update
     if (this._isUpdatingEquipment) return;
     this._isUpdatingEquipment = true;
+    EncumbrancePreview.update();
 
     try {
       const summary = document.querySelector('.equipment-summary');
@@ -720,6 +737,11 @@ export class DOMManager {
         try {
           this.#processAbilityHighlights();
           this.#updateAbilitySummaryContent();
+          AbilityBonusManager.updateTotals();
+          AbilitySuggester.updateTooltip();
+          PartyComparison.update();
+          MulticlassManager.updateSummary();
+          SpellManager.refresh();
         } catch (error) {
           HM.log(1, 'Error updating abilities summary:', error);
         } finally {
@@ -959,12 +981,16 @@ export class DOMManager {
   /**
    * Restores saved form options to DOM elements
    * @param {HTMLElement} html - The form container element
+   * @param {object} [options] - Form data to restore, defaults to the user's saved options
    */
-  static async restoreFormOptions(html) {
-    const savedOptions = await SavedOptions.loadOptions();
+  static async restoreFormOptions(html, options = null) {
+    const savedOptions = options ?? (await SavedOptions.loadOptions());
 
     if (Object.keys(savedOptions).length === 0) return;
 
+    // Multiclass rows are added dynamically, so recreate them before restoring values
+    MulticlassManager.restoreRows(html, savedOptions);
+
     for (const [key, value] of Object.entries(savedOptions)) {
       const selector = `[name="${key}"]`;
 
@@ -976,6 +1002,8 @@ export class DOMManager {
         elem.checked = value;
       } else if (elem.tagName === 'SELECT') {
         elem.value = value;
+        // Options that are populated later (e.g. subclasses) pick this up once available
+        if (elem.value !== value) elem.dataset.pendingValue = value;
         elem.dispatchEvent(new Event('change'));
         this.updateClassRaceSummary();
       } else {
@@ -984,6 +1012,111 @@ export class DOMManager {
     }
   }
 
+  /**
+   * Populates the subclass dropdown with subclasses of the selected class
+   * The subclass section is only shown once the starting level reaches the class's subclass level
+   * @param {HTMLElement} element - Application root element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async updateSubclassOptions(element) {
+    const section = element.querySelector('#subclass-section');
+    const dropdown = element.querySelector('#subclass-dropdown');
+    if (!section || !dropdown) return;
+
+    try {
+      const classDoc = HM.documents.class?.find((d) => d.id === HM.SELECTED.class?.id);
+      const subclasses = classDoc ? (HM.documents.subclass || []).filter((d) => d.classIdentifier === classDoc.identifier) : [];
+      const subclassLevel = await this.#getSubclassLevel(classDoc, subclasses);
+      const startingLevel = parseInt(element.querySelector('#starting-level')?.value) || 1;
+      const available = subclasses.length > 0 && startingLevel >= subclassLevel;
+
+      const previousValue = dropdown.dataset.pendingValue || dropdown.value;
+      delete dropdown.dataset.pendingValue;
+
+      // Rebuild options, keeping the placeholder
+      dropdown.querySelectorAll('option:not([value=""])').forEach((option) => option.remove());
+      if (available) {
+        for (const doc of subclasses) {
+          const option = document.createElement('option');
+          option.value = `${doc.id} [${doc.uuid}]`;
+          option.textContent = doc.name;
+          dropdown.appendChild(option);
+        }
+      }
+
+      const hint = section.querySelector('#subclass-level-hint');
+      if (hint) hint.textContent = game.i18n.format('hm.app.class.subclass-level-hint', { level: subclassLevel });
+      section.hidden = !available;
+
+      // Keep the previous selection if it still belongs to this class
+      const nextValue = Array.from(dropdown.options).some((option) => option.value && option.value === previousValue) ? previousValue : '';
+      dropdown.value = nextValue;
+      if (nextValue !== HM.SELECTED.subclass?.value) {
+        await this.#handleSubclassChange(element, nextValue);
+      }
+    } catch (error) {
+      HM.log(1, 'Error updating subclass options:', error);
+    }
+  }
+
+  /**
+   * Collect ability scores from UI
+   * @returns {Object} Map of ability scores
+   * @static
+   */
+  static collectAbilityScores() {
+    const abilityScores = {};
+    const rollMethodSelect = document.getElementById('roll-method');
+    const abilitiesTab = document.querySelector(".tab[data-tab='abilities']");
+    const rollMethod = abilitiesTab?.dataset.currentMethod || rollMethodSelect?.value || 'standardArray';
+
+    const abilityBlocks = document.querySelectorAll('.ability-block');
+    abilityBlocks.forEach((block) => {
+      let abilityKey = '';
+      let score = 0;
+
+      // Logic from earlier method to extract scores based on roll method
+      if (rollMethod === 'pointBuy') {
+        const hiddenInput = block.querySelector('input[type="hidden"]');
+        if (hiddenInput) {
+          const nameMatch = hiddenInput.name.match(/abilities\[(\w+)]/);
+          if (nameMatch && nameMatch[1]) {
+            abilityKey = nameMatch[1].toLowerCase();
+          }
+        }
+        score = parseInt(block.querySelector('.current-score')?.innerHTML) || 0;
+      } else if (rollMethod === 'standardArray') {
+        const dropdown = block.querySelector('.ability-dropdown');
+        if (dropdown) {
+          const nameMatch = dropdown.name.match(/abilities\[(\w+)]/);
+          if (nameMatch && nameMatch[1]) {
+            abilityKey = nameMatch[1].toLowerCase();
+          }
+          score = parseInt(dropdown.value) || 0;
+        }
+      } else if (rollMethod === 'manualFormula') {
+        const dropdown = block.querySelector('.ability-dropdown');
+        if (dropdown) {
+          abilityKey = dropdown.value?.toLowerCase() || '';
+          score = parseInt(block.querySelector('.ability-score')?.value) || 0;
+        }
+      } else if (rollMethod === 'rollPool') {
+        const hiddenInput = block.querySelector('input[type="hidden"]');
+        if (hiddenInput) {
+          abilityKey = hiddenInput.name.match(/abilities\[(\w+)]/)?.[1]?.toLowerCase() || '';
+          score = parseInt(hiddenInput.value) || 0;
+        }
+      }
+
+      if (abilityKey) {
+        abilityScores[abilityKey] = score;
+      }
+    });
+
+    return abilityScores;
+  }
+
   /* -------------------------------------------- */
   /*  Helper Methods                              */
   /* -------------------------------------------- */
@@ -1178,8 +1311,8 @@ export class DOMManager {
     }
     const abilityScoreElement = document.getElementById(`ability-score-${index}`);
     const currentScore = parseInt(abilityScoreElement.innerHTML, 10);
-    const { MIN, MAX } = HM.ABILITY_SCORES;
-    const newScore = Math.min(MAX, Math.max(MIN, currentScore + change));
+    const { min, max } = StatRoller.getAbilityLimits(Object.keys(CONFIG.DND5E.abilities)[index]);
+    const newScore = Math.min(max, Math.max(min, currentScore + change));
     const totalPoints = StatRoller.getTotalPoints();
     const pointsSpent = StatRoller.calculateTotalPointsSpent(selectedAbilities);
 
@@ -1198,6 +1331,7 @@ export class DOMManager {
       this.updateRemainingPointsDisplay(remainingPoints);
       this.updatePlusButtonState(selectedAbilities, remainingPoints);
       this.updateMinusButtonState(selectedAbilities);
+      AbilityBonusManager.updateTotals();
     }
   }
 
@@ -1210,12 +1344,11 @@ export class DOMManager {
   static updatePlusButtonState(selectedAbilities, remainingPoints) {
     // Create a document fragment for batch processing
     const updates = [];
-    const { MAX } = HM.ABILITY_SCORES;
+    const keys = Object.keys(CONFIG.DND5E.abilities);
 
     document.querySelectorAll('.plus-button').forEach((button, index) => {
       const currentScore = selectedAbilities[index];
-      const pointCostForNextIncrease = StatRoller.getPointBuyCostForScore(currentScore + 1) - StatRoller.getPointBuyCostForScore(currentScore);
-      const shouldDisable = currentScore >= MAX || remainingPoints < pointCostForNextIncrease;
+      const shouldDisable = remainingPoints < StatRoller.getPointBuyIncreaseCost(currentScore, StatRoller.getAbilityLimits(keys[index]).max);
 
       // Only update if the state actually changes
       if (button.disabled !== shouldDisable) {
@@ -1241,11 +1374,11 @@ export class DOMManager {
    */
   static updateMinusButtonState(selectedAbilities) {
     const updates = [];
-    const { MIN } = HM.ABILITY_SCORES;
+    const keys = Object.keys(CONFIG.DND5E.abilities);
 
     document.querySelectorAll('.minus-button').forEach((button, index) => {
       const currentScore = selectedAbilities[index];
-      const shouldDisable = currentScore <= MIN;
+      const shouldDisable = currentScore <= StatRoller.getAbilityLimits(keys[index]).min;
 
       // Only update if the state actually changes
       if (button.disabled !== shouldDisable) {
@@ -1361,6 +1494,173 @@ export class DOMManager {
     }
   }
 
+  /**
+   * Fills the basic info section of a review with the linked race, class, subclass and background and the level split
+   * Used by the Finalize tab and by the GM's review of a submitted build.
+   * @param {HTMLElement} container - Review content holding the race, class, subclass, level and background values
+   * @param {object} data - The build
+   * @param {string} [data.race] - Race UUID
+   * @param {string} [data.class] - Class UUID
+   * @param {string} [data.subclass] - Subclass UUID
+   * @param {string} [data.background] - Background UUID
+   * @param {number} [data.level=1] - Level of the main class
+   * @param {Array<{uuid: string, level: number}>} [data.multiclass] - Additional classes
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async renderBasicInfoReview(container, { race, class: classUuid, subclass, background, level = 1, multiclass = [] }) {
+    // Update race, class, and background with links
+    await this.#updateReviewValueWithLink(container, '.race-value', race);
+    await this.#updateReviewValueWithLink(container, '.class-value', classUuid);
+    await this.#updateReviewValueWithLink(container, '.background-value', background);
+
+    // Subclass is optional, so only show it once one is chosen
+    const subclassItem = container.querySelector('.subclass-review-item');
+    if (subclassItem) {
+      subclassItem.hidden = !subclass;
+      if (subclass) await this.#updateReviewValueWithLink(container, '.subclass-value', subclass);
+    }
+
+    // Update starting level, including the split between classes when multiclassing
+    const levelValue = container.querySelector('.level-value');
+    if (levelValue) {
+      if (multiclass.length) {
+        const totalLevel = multiclass.reduce((sum, selection) => sum + selection.level, level);
+        const split = [{ uuid: classUuid, level }, ...multiclass].map(({ uuid, level }) => `${fromUuidSync(uuid)?.name ?? '-'} ${level}`);
+        levelValue.textContent = `${totalLevel} (${split.join(' / ')})`;
+      } else {
+        levelValue.textContent = level;
+      }
+    }
+  }
+
+  /**
+   * Fills the abilities section of a review with the final scores, their modifiers and the dice they were rolled with
+   * @param {HTMLElement} container - The abilities grid
+   * @param {Object<string, number>} scores - Final ability scores keyed by ability
+   * @param {Object<string, object>} [breakdowns] - Roll breakdowns keyed by ability, see RollBreakdown
+   * @returns {void}
+   * @static
+   */
+  static renderAbilitiesReview(container, scores, breakdowns = {}) {
+    container.innerHTML = ''; // Clear existing content
+
+    // Create ability items
+    for (const [key, ability] of Object.entries(CONFIG.DND5E.abilities)) {
+      const score = scores[key] || 10;
+      const mod = Math.floor((score - 10) / 2);
+      const modSign = mod >= 0 ? '+' : '';
+
+      const abilityItem = document.createElement('div');
+      abilityItem.className = 'ability-item';
+      abilityItem.innerHTML = `
+      <span class="ability-label">${ability.abbreviation.toUpperCase()}</span>
+      <span class="ability-score">${score} (${modSign}${mod})</span>
+    `;
+
+      if (breakdowns[key]) {
+        const breakdown = document.createElement('span');
+        breakdown.className = 'ability-breakdown';
+        breakdown.innerHTML = RollBreakdown.toHTML(breakdowns[key]);
+        abilityItem.appendChild(breakdown);
+      }
+
+      container.appendChild(abilityItem);
+    }
+  }
+
+  /**
+   * Fills a list of a review's equipment with linked items, or the starting wealth taken instead
+   * @param {HTMLElement} element - The list element
+   * @param {Array<{uuid: string, name: string, isStartingWealth?: boolean}>} items - Chosen items, names without a UUID are escaped
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async renderEquipmentItems(element, items) {
+    if (!items.length) {
+      element.innerHTML = `<em>${game.i18n.localize('hm.app.finalize.review.no-equipment')}</em>`;
+      return;
+    }
+
+    // Check if using starting wealth
+    if (items[0].isStartingWealth) {
+      element.innerHTML = `<div class="equipment-wealth">${items[0].name}</div>`;
+      return;
+    }
+
+    // Regular equipment items
+    const itemsHtml = await Promise.all(
+      items.map(async (item) => {
+        return `<div class="equipment-item">${item.uuid ? await TextEditor.enrichHTML(`@UUID[${item.uuid}]{${item.name}}`) : Handlebars.escapeExpression(item.name)}</div>`;
+      })
+    );
+    element.innerHTML = itemsHtml.join('');
+  }
+
+  /**
+   * Fills the biography section of a review
+   * Text fields are escaped, the backstory is enriched so its document links work.
+   * @param {HTMLElement} container - The biography preview
+   * @param {object} bioData - Biography fields, see #collectBiographyData
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async renderBiographyReview(container, bioData) {
+    container.innerHTML = ''; // Clear existing content
+
+    const escaped = Object.fromEntries(Object.entries(bioData).map(([key, value]) => [key, key === 'backstory' ? value : Handlebars.escapeExpression(value)]));
+
+    // Create main bio section
+    const bioMainText = await this.#formatMainBiographyText(escaped);
+    const bioMain = document.createElement('div');
+    bioMain.className = 'bio-main';
+    bioMain.innerHTML = bioMainText;
+    container.appendChild(bioMain);
+
+    // Create personality sections
+    const traits = [
+      { key: 'personalityTraits', label: 'DND5E.PersonalityTraits' },
+      { key: 'ideals', label: 'DND5E.Ideals' },
+      { key: 'bonds', label: 'DND5E.Bonds' },
+      { key: 'flaws', label: 'DND5E.Flaws' }
+    ];
+
+    // Add each trait section if it has content
+    traits.forEach((trait) => {
+      if (escaped[trait.key]) {
+        const traitSection = document.createElement('div');
+        traitSection.className = `bio-detail ${trait.key}`;
+        traitSection.innerHTML = `
+        <h4>${game.i18n.localize(trait.label)}</h4>
+        <p>${escaped[trait.key]}</p>
+      `;
+        container.appendChild(traitSection);
+      }
+    });
+
+    // Add physical description if available
+    if (escaped.physicalDescription) {
+      const physDesc = document.createElement('div');
+      physDesc.className = 'bio-detail physical-description';
+      physDesc.innerHTML = `
+      <h4>${game.i18n.localize('hm.app.finalize.review.physical-description')}</h4>
+      <p>${escaped.physicalDescription}</p>
+    `;
+      container.appendChild(physDesc);
+    }
+
+    // Add backstory if available
+    if (escaped.backstory) {
+      const backstory = document.createElement('div');
+      backstory.className = 'bio-detail backstory';
+      backstory.innerHTML = `
+      <h4>${game.i18n.localize('hm.app.finalize.review.backstory')}</h4>
+      <div class="backstory-text">${await TextEditor.enrichHTML(escaped.backstory)}</div>
+    `;
+      container.appendChild(backstory);
+    }
+  }
+
   /* -------------------------------------------- */
   /*  Private Methods                             */
   /* -------------------------------------------- */
@@ -1504,6 +1804,74 @@ export class DOMManager {
     }
   }
 
+  /**
+   * Initialize subclass dropdown and starting level handlers
+   * @param {HTMLElement} element - Root element
+   * @private
+   */
+  static #initializeSubclassSelection(element) {
+    const subclassDropdown = element.querySelector('#subclass-dropdown');
+    const levelInput = element.querySelector('#starting-level');
+
+    if (subclassDropdown) {
+      this.on(subclassDropdown, 'change', async (event) => {
+        try {
+          await this.#handleSubclassChange(element, event.target.value);
+        } catch (error) {
+          HM.log(1, 'Error handling subclass dropdown change:', error);
+        }
+      });
+    }
+
+    if (levelInput) {
+      this.on(levelInput, 'change', async () => {
+        await this.updateSubclassOptions(element);
+        MulticlassManager.updateSummary();
+        await SpellManager.refresh(element);
+        await EquipmentParser.getInstance().refreshProficiencies();
+      });
+    }
+  }
+
+  /**
+   * Handle subclass selection change
+   * @param {HTMLElement} element - Root element
+   * @param {string} value - Selected option value in the format "id [uuid]"
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async #handleSubclassChange(element, value) {
+    const id = value ? value.split(' ')[0].trim() : '';
+    const uuid = value?.match(/\[(.*?)]/)?.[1] || '';
+
+    HM.SELECTED.subclass = { value: value || '', id, uuid };
+    HM.log(3, 'subclass updated:', HM.SELECTED.subclass);
+
+    await this.updateDescription('subclass', id, element.querySelector('#subclass-description'));
+  }
+
+  /**
+   * Determines the level at which a class gains its subclass
+   * Uses the class's Subclass advancement when present, otherwise the earliest subclass feature level
+   * @param {Object|undefined} classDoc - Selected class document data
+   * @param {Array<Object>} subclasses - Subclass documents belonging to the class
+   * @returns {Promise<number>} Subclass level
+   * @private
+   */
+  static async #getSubclassLevel(classDoc, subclasses) {
+    if (!classDoc) return 1;
+
+    try {
+      const classItem = await fromUuid(classDoc.uuid);
+      const subclassAdvancement = classItem?.advancement?.byType?.Subclass?.[0];
+      if (subclassAdvancement?.level) return subclassAdvancement.level;
+    } catch (error) {
+      HM.log(2, `Unable to read subclass advancement for ${classDoc.name}:`, error);
+    }
+
+    return subclasses.length ? Math.min(...subclasses.map((d) => d.level)) : 1;
+  }
+
   /**
    * Update UI components based on dropdown type
    * @param {HTMLElement} element - Root element
@@ -1515,9 +1883,10 @@ export class DOMManager {
     if (type === 'race' || type === 'class') {
       this.updateClassRaceSummary();
 
-      // Update abilities if class changes
+      // Update abilities and subclasses if class changes
       if (type === 'class') {
         this.updateAbilitiesSummary();
+        await this.updateSubclassOptions(element);
       }
     }
 
@@ -1526,11 +1895,18 @@ export class DOMManager {
       await this.processBackgroundSelectionChange(HM.SELECTED.background);
     }
 
+    if (type === 'race' || type === 'background') {
+      await AbilityBonusManager.refresh(element);
+    }
+
     // Update equipment if needed
     if (!HM.COMPAT.ELKAN && (type === 'class' || type === 'background')) {
       this.updateEquipment(element, type);
     }
 
+    // Spellcasting can come from any of the three selections
+    await SpellManager.refresh(element);
+
     // Update application title
     this.updateTitle(element);
   }
@@ -1555,6 +1931,13 @@ export class DOMManager {
 
     this.on(rollMethodSelect, 'change', async (event) => {
       const method = event.target.value;
+      const lockedMethod = StatRoller.getLockedMethod();
+      if (lockedMethod && method !== lockedMethod) {
+        event.target.value = lockedMethod;
+        ui.notifications.warn('hm.app.abilities.method-locked', { localize: true });
+        return;
+      }
+
       HM.log(3, `Roll method changed to: ${method}`);
 
       this.#handleRollMethodChange(element, method);
@@ -1572,7 +1955,7 @@ export class DOMManager {
     game.settings.set(HM.ID, 'diceRollingMethod', method);
 
     // Reset abilities
-    HeroMancer.selectedAbilities = Array(Object.keys(CONFIG.DND5E.abilities).length).fill(HM.ABILITY_SCORES.DEFAULT);
+    HeroMancer.selectedAbilities = StatRoller.getDefaultScores();
 
     // Force a re-render of just the abilities tab
     const app = HM.heroMancer;
@@ -1615,6 +1998,10 @@ export class DOMManager {
       const update = foundry.utils.debounce(() => this.updateAbilitiesSummary(), 100);
       this.on(input, 'change', update);
       this.on(input, 'input', update);
+
+      // A typed score no longer comes from the rolled dice
+      const index = input.id.match(/^ability-(\d+)-score$/)?.[1];
+      if (index) this.on(input, 'input', () => RollBreakdown.setManual(index, null));
     });
   }
 
@@ -1923,6 +2310,12 @@ export class DOMManager {
           score = parseInt(block.querySelector('.ability-score')?.value) || 0;
         }
       }
+    } else if (rollMethod === 'rollPool') {
+      const hiddenInput = block.querySelector('input[type="hidden"]');
+      if (hiddenInput) {
+        abilityKey = hiddenInput.name.match(/abilities\[(\w+)]/)?.[1]?.toLowerCase() || '';
+        score = parseInt(hiddenInput.value) || 0;
+      }
     }
 
     // If not a primary ability, exit early
@@ -1968,6 +2361,15 @@ export class DOMManager {
       }
     }
 
+    // For rollPool, highlight the pool select
+    if (rollMethod === 'rollPool') {
+      const select = block.querySelector('.roll-pool-assign');
+      if (select) {
+        select.classList.add('primary-ability');
+        select.setAttribute('data-tooltip', tooltipText);
+      }
+    }
+
     // For pointBuy, highlight score display
     if (rollMethod === 'pointBuy') {
       const scoreElement = block.querySelector('.current-score');
@@ -1984,7 +2386,7 @@ export class DOMManager {
    */
   static #updateAbilitySummaryContent() {
     // Get ability scores
-    const abilityScores = this.#collectAbilityScores();
+    const abilityScores = this.collectAbilityScores();
     if (Object.keys(abilityScores).length === 0) return;
 
     // Get primary abilities
@@ -1997,57 +2399,6 @@ export class DOMManager {
     this.#updateSummaryHTML(selectedAbilities);
   }
 
-  /**
-   * Collect ability scores from UI
-   * @returns {Object} Map of ability scores
-   * @private
-   */
-  static #collectAbilityScores() {
-    const abilityScores = {};
-    const rollMethodSelect = document.getElementById('roll-method');
-    const abilitiesTab = document.querySelector(".tab[data-tab='abilities']");
-    const rollMethod = abilitiesTab?.dataset.currentMethod || rollMethodSelect?.value || 'standardArray';
-
-    const abilityBlocks = document.querySelectorAll('.ability-block');
-    abilityBlocks.forEach((block) => {
-      let abilityKey = '';
-      let score = 0;
-
-      // Logic from earlier method to extract scores based on roll method
-      if (rollMethod === 'pointBuy') {
-        const hiddenInput = block.querySelector('input[type="hidden"]');
-        if (hiddenInput) {
-          const nameMatch = hiddenInput.name.match(/abilities\[(\w+)]/);
-          if (nameMatch && nameMatch[1]) {
-            abilityKey = nameMatch[1].toLowerCase();
-          }
-        }
-        score = parseInt(block.querySelector('.current-score')?.innerHTML) || 0;
-      } else if (rollMethod === 'standardArray') {
-        const dropdown = block.querySelector('.ability-dropdown');
-        if (dropdown) {
-          const nameMatch = dropdown.name.match(/abilities\[(\w+)]/);
-          if (nameMatch && nameMatch[1]) {
-            abilityKey = nameMatch[1].toLowerCase();
-          }
-          score = parseInt(dropdown.value) || 0;
-        }
-      } else if (rollMethod === 'manualFormula') {
-        const dropdown = block.querySelector('.ability-dropdown');
-        if (dropdown) {
-          abilityKey = dropdown.value?.toLowerCase() || '';
-          score = parseInt(block.querySelector('.ability-score')?.value) || 0;
-        }
-      }
-
-      if (abilityKey) {
-        abilityScores[abilityKey] = score;
-      }
-    });
-
-    return abilityScores;
-  }
-
   /**
    * Select top abilities for summary
    * @param {Object} abilityScores - Map of ability scores
@@ -2189,6 +2540,9 @@ export class DOMManager {
   static #buildAbilityScoresTable(actor) {
     if (!actor?.system?.abilities) return '';
 
+    const breakdowns = actor.getFlag(HM.ID, RollBreakdown.FLAG) ?? {};
+    const rolled = !foundry.utils.isEmpty(breakdowns);
+
     let tableHTML = `
     <div class="ability-scores-summary">
       <h3>${game.i18n.localize('DND5E.AbilityScorePl')}</h3>
@@ -2197,6 +2551,7 @@ export class DOMManager {
           <th>${game.i18n.localize('DND5E.Ability')}</th>
           <th>${game.i18n.localize('DND5E.AbilityScoreShort')}</th>
           <th>${game.i18n.localize('DND5E.AbilityModifierShort')}</th>
+          ${rolled ? `<th>${game.i18n.localize('hm.app.abilities.breakdown.rolled')}</th>` : ''}
         </tr>
   `;
 
@@ -2204,9 +2559,10 @@ export class DOMManager {
       const ability = actor.system.abilities[key];
       if (!ability) continue;
 
+      // Extra abilities may not have derived modifiers when the system does not prepare them
       const score = ability.value;
-      const mod = ability.mod;
-      const label = CONFIG.DND5E.abilities[key]?.label || key;
+      const mod = ability.mod ?? Math.floor((score - 10) / 2);
+      const label = abilityConfig?.label || key;
       const modPrefix = mod >= 0 ? '+' : '';
 
       tableHTML += `
@@ -2214,6 +2570,7 @@ export class DOMManager {
         <td>${label.toUpperCase()}</td>
         <td>${score}</td>
         <td>${modPrefix}${mod}</td>
+        ${rolled ? `<td class="ability-breakdown">${RollBreakdown.toHTML(breakdowns[key])}</td>` : ''}
       </tr>
     `;
     }
@@ -2392,10 +2749,14 @@ export class DOMManager {
       nameDisplay.textContent = characterName;
     }
 
-    // Update race, class, and background with links
-    await this.#updateReviewValueWithLink(container, '.race-value', HM.SELECTED.race?.uuid);
-    await this.#updateReviewValueWithLink(container, '.class-value', HM.SELECTED.class?.uuid);
-    await this.#updateReviewValueWithLink(container, '.background-value', HM.SELECTED.background?.uuid);
+    await this.renderBasicInfoReview(container, {
+      race: HM.SELECTED.race?.uuid,
+      class: HM.SELECTED.class?.uuid,
+      subclass: HM.SELECTED.subclass?.uuid,
+      background: HM.SELECTED.background?.uuid,
+      level: parseInt(document.querySelector('#starting-level')?.value) || 1,
+      multiclass: MulticlassManager.getSelections()
+    });
   }
 
   /**
@@ -2438,26 +2799,8 @@ export class DOMManager {
    * @static
    */
   static #updateAbilitiesReview(container) {
-    container.innerHTML = ''; // Clear existing content
-
-    // Get the current ability scores
-    const abilityScores = this.#collectAbilityScores();
-
-    // Create ability items
-    for (const [key, ability] of Object.entries(CONFIG.DND5E.abilities)) {
-      const score = abilityScores[key] || 10;
-      const mod = Math.floor((score - 10) / 2);
-      const modSign = mod >= 0 ? '+' : '';
-
-      const abilityItem = document.createElement('div');
-      abilityItem.className = 'ability-item';
-      abilityItem.innerHTML = `
-      <span class="ability-label">${ability.abbreviation.toUpperCase()}</span>
-      <span class="ability-score">${score} (${modSign}${mod})</span>
-    `;
-
-      container.appendChild(abilityItem);
-    }
+    // Get the current ability scores, including race and background increases
+    this.renderAbilitiesReview(container, AbilityBonusManager.applyBonuses(this.collectAbilityScores()), RollBreakdown.collect());
   }
 
   /**
@@ -2468,60 +2811,7 @@ export class DOMManager {
    * @static
    */
   static async #updateBiographyReview(container) {
-    container.innerHTML = ''; // Clear existing content
-
-    // Collect biography data
-    const bioData = this.#collectBiographyData();
-
-    // Create main bio section
-    const bioMainText = await this.#formatMainBiographyText(bioData);
-    const bioMain = document.createElement('div');
-    bioMain.className = 'bio-main';
-    bioMain.innerHTML = bioMainText;
-    container.appendChild(bioMain);
-
-    // Create personality sections
-    const traits = [
-      { key: 'personalityTraits', label: 'DND5E.PersonalityTraits' },
-      { key: 'ideals', label: 'DND5E.Ideals' },
-      { key: 'bonds', label: 'DND5E.Bonds' },
-      { key: 'flaws', label: 'DND5E.Flaws' }
-    ];
-
-    // Add each trait section if it has content
-    traits.forEach((trait) => {
-      if (bioData[trait.key]) {
-        const traitSection = document.createElement('div');
-        traitSection.className = `bio-detail ${trait.key}`;
-        traitSection.innerHTML = `
-        <h4>${game.i18n.localize(trait.label)}</h4>
-        <p>${bioData[trait.key]}</p>
-      `;
-        container.appendChild(traitSection);
-      }
-    });
-
-    // Add physical description if available
-    if (bioData.physicalDescription) {
-      const physDesc = document.createElement('div');
-      physDesc.className = 'bio-detail physical-description';
-      physDesc.innerHTML = `
-      <h4>${game.i18n.localize('hm.app.finalize.review.physical-description')}</h4>
-      <p>${bioData.physicalDescription}</p>
-    `;
-      container.appendChild(physDesc);
-    }
-
-    // Add backstory if available
-    if (bioData.backstory) {
-      const backstory = document.createElement('div');
-      backstory.className = 'bio-detail backstory';
-      backstory.innerHTML = `
-      <h4>${game.i18n.localize('hm.app.finalize.review.backstory')}</h4>
-      <div class="backstory-text">${await TextEditor.enrichHTML(bioData.backstory)}</div>
-    `;
-      container.appendChild(backstory);
-    }
+    await this.renderBiographyReview(container, this.#collectBiographyData());
   }
 
   /**
@@ -2683,47 +2973,60 @@ export class DOMManager {
     </div>
   `;
 
-    // Update background equipment section
+    // Update background and class equipment sections
     const backgroundItemsEl = container.querySelector('.background-items');
-    if (backgroundItemsEl) {
-      if (backgroundItems.length > 0) {
-        // Check if using starting wealth
-        if (backgroundItems[0].isStartingWealth) {
-          backgroundItemsEl.innerHTML = `<div class="equipment-wealth">${backgroundItems[0].name}</div>`;
-        } else {
-          // Regular equipment items
-          const itemsHtml = await Promise.all(
-            backgroundItems.map(async (item) => {
-              return `<div class="equipment-item">${await TextEditor.enrichHTML(`@UUID[${item.uuid}]{${item.name}}`)}</div>`;
-            })
-          );
-          backgroundItemsEl.innerHTML = itemsHtml.join('');
-        }
-      } else {
-        backgroundItemsEl.innerHTML = `<em>${game.i18n.localize('hm.app.finalize.review.no-equipment')}</em>`;
-      }
+    if (backgroundItemsEl) await this.renderEquipmentItems(backgroundItemsEl, backgroundItems);
+    const classItemsEl = container.querySelector('.class-items');
+    if (classItemsEl) await this.renderEquipmentItems(classItemsEl, classItems);
+
+    // Chosen and bought items, without the starting wealth placeholders
+    const uuids = [...[...backgroundItems, ...classItems].map((item) => item.uuid), ...EquipmentShop.cart.keys()].filter((uuid) => uuid?.startsWith('Compendium.'));
+    this.#addProficiencyWarning(container, uuids);
+    await this.#addCombatPreview(container, uuids);
+  }
+
+  /**
+   * Shows the Armor Class and weapon attacks the chosen equipment would give
+   * @param {HTMLElement} container - The equipment review container
+   * @param {string[]} uuids - UUIDs of the chosen and bought items
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #addCombatPreview(container, uuids) {
+    try {
+      const preview = document.createElement('div');
+      preview.className = 'combat-preview';
+      preview.innerHTML = await CombatPreview.toHTML(await CombatPreview.getPreview(uuids));
+      container.appendChild(preview);
+    } catch (error) {
+      HM.log(1, 'Error building combat preview:', error);
     }
+  }
 
-    // Update class equipment section
-    const classItemsEl = container.querySelector('.class-items');
-    if (classItemsEl) {
-      if (classItems.length > 0) {
-        // Check if using starting wealth
-        if (classItems[0].isStartingWealth) {
-          classItemsEl.innerHTML = `<div class="equipment-wealth">${classItems[0].name}</div>`;
-        } else {
-          // Regular equipment items
-          const itemsHtml = await Promise.all(
-            classItems.map(async (item) => {
-              return `<div class="equipment-item">${await TextEditor.enrichHTML(`@UUID[${item.uuid}]{${item.name}}`)}</div>`;
-            })
-          );
-          classItemsEl.innerHTML = itemsHtml.join('');
-        }
-      } else {
-        classItemsEl.innerHTML = `<em>${game.i18n.localize('hm.app.finalize.review.no-equipment')}</em>`;
-      }
+  /**
+   * Warns about chosen or bought armor and weapons the character would not be proficient with
+   * @param {HTMLElement} container - The equipment review container
+   * @param {string[]} uuids - UUIDs of the chosen and bought items
+   * @private
+   * @static
+   */
+  static #addProficiencyWarning(container, uuids) {
+    const parser = EquipmentParser.getInstance();
+    const names = new Set();
+
+    for (const uuid of uuids) {
+      const item = fromUuidSync(uuid, { strict: false });
+      const isArmorOrWeapon = item?.type === 'weapon' || (item?.type === 'equipment' && item.system?.type?.value in (CONFIG.DND5E.armorProficienciesMap ?? {}));
+      if (isArmorOrWeapon && !parser.isProficient(item)) names.add(item.name);
     }
+
+    if (!names.size) return;
+
+    const warning = document.createElement('p');
+    warning.className = 'equipment-proficiency-warning';
+    warning.innerHTML = `<i class="fa-solid fa-triangle-exclamation" aria-hidden="true"></i> ${game.i18n.format('hm.app.finalize.review.not-proficient', { items: [...names].join(', ') })}`;
+    container.appendChild(warning);
   }
 
   /**
@@ -2780,11 +3083,11 @@ export class DOMManager {
       hair: document.querySelector('#hair')?.value || '',
       skin: document.querySelector('#skin')?.value || '',
       faith: document.querySelector('#faith')?.value || '',
-      personalityTraits: document.querySelector('#personality')?.value || '',
+      personalityTraits: document.querySelector('#traits')?.value || '',
       ideals: document.querySelector('#ideals')?.value || '',
       bonds: document.querySelector('#bonds')?.value || '',
       flaws: document.querySelector('#flaws')?.value || '',
-      physicalDescription: document.querySelector('#description')?.value || '',
+      physicalDescription: document.querySelector('#appearance')?.value || '',
       backstory: document.querySelector('#backstory')?.value || ''
     };
   }
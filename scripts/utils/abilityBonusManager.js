@@ -0,0 +1,294 @@
+import { AbilitySuggester, DOMManager, HM, PartyComparison } from './index.js';
+
+/**
+ * Shows the ability score increases of the selected race and background on the Abilities tab
+ * Choices made here are applied to the matching advancement when the character is created, so the prompt is skipped.
+ * @class
+ */
+export class AbilityBonusManager {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Selections whose ability score improvement is shown, in column order
+   * @type {string[]}
+   * @static
+   */
+  static SOURCES = ['race', 'background'];
+
+  /**
+   * Highest increase offered for a single ability
+   * @type {number}
+   * @static
+   */
+  static MAX_BONUS = 2;
+
+  /**
+   * Improvement of each source for the current selections, or null if the source grants none
+   * @type {Object<string, object|null>}
+   * @private
+   * @static
+   */
+  static #improvements = {};
+
+  /**
+   * Incremented on each refresh so stale async results can be discarded
+   * @type {number}
+   * @private
+   * @static
+   */
+  static #refreshId = 0;
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Attaches the change handlers of the increase selects and reads the current selections
+   * @param {HTMLElement} element - Application root element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async initialize(element) {
+    const section = element?.querySelector('.ability-bonuses');
+    if (!section) return;
+
+    section.querySelectorAll('.ability-bonus').forEach((select) => {
+      DOMManager.on(select, 'change', () => {
+        this.updateTotals(element);
+        AbilitySuggester.updateTooltip(element);
+        PartyComparison.update(element);
+      });
+    });
+
+    await this.refresh(element);
+  }
+
+  /**
+   * Reads the ability score improvements of the selected race and background and updates the table
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async refresh(element = HM.heroMancer?.element) {
+    const section = element?.querySelector('.ability-bonuses');
+    if (!section) return;
+
+    const refreshId = ++this.#refreshId;
+
+    try {
+      const improvements = {};
+      for (const source of this.SOURCES) {
+        improvements[source] = await this.getImprovement(HM.SELECTED[source]?.uuid);
+      }
+      if (refreshId !== this.#refreshId) return;
+
+      this.#improvements = improvements;
+      for (const source of this.SOURCES) {
+        this.#configureSource(section, source, improvements[source]);
+      }
+
+      section.hidden = !Object.values(improvements).some(Boolean);
+      this.updateTotals(element);
+      AbilitySuggester.updateTooltip(element);
+      PartyComparison.update(element);
+    } catch (error) {
+      HM.log(1, 'Error refreshing ability score increases:', error);
+    }
+  }
+
+  /**
+   * Gets the ability score improvement granted by a race or background
+   * @param {string} [uuid] - UUID of the race or background
+   * @returns {Promise<object|null>} The advancement ID and level, points to assign, per-ability cap, fixed increases,
+   * locked abilities and maximum score, or null if the item grants no increase
+   * @static
+   */
+  static async getImprovement(uuid) {
+    if (!uuid) return null;
+
+    const item = await fromUuid(uuid);
+    const advancement = item?.advancement?.byType?.AbilityScoreImprovement?.[0];
+    if (!advancement) return null;
+
+    const config = advancement.configuration ?? {};
+    const fixed = Object.fromEntries(Object.entries(config.fixed ?? {}).filter(([, value]) => value));
+    const points = config.points ?? 0;
+    if (!points && !Object.keys(fixed).length) return null;
+
+    return {
+      id: advancement.id,
+      level: advancement.level ?? 0,
+      points,
+      cap: Math.min(config.cap ?? this.MAX_BONUS, this.MAX_BONUS),
+      fixed,
+      locked: new Set(config.locked ?? []),
+      max: config.max ?? CONFIG.DND5E.maxAbilityScore ?? 20
+    };
+  }
+
+  /**
+   * Gets the increases currently shown for each ability, fixed and chosen combined
+   * @param {HTMLElement} [root] - Element containing the increase selects
+   * @returns {Object<string, number>} Increases keyed by ability
+   * @static
+   */
+  static getBonuses(root = document) {
+    const bonuses = {};
+
+    for (const [source, improvement] of Object.entries(this.#improvements)) {
+      if (!improvement) continue;
+
+      for (const key of Object.keys(CONFIG.DND5E.abilities)) {
+        const select = root.querySelector(`[name="ability-bonus-${source}-${key}"]`);
+        const chosen = select && !select.disabled ? parseInt(select.value) || 0 : 0;
+        bonuses[key] = (bonuses[key] ?? 0) + (improvement.fixed[key] ?? 0) + chosen;
+      }
+    }
+
+    return bonuses;
+  }
+
+  /**
+   * Adds the current increases to base ability scores
+   * @param {Object<string, number>} scores - Base scores keyed by ability
+   * @param {HTMLElement} [root] - Element containing the increase selects
+   * @returns {Object<string, number>} Final scores keyed by ability
+   * @static
+   */
+  static applyBonuses(scores, root = document) {
+    const bonuses = this.getBonuses(root);
+    const max = Math.max(0, ...Object.values(this.#improvements).map((improvement) => improvement?.max ?? 0)) || 20;
+
+    return Object.fromEntries(Object.entries(scores).map(([key, score]) => [key, score ? Math.min(score + (bonuses[key] ?? 0), max) : score]));
+  }
+
+  /**
+   * Adds the increases of a submitted build to its base ability scores
+   * Works from form data alone, so a GM can see the final scores of a build made on another client.
+   * @param {Object<string, number>} scores - Base scores keyed by ability
+   * @param {object} formData - Form data with the race, background and increase selects
+   * @returns {Promise<Object<string, number>>} Final scores keyed by ability
+   * @static
+   */
+  static async applyFormBonuses(scores, formData) {
+    const bonuses = {};
+    let max = 0;
+
+    for (const source of this.SOURCES) {
+      const improvement = await this.getImprovement(formData[source]?.match(/\[(.*?)]/)?.[1]);
+      if (!improvement) continue;
+
+      max = Math.max(max, improvement.max);
+      for (const key of Object.keys(CONFIG.DND5E.abilities)) {
+        const chosen = improvement.locked.has(key) ? 0 : Math.min(parseInt(formData[`ability-bonus-${source}-${key}`]) || 0, improvement.cap);
+        bonuses[key] = (bonuses[key] ?? 0) + (improvement.fixed[key] ?? 0) + chosen;
+      }
+    }
+
+    return Object.fromEntries(Object.entries(scores).map(([key, score]) => [key, score ? Math.min(score + (bonuses[key] ?? 0), max || 20) : score]));
+  }
+
+  /**
+   * Reads the increases chosen for a source from form data as advancement data
+   * Only returned when the choice is complete, otherwise the player is prompted as usual.
+   * @param {object} formData - Form data with the increase selects
+   * @param {string} source - "race" or "background"
+   * @param {object|null} improvement - Improvement from getImprovement
+   * @returns {object|null} Advancement data keyed by advancement ID and level
+   * @static
+   */
+  static getChoices(formData, source, improvement) {
+    if (!improvement) return null;
+
+    const assignments = {};
+    let spent = 0;
+    for (const key of Object.keys(CONFIG.DND5E.abilities)) {
+      const value = parseInt(formData[`ability-bonus-${source}-${key}`]) || 0;
+      if (!value) continue;
+      if (value > improvement.cap || improvement.locked.has(key)) return null;
+
+      assignments[key] = value;
+      spent += value;
+    }
+
+    if (spent !== improvement.points) return null;
+    return { [improvement.id]: { [improvement.level]: { type: 'asi', assignments } } };
+  }
+
+  /**
+   * Updates the base score, final score and modifier of each ability and the points left per source
+   * @param {HTMLElement} [element] - Application root element
+   * @static
+   */
+  static updateTotals(element = HM.heroMancer?.element) {
+    const section = element?.querySelector('.ability-bonuses');
+    if (!section || section.hidden) return;
+
+    const scores = DOMManager.collectAbilityScores();
+    const finalScores = this.applyBonuses(scores, section);
+
+    for (const row of section.querySelectorAll('tr[data-ability]')) {
+      const key = row.dataset.ability;
+      const score = finalScores[key];
+      const mod = Math.floor((score - 10) / 2);
+
+      row.querySelector('.bonus-base').textContent = scores[key] || '–';
+      row.querySelector('.bonus-final').textContent = score || '–';
+      row.querySelector('.bonus-mod').textContent = score ? `${mod >= 0 ? '+' : ''}${mod}` : '–';
+    }
+
+    for (const [source, improvement] of Object.entries(this.#improvements)) {
+      const remaining = section.querySelector(`th[data-source="${source}"] .bonus-remaining`);
+      if (!remaining || !improvement?.points) continue;
+
+      const spent = Array.from(section.querySelectorAll(`.ability-bonus[data-source="${source}"]:not(:disabled)`)).reduce((sum, select) => sum + (parseInt(select.value) || 0), 0);
+      const left = improvement.points - spent;
+      remaining.textContent = game.i18n.format('hm.app.abilities.bonuses.remaining', { points: left });
+      remaining.classList.toggle('over', left < 0);
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Shows the fixed increases of a source and enables the selects of the abilities it lets the player choose
+   * @param {HTMLElement} section - The ability score increase section
+   * @param {string} source - "race" or "background"
+   * @param {object|null} improvement - Improvement from getImprovement
+   * @private
+   * @static
+   */
+  static #configureSource(section, source, improvement) {
+    section.querySelectorAll(`[data-source="${source}"]`).forEach((cell) => {
+      if (cell.matches('th, td')) cell.hidden = !improvement;
+    });
+
+    const remaining = section.querySelector(`th[data-source="${source}"] .bonus-remaining`);
+    if (remaining) remaining.textContent = '';
+
+    for (const row of section.querySelectorAll('tr[data-ability]')) {
+      const key = row.dataset.ability;
+      const cell = row.querySelector(`td[data-source="${source}"]`);
+      const select = cell?.querySelector('.ability-bonus');
+      if (!select) continue;
+
+      const fixed = improvement?.fixed[key];
+      cell.querySelector('.bonus-fixed').textContent = fixed ? `+${fixed}` : '';
+
+      // Disabled selects are left out of the form data, so only choosable increases are submitted
+      const choosable = !!improvement?.points && !improvement.locked.has(key);
+      select.hidden = !choosable;
+      select.disabled = !choosable;
+      if (!choosable) continue;
+
+      for (const option of select.options) {
+        option.disabled = parseInt(option.value) > improvement.cap;
+      }
+      if (parseInt(select.value) > improvement.cap) select.value = String(improvement.cap);
+    }
+  }
+}
@@ -0,0 +1,337 @@
+import { AbilityBonusManager, DOMManager, HeroMancer, HM, RollPoolManager, StatRoller } from './index.js';
+
+/**
+ * Suggests how to arrange the standard array, point buy budget or rolled set for the selected class
+ * Abilities are ranked primary ability first, then Constitution, then the class saving throws, and race and
+ * background increases are taken into account so no point is spent on an odd score that an increase rounds up anyway.
+ * @class
+ */
+export class AbilitySuggester {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Methods a suggestion can be made for
+   * @type {string[]}
+   * @static
+   */
+  static METHODS = ['standardArray', 'pointBuy', 'rollPool'];
+
+  /**
+   * Order of the abilities the class does not rank
+   * @type {string[]}
+   * @static
+   */
+  static FALLBACK_ORDER = ['dex', 'con', 'wis', 'str', 'cha', 'int'];
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Action handler for the suggest button, arranges the scores of the current method
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} _target - The suggest button
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async apply(_event, _target) {
+    const element = HM.heroMancer?.element;
+    const method = game.settings.get(HM.ID, 'diceRollingMethod');
+    const suggestion = AbilitySuggester.suggest(method, element);
+    if (!suggestion) return;
+
+    try {
+      if (method === 'standardArray') AbilitySuggester.#applyStandardArray(element, suggestion.scores);
+      else if (method === 'pointBuy') AbilitySuggester.#applyPointBuy(element, suggestion.scores);
+      else if (method === 'rollPool') AbilitySuggester.#applyRollPool(element, suggestion.scores);
+
+      DOMManager.updateAbilitiesSummary();
+      ui.notifications.info(game.i18n.format('hm.app.abilities.suggest.applied', { class: suggestion.className }));
+    } catch (error) {
+      HM.log(1, 'Error applying suggested ability scores:', error);
+    }
+  }
+
+  /**
+   * Works out the suggested scores for a method
+   * @param {string} method - The roll method
+   * @param {HTMLElement} [element] - Application root element
+   * @param {boolean} [notify=true] - Whether to tell the user why no suggestion can be made
+   * @returns {{className: string, scores: Object<string, number>, reasons: Array<object>}|null}
+   * The class name, base scores keyed by ability and the reasoning in priority order, or null if nothing can be suggested
+   * @static
+   */
+  static suggest(method, element = HM.heroMancer?.element, notify = true) {
+    const warn = (key) => notify && ui.notifications.warn(key, { localize: true });
+    if (!this.METHODS.includes(method)) return null;
+
+    const classItem = HM.SELECTED.class?.uuid ? fromUuidSync(HM.SELECTED.class.uuid) : null;
+    if (!classItem) {
+      warn('hm.app.abilities.suggest.no-class');
+      return null;
+    }
+
+    const priorities = this.getPriorities(classItem);
+    const bonuses = AbilityBonusManager.getBonuses(element ?? document);
+
+    let scores;
+    if (method === 'pointBuy') {
+      scores = this.#spendPoints(priorities, bonuses);
+    } else {
+      const values = method === 'rollPool' ? this.#getPoolValues() : this.#getStandardArrayValues(element);
+      if (values.length < priorities.length) {
+        warn('hm.app.abilities.suggest.no-values');
+        return null;
+      }
+      scores = this.#arrangeValues(values, priorities, bonuses);
+    }
+
+    const reasons = priorities.map(({ key, reason }) => ({ key, reason, score: scores[key], final: this.#getFinalScore(scores[key], bonuses[key]) }));
+    return { className: classItem.name, scores, reasons };
+  }
+
+  /**
+   * Ranks the abilities of a class, most important first
+   * @param {Item} classItem - The class item
+   * @returns {Array<{key: string, reason: string}>} Every ability with the localized reason for its rank
+   * @static
+   */
+  static getPriorities(classItem) {
+    const priorities = [];
+    const add = (key, reason, data = {}) => {
+      key = key?.toLowerCase();
+      if (!key || !(key in CONFIG.DND5E.abilities) || priorities.some((entry) => entry.key === key)) return;
+      priorities.push({ key, reason: game.i18n.format(`hm.app.abilities.suggest.reasons.${reason}`, { class: classItem.name, ...data }) });
+    };
+
+    for (const key of Array.from(classItem.system?.primaryAbility?.value ?? [])) add(key, 'primary');
+    add(classItem.system?.spellcasting?.ability, 'spellcasting');
+    add('con', 'constitution');
+
+    const traits = classItem.advancement?.byType?.Trait?.filter((entry) => entry.level === 1 && entry.configuration.grants) ?? [];
+    for (const grant of traits.flatMap((trait) => Array.from(trait.configuration.grants))) {
+      if (grant.startsWith('saves:')) add(grant.split(':')[1], 'save');
+    }
+
+    for (const key of [...this.FALLBACK_ORDER, ...Object.keys(CONFIG.DND5E.abilities)]) add(key, 'other');
+    return priorities;
+  }
+
+  /**
+   * Shows the suggestion for the current class and values in the tooltip of the suggest button
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {void}
+   * @static
+   */
+  static updateTooltip(element = HM.heroMancer?.element) {
+    const button = element?.querySelector('.suggest-abilities');
+    if (!button) return;
+
+    const suggestion = this.suggest(game.settings.get(HM.ID, 'diceRollingMethod'), element, false);
+    if (!suggestion) {
+      button.dataset.tooltip = game.i18n.localize(HM.SELECTED.class?.uuid ? 'hm.app.abilities.suggest.no-values' : 'hm.app.abilities.suggest.no-class');
+      return;
+    }
+
+    const lines = suggestion.reasons.map(({ key, reason, score, final }) => {
+      const ability = CONFIG.DND5E.abilities[key]?.abbreviation?.toUpperCase() ?? key.toUpperCase();
+      const line = score === final ? 'line' : 'line-bonus';
+      return `<li>${game.i18n.format(`hm.app.abilities.suggest.${line}`, { ability, score, final, reason })}</li>`;
+    });
+
+    button.dataset.tooltip = `<strong>${game.i18n.format('hm.app.abilities.suggest.title', { class: suggestion.className })}</strong><ul>${lines.join('')}</ul>`;
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Gets the final score after an increase, capped at the highest score increases can reach
+   * @param {number} score - Base score
+   * @param {number} [bonus=0] - Race and background increase
+   * @returns {number} The final score
+   * @private
+   * @static
+   */
+  static #getFinalScore(score, bonus = 0) {
+    return Math.min(score + bonus, CONFIG.DND5E.maxAbilityScore ?? 20);
+  }
+
+  /**
+   * Gets the modifier a base score ends up with
+   * @param {number} score - Base score
+   * @param {number} [bonus=0] - Race and background increase
+   * @returns {number} The modifier
+   * @private
+   * @static
+   */
+  static #getModifier(score, bonus = 0) {
+    return Math.floor((this.#getFinalScore(score, bonus) - 10) / 2);
+  }
+
+  /**
+   * Assigns fixed values to abilities in priority order
+   * Each ability takes the lowest value that still gives the best modifier, so a higher value is kept for the next ability.
+   * @param {number[]} values - Values to assign
+   * @param {Array<{key: string}>} priorities - Abilities, most important first
+   * @param {Object<string, number>} bonuses - Increases keyed by ability
+   * @returns {Object<string, number>} Values keyed by ability
+   * @private
+   * @static
+   */
+  static #arrangeValues(values, priorities, bonuses) {
+    const remaining = [...values].sort((a, b) => b - a);
+    const scores = {};
+
+    for (const { key } of priorities) {
+      const best = this.#getModifier(remaining[0], bonuses[key]);
+      const index = remaining.findLastIndex((value) => this.#getModifier(value, bonuses[key]) === best);
+      scores[key] = remaining.splice(index, 1)[0];
+    }
+
+    return scores;
+  }
+
+  /**
+   * Spends the point buy budget in priority order
+   * Scores are first raised as high as the budget allows without wasting a point on an odd final score,
+   * leftover points then raise the modifier of the highest ranked ability they can, and finally any score at all.
+   * @param {Array<{key: string}>} priorities - Abilities, most important first
+   * @param {Object<string, number>} bonuses - Increases keyed by ability
+   * @returns {Object<string, number>} Scores keyed by ability
+   * @private
+   * @static
+   */
+  static #spendPoints(priorities, bonuses) {
+    const limits = Object.fromEntries(priorities.map(({ key }) => [key, StatRoller.getAbilityLimits(key)]));
+    const cost = (score) => StatRoller.getPointBuyCostForScore(score);
+    const scores = Object.fromEntries(priorities.map(({ key }) => [key, limits[key].min]));
+    let remaining = StatRoller.getTotalPoints() - StatRoller.calculateTotalPointsSpent(Object.values(scores));
+
+    const raise = (key, score) => {
+      remaining -= cost(score) - cost(scores[key]);
+      scores[key] = score;
+    };
+    const affordable = (key, score) => score <= limits[key].max && cost(score) - cost(scores[key]) <= remaining;
+
+    for (const { key } of priorities) {
+      let score = limits[key].min;
+      while (affordable(key, score + 1)) score++;
+      while (score > limits[key].min && this.#getModifier(score - 1, bonuses[key]) === this.#getModifier(score, bonuses[key])) score--;
+      raise(key, score);
+    }
+
+    const improve = (needsBetterModifier) => {
+      for (const { key } of priorities) {
+        for (let score = scores[key] + 1; affordable(key, score); score++) {
+          if (needsBetterModifier && this.#getModifier(score, bonuses[key]) === this.#getModifier(scores[key], bonuses[key])) continue;
+          raise(key, score);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    while (improve(true));
+    while (improve(false));
+
+    return scores;
+  }
+
+  /**
+   * Gets the values offered by the standard array dropdowns
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {number[]} The standard array
+   * @private
+   * @static
+   */
+  static #getStandardArrayValues(element) {
+    const dropdown = element?.querySelector('.ability-dropdown');
+    if (!dropdown) return [];
+    return Array.from(dropdown.options)
+      .map((option) => parseInt(option.value))
+      .filter((value) => !isNaN(value));
+  }
+
+  /**
+   * Gets the values of the chosen rolled set
+   * @returns {number[]} The chosen set, empty until a set is chosen
+   * @private
+   * @static
+   */
+  static #getPoolValues() {
+    const { sets, selected } = RollPoolManager.getPool();
+    return sets[selected] ?? [];
+  }
+
+  /**
+   * Selects the suggested values in the standard array dropdowns
+   * @param {HTMLElement} element - Application root element
+   * @param {Object<string, number>} scores - Values keyed by ability
+   * @private
+   * @static
+   */
+  static #applyStandardArray(element, scores) {
+    const dropdowns = element.querySelectorAll('.ability-dropdown');
+    dropdowns.forEach((dropdown) => {
+      const key = dropdown.name.match(/abilities\[(\w+)]/)?.[1];
+      if (key in scores) dropdown.value = String(scores[key]);
+    });
+
+    StatRoller.initializeAbilityDropdownTracking();
+    DOMManager.updateAbilityDropdownsVisualState(
+      dropdowns,
+      Array.from(dropdowns).map((dropdown) => dropdown.value)
+    );
+    AbilityBonusManager.updateTotals(element);
+  }
+
+  /**
+   * Sets the suggested point buy scores and updates the remaining points
+   * @param {HTMLElement} element - Application root element
+   * @param {Object<string, number>} scores - Scores keyed by ability
+   * @private
+   * @static
+   */
+  static #applyPointBuy(element, scores) {
+    element.querySelectorAll('.ability-block.point-buy').forEach((block, index) => {
+      const key = block.querySelector('input[type="hidden"]')?.name.match(/abilities\[(\w+)]/)?.[1];
+      if (!(key in scores)) return;
+
+      HeroMancer.selectedAbilities[index] = scores[key];
+      const display = block.querySelector('.current-score');
+      if (display) display.innerHTML = scores[key];
+    });
+
+    const remainingPoints = StatRoller.getTotalPoints() - StatRoller.calculateTotalPointsSpent(HeroMancer.selectedAbilities);
+    DOMManager.updateRemainingPointsDisplay(remainingPoints);
+    DOMManager.updatePlusButtonState(HeroMancer.selectedAbilities, remainingPoints);
+    DOMManager.updateMinusButtonState(HeroMancer.selectedAbilities);
+    AbilityBonusManager.updateTotals(element);
+  }
+
+  /**
+   * Assigns the suggested values of the chosen rolled set
+   * @param {HTMLElement} element - Application root element
+   * @param {Object<string, number>} scores - Values keyed by ability
+   * @private
+   * @static
+   */
+  static #applyRollPool(element, scores) {
+    const values = this.#getPoolValues();
+    const used = new Set();
+    const selects = Array.from(element.querySelectorAll('.roll-pool-assign'));
+
+    for (const select of selects) {
+      const key = select.name.replace('roll-pool-', '');
+      const index = values.findIndex((value, i) => value === scores[key] && !used.has(i));
+      used.add(index);
+      select.value = index === -1 ? '' : String(index);
+    }
+
+    selects.forEach((select) => select.dispatchEvent(new Event('change')));
+  }
+}
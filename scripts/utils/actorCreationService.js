@@ -1,4 +1,4 @@
-import { DOMManager, EquipmentParser, HeroMancer, HM } from './index.js';
+import { AbilityBonusManager, ApprovalService, DOMManager, EquipmentParser, EquipmentShop, HeroMancer, HM, MulticlassManager, RollAuditService, RollBreakdown, RollPoolManager, SpellManager, StatRoller } from './index.js';
 
 /**
  * Service class that handles character creation in the Hero Mancer
@@ -16,6 +16,13 @@ export class ActorCreationService {
    */
   static ADVANCEMENT_DELAY = { transitionDelay: 300, renderTimeout: 3000, retryAttempts: 3 };
 
+  /**
+   * Actor flag holding advancements left for the owning player to complete
+   * @type {string}
+   * @static
+   */
+  static DEFERRED_FLAG = 'deferredAdvancement';
+
   /* -------------------------------------------- */
   /*  Public Methods                              */
   /* -------------------------------------------- */
@@ -38,14 +45,33 @@ export class ActorCreationService {
       const { useClassWealth, useBackgroundWealth, startingWealth } = await this.#processWealthOptions(formData.object);
       const equipmentSelections = await this.#collectEquipment(event, useClassWealth, useBackgroundWealth);
 
+      // Gear bought in the shop is paid from the starting wealth, the rest of the coin goes to the character
+      const purchase = startingWealth ? await EquipmentShop.checkout(startingWealth) : null;
+      if (purchase === false) return;
+      if (purchase) equipmentSelections.push(...purchase.items);
+      const favoriteUuids = this.#collectFavoriteUuids(event);
+
       const characterData = this.#extractCharacterData(formData.object);
       if (!this.#validateCharacterData(characterData)) return;
 
-      // Create actor and process advancements
-      const actor = await this.#createAndSetupActor(formData.object, characterData, targetUser);
-      await this.#processItemsAndAdvancements(actor, characterData, equipmentSelections, event, startingWealth);
+      const submission = {
+        formData: formData.object,
+        equipment: equipmentSelections,
+        favoriteUuids,
+        startingWealth: this.#addEquipmentCurrency(purchase?.currency ?? startingWealth, formData.object, { class: useClassWealth, background: useBackgroundWealth }),
+        rollLog: RollAuditService.getLog(),
+        rollBreakdowns: RollBreakdown.collect()
+      };
+
+      // In approval mode the build goes to the GM instead of being created right away, its rolls are released once approved
+      if (ApprovalService.isRequired()) {
+        const submitted = await ApprovalService.submit(submission, event.target);
+        if (!submitted) HM.log(2, 'Build was not submitted for approval, keeping its rolls and shop cart');
+        return;
+      }
 
-      HM.log(3, 'Character creation completed successfully');
+      const actor = await this.createFromSubmission(submission, targetUser);
+      if (actor) await this.releaseCreationState();
       return actor;
     } catch (error) {
       HM.log(1, 'Error in character creation:', error);
@@ -53,6 +79,89 @@ export class ActorCreationService {
     }
   }
 
+  /**
+   * Creates the actor for data collected from the form, either right away or once a GM approves it
+   * @param {object} submission - Collected character data
+   * @param {object} submission.formData - Flat form data
+   * @param {Array<object>} submission.equipment - Equipment items to create
+   * @param {string[]} submission.favoriteUuids - Source UUIDs of equipment to mark as favorite
+   * @param {object|null} submission.startingWealth - Starting wealth object
+   * @param {Array<object>} [submission.rollLog] - Ability rolls made for the character, see RollAuditService
+   * @param {Object<string, object>} [submission.rollBreakdowns] - Dice of the rolled ability scores keyed by ability, see RollBreakdown
+   * @param {object} [submission.advancement] - How advancements are resolved
+   * @param {string} [submission.advancement.mode="prompt"] - "prompt", "auto" or "defer"
+   * @param {object} [submission.advancement.choices] - Advancement data keyed by advancement ID and level, used in "auto" mode
+   * @param {User} targetUser - The user who will own the character
+   * @returns {Promise<Actor|void>} Created actor or void if the data is invalid
+   * @static
+   */
+  static async createFromSubmission(submission, targetUser) {
+    const { formData } = submission;
+
+    const characterData = this.#extractCharacterData(formData);
+    if (!this.#validateCharacterData(characterData)) return;
+
+    // Create actor and process advancements
+    const actor = await this.#createAndSetupActor(formData, characterData, targetUser);
+    await RollAuditService.storeOnActor(actor, submission.rollLog);
+    await RollBreakdown.store(actor, submission.rollBreakdowns);
+    await this.#processItemsAndAdvancements(actor, characterData, submission, targetUser);
+
+    HM.log(3, 'Character creation completed successfully');
+    return actor;
+  }
+
+  /**
+   * Discards the rolled ability score sets, the roll log, the method lock and the shop cart once a character was created from them
+   * Until then they stay, so a failed or rejected build keeps its audit trail and cannot be rerolled with another method.
+   * @param {User} [user] - The user the character was built by, defaults to the current user
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async releaseCreationState(user = game.user) {
+    await RollPoolManager.clear(user);
+    await RollAuditService.clear(user);
+    await StatRoller.unlockMethod(user);
+    if (user === game.user) EquipmentShop.clear();
+  }
+
+  /**
+   * Validates flat form data with the same rules as the Hero Mancer form
+   * @param {object} formData - Flat form data
+   * @returns {boolean} True if the data can be used to create a character
+   * @static
+   */
+  static validateFormData(formData) {
+    if (!this.#validateMandatoryFields(formData)) return false;
+    return this.#validateCharacterData(this.#extractCharacterData(formData));
+  }
+
+  /**
+   * Runs the advancements that were left for the owning player when the character was created
+   * @param {Actor} actor - The actor with deferred advancements
+   * @returns {Promise<boolean>} Whether any deferred advancements were run
+   * @static
+   */
+  static async resumeDeferredAdvancements(actor) {
+    const deferred = actor?.getFlag(HM.ID, this.DEFERRED_FLAG);
+    if (!deferred) return false;
+
+    // Cleared first so a second client or a reload does not run them again
+    await actor.unsetFlag(HM.ID, this.DEFERRED_FLAG);
+
+    const items = (await Promise.all(deferred.items.map((uuid) => fromUuid(uuid)))).filter(Boolean);
+    if (items.length < deferred.items.length) {
+      ui.notifications.warn(game.i18n.format('hm.warnings.deferred-items-missing', { name: actor.name }));
+    }
+
+    const classOptions = { levels: new Map(deferred.levels), subclassParent: deferred.subclassParent };
+    await this.#processAdvancements(items, actor, classOptions, { choices: deferred.choices ?? {} });
+
+    const classItem = items.find((item) => item.type === 'class');
+    if (classItem) await this.addSelectedSpells(actor, deferred.spells, classItem);
+    return true;
+  }
+
   /* -------------------------------------------- */
   /*  Character Creation Data Processing          */
   /* -------------------------------------------- */
@@ -79,10 +188,14 @@ export class ActorCreationService {
    * @static
    */
   static #extractCharacterData(formData) {
-    const { backgroundData, raceData, classData } = this.#extractItemData(formData);
+    const { backgroundData, raceData, classData, subclassData } = this.#extractItemData(formData);
     const abilities = this.#processAbilityScores(formData);
+    const startingLevel = this.#processStartingLevel(formData);
+    const multiclassData = this.#extractMulticlassData(formData);
+    const totalLevel = startingLevel + multiclassData.reduce((sum, entry) => sum + entry.level, 0);
+    const spellUuids = SpellManager.parseSelections(formData.spells);
 
-    return { backgroundData, raceData, classData, abilities };
+    return { backgroundData, raceData, classData, subclassData, multiclassData, abilities, startingLevel, totalLevel, spellUuids };
   }
 
   /**
@@ -93,7 +206,25 @@ export class ActorCreationService {
    * @static
    */
   static #validateCharacterData(characterData) {
-    return this.#validateRequiredSelections(characterData.backgroundData, characterData.raceData, characterData.classData);
+    if (!this.#validateRequiredSelections(characterData.backgroundData, characterData.raceData, characterData.classData)) return false;
+    return this.#validateMulticlass(characterData);
+  }
+
+  /**
+   * Validates the multiclass level split and ability score prerequisites
+   * @param {object} characterData - Character data to validate
+   * @returns {boolean} True if the class split is valid
+   * @private
+   * @static
+   */
+  static #validateMulticlass(characterData) {
+    if (!characterData.multiclassData.length) return true;
+
+    const { warnings } = MulticlassManager.validate(characterData.classData.uuid, characterData.startingLevel, characterData.multiclassData, characterData.abilities);
+    if (!warnings.length) return true;
+
+    ui.notifications.warn(game.i18n.format('hm.errors.multiclass-invalid', { reasons: warnings.join(' ') }));
+    return false;
   }
 
   /**
@@ -106,7 +237,7 @@ export class ActorCreationService {
    * @static
    */
   static async #createAndSetupActor(formData, characterData, targetUser) {
-    const actor = await this.#createActorDocument(formData, characterData.abilities, targetUser.id);
+    const actor = await this.#createActorDocument(formData, characterData.abilities, targetUser.id, characterData.totalLevel);
     await this.#assignCharacterToUser(actor, targetUser, formData);
 
     if (game.settings.get(HM.ID, 'enablePlayerCustomization')) {
@@ -120,20 +251,63 @@ export class ActorCreationService {
    * Processes items and advancements for the created actor
    * @param {Actor} actor - The created actor
    * @param {object} characterData - Character data containing selections
-   * @param {Array<object>} equipment - Equipment items to create
-   * @param {Event} event - Form submission event
-   * @param {object} startingWealth - Starting wealth object
+   * @param {object} submission - Collected equipment, favorites, wealth and advancement options
+   * @param {User} targetUser - The user who will own the character
    * @returns {Promise<void>}
    * @private
    * @static
    */
-  static async #processItemsAndAdvancements(actor, characterData, equipment, event, startingWealth) {
+  static async #processItemsAndAdvancements(actor, characterData, submission, targetUser) {
+    const { equipment = [], favoriteUuids = [], startingWealth = null, advancement = {} } = submission;
     const { backgroundItem, raceItem, classItem } = await this.#fetchCompendiumItems(characterData.backgroundData, characterData.raceData, characterData.classData);
 
     if (!backgroundItem || !raceItem || !classItem) return;
 
-    await this.#processEquipmentAndFavorites(actor, equipment, event, startingWealth);
-    await this.#processAdvancements([classItem, raceItem, backgroundItem], actor);
+    const subclassItem = await this.#fetchSubclassItem(characterData.subclassData);
+    const multiclassItems = await this.#fetchMulticlassItems(characterData.multiclassData);
+
+    await this.#processEquipmentAndFavorites(actor, equipment, favoriteUuids, startingWealth);
+
+    // The primary class runs first so it is recorded as the original class and receives its full level 1 proficiencies.
+    // Its subclass follows right after so features are granted up to the class level, then any additional classes.
+    const classOptions = {
+      levels: new Map([[classItem.uuid, characterData.startingLevel], ...multiclassItems.map(({ item, level }) => [item.uuid, level])]),
+      subclassParent: subclassItem ? classItem.uuid : null
+    };
+    const items = [classItem, subclassItem, ...multiclassItems.map(({ item }) => item), raceItem, backgroundItem].filter(Boolean);
+
+    // Ability score increases chosen on the Abilities tab skip their prompts
+    const choices = { ...(await this.#getAbilityBonusChoices(submission.formData, raceItem, backgroundItem)), ...(advancement.mode === 'auto' ? advancement.choices : {}) };
+    const resolution = { choices, useDefaults: advancement.mode === 'auto' };
+
+    // Another user finishes the advancements on their own client
+    if (advancement.mode === 'defer' && targetUser.id !== game.user.id) {
+      await this.#deferAdvancements(actor, items, classOptions, characterData.spellUuids, choices, targetUser);
+      return;
+    }
+
+    await this.#processAdvancements(items, actor, classOptions, resolution);
+
+    // Chosen spells are added last so they are not offered again by the advancement prompts
+    await this.addSelectedSpells(actor, characterData.spellUuids, classItem);
+  }
+
+  /**
+   * Reads the race and background ability score increases chosen on the Abilities tab
+   * @param {object} formData - Form data with the increase selects
+   * @param {Item} raceItem - The selected race
+   * @param {Item} backgroundItem - The selected background
+   * @returns {Promise<object>} Advancement data keyed by advancement ID and level
+   * @private
+   * @static
+   */
+  static async #getAbilityBonusChoices(formData, raceItem, backgroundItem) {
+    const choices = {};
+    for (const [source, item] of [['race', raceItem], ['background', backgroundItem]]) {
+      const improvement = await AbilityBonusManager.getImprovement(item.uuid);
+      Object.assign(choices, AbilityBonusManager.getChoices(formData, source, improvement));
+    }
+    return choices;
   }
 
   /* -------------------------------------------- */
@@ -185,6 +359,7 @@ export class ActorCreationService {
     const totalMissing = Object.values(missingFields).flat().length;
 
     if (totalMissing > 0) {
+      ui.notifications.warn(game.i18n.format('hm.errors.missing-mandatory', { fields: Object.values(missingFields).flat().join(', ') }));
       return false;
     }
 
@@ -244,6 +419,27 @@ export class ActorCreationService {
     return { useClassWealth, useBackgroundWealth, startingWealth };
   }
 
+  /**
+   * Adds the coins listed in the starting equipment descriptions of the class and background
+   * Coins of a source are skipped when its starting wealth is used instead of its equipment.
+   * @param {object|null} currency - Starting wealth after any shop purchases
+   * @param {object} formData - Form data containing the parsed equipment coins
+   * @param {{class: boolean, background: boolean}} useWealth - Whether starting wealth is used per source
+   * @returns {object|null} Currency amounts including the equipment coins
+   * @private
+   * @static
+   */
+  static #addEquipmentCurrency(currency, formData, useWealth) {
+    const types = ['class', 'background'].filter((type) => !useWealth[type] && formData[`equipment-currency-${type}`]);
+    if (!types.length) return currency;
+
+    const result = { ...EquipmentParser.initializeCurrencies(), ...currency };
+    for (const type of types) EquipmentParser.parseCurrenciesFromWealthString(formData[`equipment-currency-${type}`], result);
+
+    HM.log(3, 'Starting currency with equipment coins:', result);
+    return result;
+  }
+
   /**
    * Collects equipment selections from the form
    * @param {Event} event - The form submission event
@@ -278,19 +474,21 @@ export class ActorCreationService {
    * Processes equipment items, favorites, and currency
    * @param {Actor} actor - The actor to update
    * @param {Array<object>} equipment - Equipment items to add
-   * @param {Event} event - Form submission event
+   * @param {string[]} favoriteUuids - Source UUIDs of equipment to mark as favorite
    * @param {object} startingWealth - Starting wealth to set
    * @returns {Promise<void>}
    * @private
    * @static
    */
-  static async #processEquipmentAndFavorites(actor, equipment, event, startingWealth) {
+  static async #processEquipmentAndFavorites(actor, equipment, favoriteUuids, startingWealth) {
     try {
       // Process equipment items
       const createdItems = await this.#createEquipmentItems(actor, equipment);
 
       // Process favorites if any are selected
-      await this.#processFavoriteCheckboxes(actor, event, createdItems);
+      if (favoriteUuids.length > 0) {
+        await this.#processFavorites(actor, favoriteUuids, createdItems);
+      }
 
       // Set starting wealth if provided
       if (startingWealth) {
@@ -323,19 +521,16 @@ export class ActorCreationService {
   }
 
   /**
-   * Finds and processes favorite checkboxes from the form
-   * @param {Actor} actor - The actor to update
+   * Reads the source UUIDs of the equipment marked as favorite in the form
    * @param {Event} event - Form submission event
-   * @param {Array<Item>} createdItems - Items created on the actor
-   * @returns {Promise<void>}
+   * @returns {string[]} Unique source UUIDs
    * @private
    * @static
    */
-  static async #processFavoriteCheckboxes(actor, event, createdItems) {
+  static #collectFavoriteUuids(event) {
     const favoriteCheckboxes = event.target.querySelectorAll('.equipment-favorite-checkbox:checked');
-    if (favoriteCheckboxes.length > 0) {
-      await this.#processFavorites(actor, favoriteCheckboxes, createdItems);
-    }
+    const uuids = Array.from(favoriteCheckboxes).flatMap((checkbox) => this.#extractItemUuids(checkbox));
+    return [...new Set(uuids)];
   }
 
   /**
@@ -358,18 +553,18 @@ export class ActorCreationService {
   }
 
   /**
-   * Processes equipment favorites from form checkboxes
+   * Processes equipment favorites
    * @param {Actor} actor - The actor to update
-   * @param {NodeList} favoriteCheckboxes - Favorite checkboxes
+   * @param {string[]} favoriteUuids - Source UUIDs of favorite equipment
    * @param {Array<Item>} createdItems - Items created on the actor
    * @returns {Promise<void>}
    * @private
    * @static
    */
-  static async #processFavorites(actor, favoriteCheckboxes, createdItems) {
+  static async #processFavorites(actor, favoriteUuids, createdItems) {
     try {
       const currentActorFavorites = actor.system.favorites || [];
-      const newFavorites = await this.#collectNewFavorites(favoriteCheckboxes, createdItems);
+      const newFavorites = await this.#collectNewFavorites(favoriteUuids, createdItems);
 
       if (newFavorites.length > 0) {
         await this.#updateActorFavorites(actor, currentActorFavorites, newFavorites);
@@ -381,33 +576,24 @@ export class ActorCreationService {
   }
 
   /**
-   * Collects new favorites from selected checkboxes
-   * @param {NodeList} favoriteCheckboxes - Selected favorite checkboxes
+   * Collects new favorites for the selected source UUIDs
+   * @param {string[]} favoriteUuids - Unique source UUIDs of favorite equipment
    * @param {Array<Item>} createdItems - Items created on the actor
    * @returns {Promise<Array<object>>} Favorite data objects
    * @private
    * @static
    */
-  static async #collectNewFavorites(favoriteCheckboxes, createdItems) {
+  static async #collectNewFavorites(favoriteUuids, createdItems) {
     const newFavorites = [];
-    const processedUuids = new Set(); // To avoid duplicates
-
-    for (const checkbox of favoriteCheckboxes) {
-      const itemUuids = this.#extractItemUuids(checkbox);
-      if (!itemUuids.length) continue;
-
-      for (const uuid of itemUuids) {
-        if (processedUuids.has(uuid)) continue;
-        processedUuids.add(uuid);
-
-        const favoriteItems = await this.#findMatchingCreatedItems(uuid, createdItems);
-        for (const item of favoriteItems) {
-          newFavorites.push({
-            type: 'item',
-            id: `.Item.${item.id}`,
-            sort: 100000 + newFavorites.length
-          });
-        }
+
+    for (const uuid of favoriteUuids) {
+      const favoriteItems = await this.#findMatchingCreatedItems(uuid, createdItems);
+      for (const item of favoriteItems) {
+        newFavorites.push({
+          type: 'item',
+          id: `.Item.${item.id}`,
+          sort: 100000 + newFavorites.length
+        });
       }
     }
 
@@ -482,40 +668,73 @@ export class ActorCreationService {
   /**
    * Extracts item IDs, pack IDs, and UUIDs from form selections
    * @param {object} formData - Form data with selections
-   * @returns {object} Object containing background, race, and class data
+   * @returns {object} Object containing background, race, class, and optional subclass data
    * @private
    * @static
    */
   static #extractItemData(formData) {
-    // Extract the ID and packId from strings like "id [uuid] (packId)"
-    const extractIds = (itemString) => {
-      const idMatch = itemString.match(/^([^\s[]+)/);
-      const itemId = idMatch ? idMatch[1] : null;
-
-      const uuidMatch = itemString.match(/\[(.*?)]/);
-      const uuid = uuidMatch ? uuidMatch[1] : null;
-
-      let packId = null;
-      const packMatch = itemString.match(/\(([^)]+)\)/);
-      if (packMatch) {
-        packId = packMatch[1];
-      } else if (uuid && uuid.startsWith('Compendium.')) {
-        const parts = uuid.split('.');
-        if (parts.length >= 4 && parts[3] === 'Item') {
-          packId = `${parts[1]}.${parts[2]}`;
-        }
-      }
-
-      return itemId ? { itemId, packId, uuid } : null;
-    };
-
     return {
-      backgroundData: extractIds(formData.background),
-      raceData: extractIds(formData.race),
-      classData: extractIds(formData.class)
+      backgroundData: this.#parseItemString(formData.background),
+      raceData: this.#parseItemString(formData.race),
+      classData: this.#parseItemString(formData.class),
+      subclassData: this.#parseItemString(formData.subclass)
     };
   }
 
+  /**
+   * Extracts additional classes and their levels from multiclass form fields
+   * @param {object} formData - Form data with multiclass selections
+   * @returns {Array<object>} Item data for each additional class, including its level
+   * @private
+   * @static
+   */
+  static #extractMulticlassData(formData) {
+    const maxLevel = CONFIG.DND5E.maxLevel || 20;
+    const multiclassData = [];
+
+    for (const key in formData) {
+      const match = key.match(/^multiclass-class-(\d+)$/);
+      if (!match) continue;
+
+      const itemData = this.#parseItemString(formData[key]);
+      if (!itemData) continue;
+
+      const level = parseInt(formData[`multiclass-level-${match[1]}`]);
+      multiclassData.push({ ...itemData, level: isNaN(level) ? 1 : Math.clamp(level, 1, maxLevel) });
+    }
+
+    return multiclassData;
+  }
+
+  /**
+   * Extracts the item ID, pack ID, and UUID from strings like "id [uuid] (packId)"
+   * @param {string} itemString - Selected option value
+   * @returns {object|null} Object with itemId, packId and uuid, or null if the string is empty or invalid
+   * @private
+   * @static
+   */
+  static #parseItemString(itemString) {
+    if (!itemString) return null;
+    const idMatch = itemString.match(/^([^\s[]+)/);
+    const itemId = idMatch ? idMatch[1] : null;
+
+    const uuidMatch = itemString.match(/\[(.*?)]/);
+    const uuid = uuidMatch ? uuidMatch[1] : null;
+
+    let packId = null;
+    const packMatch = itemString.match(/\(([^)]+)\)/);
+    if (packMatch) {
+      packId = packMatch[1];
+    } else if (uuid && uuid.startsWith('Compendium.')) {
+      const parts = uuid.split('.');
+      if (parts.length >= 4 && parts[3] === 'Item') {
+        packId = `${parts[1]}.${parts[2]}`;
+      }
+    }
+
+    return itemId ? { itemId, packId, uuid } : null;
+  }
+
   /**
    * Extracts and formats ability scores from form data
    * @param {object} formData - Form data containing ability scores
@@ -532,13 +751,34 @@ export class ActorCreationService {
       const abilityMatch = key.match(/^abilities\[(\w+)]-score$/) || key.match(/^abilities\[(\w+)]$/);
       if (abilityMatch) {
         const abilityKey = abilityMatch[1];
-        abilities[abilityKey] = formData[key] || game.settings.get(HM.ID, 'abilityScoreDefault');
+        const limits = StatRoller.getAbilityLimits(abilityKey);
+        const score = parseInt(formData[key]);
+        abilities[abilityKey] = isNaN(score) ? limits.default : Math.clamp(score, limits.min, limits.max);
       }
     }
 
+    // Abilities the form did not include, such as extra abilities added after it was opened, start at their default
+    for (const abilityKey of Object.keys(CONFIG.DND5E.abilities)) {
+      abilities[abilityKey] ??= StatRoller.getAbilityLimits(abilityKey).default;
+    }
+
     return abilities;
   }
 
+  /**
+   * Extracts the starting level from form data, clamped to the system's level range
+   * @param {object} formData - Form data containing the starting level
+   * @returns {number} Starting level for the primary class
+   * @private
+   * @static
+   */
+  static #processStartingLevel(formData) {
+    const maxLevel = CONFIG.DND5E.maxLevel || 20;
+    const level = parseInt(formData['starting-level']);
+    if (isNaN(level)) return 1;
+    return Math.clamp(level, 1, maxLevel);
+  }
+
   /* -------------------------------------------- */
   /*  Actor Document Creation                     */
   /* -------------------------------------------- */
@@ -548,15 +788,16 @@ export class ActorCreationService {
    * @param {object} formData - Form data containing character details
    * @param {object} abilities - Processed ability scores
    * @param {string|null} targetUserId - ID of the target user if GM is creating for another player
+   * @param {number} [characterLevel=1] - Total level the character will reach once advancements complete
    * @returns {Promise<Actor>} The created actor
    * @private
    * @static
    */
-  static async #createActorDocument(formData, abilities, targetUserId) {
+  static async #createActorDocument(formData, abilities, targetUserId, characterLevel = 1) {
     try {
       // Build basic actor data
       const actorName = formData['character-name'] || game.user.name;
-      const actorData = this.#buildActorData(formData, abilities, actorName);
+      const actorData = this.#buildActorData(formData, abilities, actorName, characterLevel);
 
       // Set ownership appropriately when character is created by GM
       if (game.user.isGM && targetUserId) {
@@ -581,11 +822,16 @@ export class ActorCreationService {
    * @param {object} formData - Form data with character details
    * @param {object} abilities - Processed ability scores
    * @param {string} actorName - Character name
+   * @param {number} [characterLevel=1] - Total character level, used to seed experience points
    * @returns {object} Actor data object
    * @private
    * @static
    */
-  static #buildActorData(formData, abilities, actorName) {
+  static #buildActorData(formData, abilities, actorName, characterLevel = 1) {
+    const details = this.#buildCharacterDetails(formData);
+    const startingXP = CONFIG.DND5E.CHARACTER_EXP_LEVELS?.[characterLevel - 1];
+    if (startingXP) details.xp = { value: startingXP };
+
     return {
       name: actorName,
       img: formData['character-art'],
@@ -593,7 +839,7 @@ export class ActorCreationService {
       type: 'character',
       system: {
         abilities: Object.fromEntries(Object.entries(abilities).map(([key, value]) => [key, { value }])),
-        details: this.#buildCharacterDetails(formData)
+        details
       }
     };
   }
@@ -778,6 +1024,116 @@ export class ActorCreationService {
     }
   }
 
+  /**
+   * Fetches the optional subclass item for character creation
+   * @param {object|null} subclassData - Subclass selection data
+   * @returns {Promise<Item|null>} The subclass item, or null if none was selected or it could not be found
+   * @private
+   * @static
+   */
+  static async #fetchSubclassItem(subclassData) {
+    if (!subclassData) return null;
+
+    try {
+      const subclassItem = await game.packs.get(subclassData.packId)?.getDocument(subclassData.itemId);
+      if (!subclassItem) {
+        ui.notifications.warn('hm.warnings.no-subclass', { localize: true });
+        return null;
+      }
+      return subclassItem;
+    } catch (error) {
+      HM.log(1, 'Error fetching subclass item:', error);
+      ui.notifications.warn('hm.warnings.no-subclass', { localize: true });
+      return null;
+    }
+  }
+
+  /**
+   * Fetches the additional class items for a multiclass character
+   * @param {Array<object>} multiclassData - Additional class selections with levels
+   * @returns {Promise<Array<{item: Item, level: number}>>} Fetched class items with their levels
+   * @private
+   * @static
+   */
+  static async #fetchMulticlassItems(multiclassData) {
+    const multiclassItems = [];
+
+    for (const data of multiclassData) {
+      try {
+        const item = await game.packs.get(data.packId)?.getDocument(data.itemId);
+        if (item) {
+          multiclassItems.push({ item, level: data.level });
+        } else {
+          ui.notifications.warn(game.i18n.format('hm.warnings.no-multiclass', { uuid: data.uuid }));
+        }
+      } catch (error) {
+        HM.log(1, `Error fetching multiclass item ${data.uuid}:`, error);
+        ui.notifications.warn(game.i18n.format('hm.warnings.no-multiclass', { uuid: data.uuid }));
+      }
+    }
+
+    return multiclassItems;
+  }
+
+  /* -------------------------------------------- */
+  /*  Spell Processing                            */
+  /* -------------------------------------------- */
+
+  /**
+   * Adds the spells chosen on the Spells tab with the preparation mode of the class's spellcasting
+   * Also used by level up, where the class is already on the actor
+   * @param {Actor} actor - The actor to add spells to
+   * @param {string[]} spellUuids - UUIDs of the chosen spells
+   * @param {Item} classItem - The class the spells are learned through
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async addSelectedSpells(actor, spellUuids, classItem) {
+    if (!spellUuids?.length) return;
+
+    const progression = classItem.system?.spellcasting?.progression;
+    if (!progression || progression === 'none') {
+      HM.log(2, `${classItem.name} has no spellcasting, skipping ${spellUuids.length} selected spells`);
+      return;
+    }
+
+    const sourceClass = classItem.system.identifier || classItem.name.slugify({ strict: true });
+    const existing = new Set(actor.items.filter((item) => item.type === 'spell').map((item) => item._stats?.compendiumSource ?? item.flags?.core?.sourceId));
+    const spellData = [];
+
+    for (const uuid of spellUuids) {
+      if (existing.has(uuid)) continue;
+
+      try {
+        const spell = await fromUuid(uuid);
+        if (spell?.type !== 'spell') {
+          ui.notifications.warn(game.i18n.format('hm.warnings.no-spell', { uuid }));
+          continue;
+        }
+
+        const data = game.items.fromCompendium(spell);
+        foundry.utils.mergeObject(data, {
+          'system.preparation': SpellManager.getPreparation(progression, spell.system.level),
+          'system.sourceClass': sourceClass
+        });
+        spellData.push(data);
+      } catch (error) {
+        HM.log(1, `Error fetching spell ${uuid}:`, error);
+        ui.notifications.warn(game.i18n.format('hm.warnings.no-spell', { uuid }));
+      }
+    }
+
+    if (!spellData.length) return;
+
+    try {
+      await actor.createEmbeddedDocuments('Item', spellData);
+      HM.log(3, `Added ${spellData.length} spells to ${actor.name}`);
+    } catch (error) {
+      HM.log(1, 'Error adding selected spells:', error);
+      ui.notifications.error('hm.errors.spells-failed', { localize: true });
+    }
+  }
+
   /* -------------------------------------------- */
   /*  Advancement Processing                      */
   /* -------------------------------------------- */
@@ -786,11 +1142,13 @@ export class ActorCreationService {
    * Processes character advancement for class, race, and background
    * @param {Array<Item>} items - Items to process for advancement
    * @param {Actor} actor - The actor to apply advancements to
+   * @param {object} [classOptions={}] - Class levels keyed by UUID and the class whose subclass was chosen up front
+   * @param {object|null} [resolution=null] - Advancement data to apply without prompting, see #resolveAdvancementSteps
    * @returns {Promise<void>}
    * @private
    * @static
    */
-  static async #processAdvancements(items, actor) {
+  static async #processAdvancements(items, actor, classOptions = {}, resolution = null) {
     if (!Array.isArray(items) || !items.length) {
       HM.log(2, 'No items provided for advancement');
       return;
@@ -802,12 +1160,12 @@ export class ActorCreationService {
 
       // Process items with advancements
       if (itemsWithAdvancements.length) {
-        await this.#runAdvancementManagers(itemsWithAdvancements, actor);
+        await this.#runAdvancementManagers(itemsWithAdvancements, actor, classOptions, resolution);
       }
 
       // Add items without advancements directly
       if (itemsWithoutAdvancements.length) {
-        await this.#addItemsWithoutAdvancements(actor, itemsWithoutAdvancements);
+        await this.#addItemsWithoutAdvancements(actor, itemsWithoutAdvancements, classOptions);
       }
 
       // Generate character summary
@@ -846,13 +1204,14 @@ export class ActorCreationService {
    * Adds items without advancements directly to actor
    * @param {Actor} actor - Actor to add items to
    * @param {Array<Item>} items - Items to add
+   * @param {object} [classOptions={}] - Class levels keyed by UUID and the class whose subclass was chosen up front
    * @returns {Promise<void>}
    * @private
    * @static
    */
-  static async #addItemsWithoutAdvancements(actor, items) {
+  static async #addItemsWithoutAdvancements(actor, items, classOptions = {}) {
     try {
-      const itemData = items.map((item) => item.toObject());
+      const itemData = items.map((item) => this.#prepareItemData(item, classOptions));
       await actor.createEmbeddedDocuments('Item', itemData);
     } catch (error) {
       HM.log(1, 'Error adding items without advancements:', error);
@@ -886,11 +1245,13 @@ export class ActorCreationService {
    * Runs advancement managers for items with advancements
    * @param {Array<Item>} items - Items with advancements
    * @param {Actor} actor - Actor to apply advancements to
+   * @param {object} [classOptions={}] - Class levels keyed by UUID and the class whose subclass was chosen up front
+   * @param {object|null} [resolution=null] - Advancement data to apply without prompting, see #resolveAdvancementSteps
    * @returns {Promise<void>}
    * @private
    * @static
    */
-  static async #runAdvancementManagers(items, actor) {
+  static async #runAdvancementManagers(items, actor, classOptions = {}, resolution = null) {
     if (!items.length) return;
 
     let currentManager = null;
@@ -902,7 +1263,8 @@ export class ActorCreationService {
         HM.log(3, `Processing advancements for ${item.name} (${i + 1}/${items.length})`);
 
         try {
-          currentManager = await this.#createAdvancementManager(actor, item);
+          currentManager = await this.#createAdvancementManager(actor, item, classOptions);
+          const resolved = resolution ? await this.#resolveAdvancementSteps(currentManager, resolution) : false;
 
           // Add progress feedback
           ui.notifications.info(
@@ -933,7 +1295,9 @@ export class ActorCreationService {
               resolve();
             });
 
-            currentManager.render(true);
+            // Fully resolved managers complete without being shown
+            if (resolved) currentManager._complete();
+            else currentManager.render(true);
           });
         } catch (error) {
           results.failure.push(item.name);
@@ -985,17 +1349,19 @@ export class ActorCreationService {
 
   /**
    * Creates advancement manager with retry capability
+   * Class items are created at the starting level, so the manager walks through every level in one session.
    * @param {Actor} actor - Actor to apply advancements to
    * @param {Item} item - Item to process
+   * @param {object} [classOptions={}] - Class levels keyed by UUID and the class whose subclass was chosen up front
    * @param {number} retryCount - Current retry attempt
    * @returns {Promise<object>} Advancement manager
    * @private
    * @static
    */
-  static async #createAdvancementManager(actor, item, retryCount = 0) {
+  static async #createAdvancementManager(actor, item, classOptions = {}, retryCount = 0) {
     try {
       const manager = await Promise.race([
-        dnd5e.applications.advancement.AdvancementManager.forNewItem(actor, item.toObject()),
+        dnd5e.applications.advancement.AdvancementManager.forNewItem(actor, this.#prepareItemData(item, classOptions)),
         new Promise((_, reject) => {
           setTimeout(() => reject(new Error('Manager creation timed out')), this.ADVANCEMENT_DELAY.renderTimeout);
         })
@@ -1006,12 +1372,104 @@ export class ActorCreationService {
     } catch (error) {
       if (retryCount < this.ADVANCEMENT_DELAY.retryAttempts - 1) {
         HM.log(2, `Retry ${retryCount + 1}/${this.ADVANCEMENT_DELAY.retryAttempts} for ${item.name}`);
-        return this.#createAdvancementManager(actor, item, retryCount + 1);
+        return this.#createAdvancementManager(actor, item, classOptions, retryCount + 1);
       }
       throw error;
     }
   }
 
+  /**
+   * Applies provided advancement data to the steps of a manager and removes those steps, so only the rest are prompted
+   * With defaults, steps without provided data use the system's automatic value, and hit points default to the maximum at level 1 and the average after.
+   * @param {object} manager - Advancement manager
+   * @param {object} resolution - Advancement data to apply
+   * @param {object} resolution.choices - Advancement data keyed by advancement ID and level
+   * @param {boolean} [resolution.useDefaults=false] - Whether to fall back to automatic values
+   * @returns {Promise<boolean>} Whether all steps were resolved
+   * @private
+   * @static
+   */
+  static async #resolveAdvancementSteps(manager, { choices, useDefaults = false }) {
+    if (typeof manager._complete !== 'function') return false;
+
+    const remaining = [];
+    for (const step of manager.steps) {
+      if (step.type !== 'forward' || !step.flow) {
+        remaining.push(step);
+        continue;
+      }
+
+      const { advancement, level } = step.flow;
+      let data = choices[advancement.id]?.[level];
+      if (useDefaults && data === undefined) data = await advancement.automaticApplicationValue?.(level);
+      if (useDefaults && (data === undefined || data === false) && advancement.type === 'HitPoints') data = { [level]: level === 1 ? 'max' : 'avg' };
+      if (data === undefined || data === false) {
+        if (useDefaults) HM.log(2, `No choice provided for ${advancement.title} (${advancement.id}) at level ${level}, prompting instead`);
+        remaining.push(step);
+        continue;
+      }
+
+      await advancement.apply(level, data);
+    }
+
+    manager.steps = remaining;
+    return !remaining.length;
+  }
+
+  /**
+   * Stores the items to advance on the actor so the owning player can complete them on their own client
+   * @param {Actor} actor - The created actor
+   * @param {Array<Item>} items - Items to advance, in order
+   * @param {object} classOptions - Class levels keyed by UUID and the class whose subclass was chosen up front
+   * @param {string[]} spellUuids - Spells to add once the class is on the actor
+   * @param {object} choices - Advancement data already chosen, keyed by advancement ID and level
+   * @param {User} targetUser - The owning player
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #deferAdvancements(actor, items, classOptions, spellUuids, choices, targetUser) {
+    await actor.setFlag(HM.ID, this.DEFERRED_FLAG, {
+      userId: targetUser.id,
+      items: items.map((item) => item.uuid),
+      levels: Array.from(classOptions.levels ?? []),
+      subclassParent: classOptions.subclassParent ?? null,
+      spells: spellUuids ?? [],
+      choices
+    });
+
+    game.socket.emit(ApprovalService.SOCKET, { action: 'advance', userId: targetUser.id, actorId: actor.id });
+    ui.notifications.info(game.i18n.format('hm.info.advancement-deferred', { name: actor.name, player: targetUser.name }));
+  }
+
+  /**
+   * Converts an item to creation data, setting class levels to the starting level
+   * When a subclass was chosen up front, the class's own subclass prompt is removed to avoid adding a second one
+   * @param {Item} item - Item to convert
+   * @param {object} [classOptions={}] - Class level options
+   * @param {Map<string, number>} [classOptions.levels] - Level to assign to each class item, keyed by UUID
+   * @param {string|null} [classOptions.subclassParent] - UUID of the class whose subclass was chosen up front
+   * @returns {object} Item data ready for creation or advancement
+   * @private
+   * @static
+   */
+  static #prepareItemData(item, classOptions = {}) {
+    const itemData = item.toObject();
+    if (item.type !== 'class') return itemData;
+
+    const level = classOptions.levels?.get(item.uuid) ?? 1;
+    itemData.system.levels = level;
+    HM.log(3, `Advancing ${item.name} to level ${level}`);
+
+    if (classOptions.subclassParent === item.uuid && itemData.system.advancement) {
+      const advancement = itemData.system.advancement;
+      itemData.system.advancement = Array.isArray(advancement)
+        ? advancement.filter((a) => a.type !== 'Subclass')
+        : Object.fromEntries(Object.entries(advancement).filter(([, a]) => a.type !== 'Subclass'));
+    }
+    return itemData;
+  }
+
   /**
    * Applies CPR effects to the actor if compatibility is enabled
    * @param {Actor} actor - The actor to apply automations to
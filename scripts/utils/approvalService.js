@@ -0,0 +1,355 @@
+import { AbilityBonusManager, ActorCreationService, DOMManager, EquipmentShop, HM, SavedOptions, StatRoller } from './index.js';
+
+/**
+ * Sends player submissions to the GM for approval when approval mode is enabled
+ * Pending builds are kept in a world setting by the active GM, review results in a flag on the submitting user
+ * @class
+ */
+export class ApprovalService {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Socket channel of the module
+   * @type {string}
+   * @static
+   */
+  static SOCKET = 'module.hero-mancer';
+
+  /**
+   * User flag holding the status of the user's last submission
+   * @type {string}
+   * @static
+   */
+  static STATUS_FLAG = 'approval';
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Listens for submissions and review results on the module socket
+   * @static
+   */
+  static registerSocket() {
+    game.socket.on(this.SOCKET, (message) => this.#onMessage(message));
+    HM.log(3, 'Approval socket registered');
+  }
+
+  /**
+   * Whether submissions of the current user need GM approval
+   * @returns {boolean} True if approval mode is on and the user is not a GM
+   * @static
+   */
+  static isRequired() {
+    return game.settings.get(HM.ID, 'requireApproval') && !game.user.isGM;
+  }
+
+  /**
+   * Sends a submission to the GM as a pending build
+   * The form is saved as well, so the player can revise it if the build is rejected
+   * @param {object} submission - Data collected by ActorCreationService
+   * @param {HTMLFormElement|null} form - The Hero Mancer form, or null for builds created through the API
+   * @returns {Promise<boolean>} Whether the submission was sent
+   * @static
+   */
+  static async submit(submission, form) {
+    if (form) await SavedOptions.saveOptions({ ...submission.formData, preset: HM.heroMancer?.presetId ?? null });
+
+    if (!game.users.activeGM) {
+      ui.notifications.error('hm.approval.no-gm', { localize: true });
+      return false;
+    }
+
+    const name = submission.formData['character-name'] || game.user.name;
+    const pending = {
+      id: foundry.utils.randomID(),
+      userId: game.user.id,
+      name,
+      submitted: Date.now(),
+      submission
+    };
+
+    game.socket.emit(this.SOCKET, { action: 'submit', pending });
+    await game.user.setFlag(HM.ID, this.STATUS_FLAG, { status: 'pending', name, timestamp: pending.submitted });
+
+    ui.notifications.info(game.i18n.format('hm.approval.submitted', { name }));
+    return true;
+  }
+
+  /**
+   * Gets the pending builds, oldest first
+   * @returns {object[]} Pending builds
+   * @static
+   */
+  static getPending() {
+    const pending = game.settings.get(HM.ID, 'pendingBuilds') || {};
+    return Object.values(pending).sort((a, b) => a.submitted - b.submitted);
+  }
+
+  /**
+   * Creates the actor of a pending build for the player who submitted it
+   * Equipment is created from its compendium sources, only the submitted quantity and equipped state are kept.
+   * @param {string} pendingId - The pending build ID
+   * @returns {Promise<Actor|null>} The created actor or null if creation failed
+   * @static
+   */
+  static async approve(pendingId) {
+    const pending = game.settings.get(HM.ID, 'pendingBuilds')?.[pendingId];
+    const user = game.users.get(pending?.userId);
+    if (!pending || !user) {
+      ui.notifications.error('hm.approval.missing', { localize: true });
+      return null;
+    }
+
+    const equipment = await this.#rebuildEquipment(pending.submission.equipment);
+    const actor = await ActorCreationService.createFromSubmission({ ...pending.submission, equipment }, user);
+    if (!actor) return null;
+
+    await ActorCreationService.releaseCreationState(user);
+    await this.#resolve(pending, user, 'approved');
+    return actor;
+  }
+
+  /**
+   * Discards a pending build and leaves a comment for the player
+   * @param {string} pendingId - The pending build ID
+   * @param {string} comment - Reason shown to the player
+   * @returns {Promise<boolean>} Whether the build was rejected
+   * @static
+   */
+  static async reject(pendingId, comment) {
+    const pending = game.settings.get(HM.ID, 'pendingBuilds')?.[pendingId];
+    const user = game.users.get(pending?.userId);
+    if (!pending) {
+      ui.notifications.error('hm.approval.missing', { localize: true });
+      return false;
+    }
+
+    await this.#resolve(pending, user, 'rejected', comment);
+    return true;
+  }
+
+  /**
+   * Fills the review sections of a pending build from its submission
+   * The review is built on the GM's client with the Finalize tab renderers, so nothing the player's client rendered is shown.
+   * @param {HTMLElement} container - Element holding the review sections of the build
+   * @param {object} submission - The submitted build
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async renderReview(container, submission) {
+    const { formData = {}, equipment = [], startingWealth = null, rollBreakdowns = {} } = submission ?? {};
+    const uuidOf = (value) => value?.match(/\[(.*?)]/)?.[1];
+
+    const multiclass = Object.keys(formData)
+      .map((key) => key.match(/^multiclass-class-(\d+)$/)?.[1])
+      .filter((index) => index && uuidOf(formData[`multiclass-class-${index}`]))
+      .map((index) => ({ uuid: uuidOf(formData[`multiclass-class-${index}`]), level: parseInt(formData[`multiclass-level-${index}`]) || 1 }));
+
+    await DOMManager.renderBasicInfoReview(container.querySelector('.basic-info-review'), {
+      race: uuidOf(formData.race),
+      class: uuidOf(formData.class),
+      subclass: uuidOf(formData.subclass),
+      background: uuidOf(formData.background),
+      level: parseInt(formData['starting-level']) || 1,
+      multiclass
+    });
+
+    const scores = Object.fromEntries(
+      Object.keys(CONFIG.DND5E.abilities).map((key) => {
+        const limits = StatRoller.getAbilityLimits(key);
+        const score = parseInt(formData[`abilities[${key}]`] ?? formData[`abilities[${key}]-score`]);
+        return [key, isNaN(score) ? limits.default : Math.clamp(score, limits.min, limits.max)];
+      })
+    );
+    DOMManager.renderAbilitiesReview(container.querySelector('.abilities-grid'), await AbilityBonusManager.applyFormBonuses(scores, formData), rollBreakdowns);
+
+    await DOMManager.renderEquipmentItems(container.querySelector('.equipment-items'), equipment.map((item) => this.#getEquipmentEntry(item)));
+    const wealth = container.querySelector('.equipment-wealth');
+    if (wealth) {
+      wealth.hidden = !startingWealth;
+      wealth.textContent = startingWealth ? EquipmentShop.formatCurrency(startingWealth) : '';
+    }
+
+    await DOMManager.renderBiographyReview(container.querySelector('.bio-preview'), {
+      alignment: formData.alignment || '',
+      size: formData.size || '',
+      gender: formData.gender || '',
+      age: formData.age || '',
+      weight: formData.weight || '',
+      height: formData.height || '',
+      eyes: formData.eyes || '',
+      hair: formData.hair || '',
+      skin: formData.skin || '',
+      faith: formData.faith || '',
+      personalityTraits: formData.traits || '',
+      ideals: formData.ideals || '',
+      bonds: formData.bonds || '',
+      flaws: formData.flaws || '',
+      physicalDescription: formData.appearance || '',
+      backstory: this.#toParagraphs(formData.backstory)
+    });
+  }
+
+  /**
+   * Gets the status of the current user's last submission
+   * @returns {object|null} Status with name, status, comment and timestamp
+   * @static
+   */
+  static getStatus() {
+    return game.user.getFlag(HM.ID, this.STATUS_FLAG) ?? null;
+  }
+
+  /**
+   * Dismisses the review result shown on the Start tab
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async dismissStatus(_event, target) {
+    await game.user.unsetFlag(HM.ID, ApprovalService.STATUS_FLAG);
+    target.closest('.approval-status')?.remove();
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Handles messages on the module socket
+   * @param {object} message - Socket message
+   * @param {string} message.action - Either "submit" or "reviewed"
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #onMessage(message) {
+    try {
+      switch (message?.action) {
+        case 'submit':
+          if (!game.user.isGM) return;
+          ui.notifications.info(game.i18n.format('hm.approval.received', { name: message.pending.name, player: game.users.get(message.pending.userId)?.name }));
+          // Only one GM writes the setting
+          if (game.user === game.users.activeGM) {
+            await game.settings.set(HM.ID, 'pendingBuilds', { ...game.settings.get(HM.ID, 'pendingBuilds'), [message.pending.id]: message.pending });
+          }
+          break;
+        case 'reviewed':
+          if (message.userId !== game.user.id) return;
+          if (message.status === 'approved') {
+            EquipmentShop.clear();
+            ui.notifications.info(game.i18n.format('hm.approval.approved', { name: message.name }));
+          } else {
+            ui.notifications.warn(game.i18n.format('hm.approval.rejected', { name: message.name }));
+          }
+          break;
+      }
+    } catch (error) {
+      HM.log(1, 'Error handling approval message:', error);
+    }
+  }
+
+  /**
+   * Removes a reviewed build from the pending list and records the result for the player
+   * @param {object} pending - The pending build
+   * @param {User|undefined} user - The user who submitted the build
+   * @param {string} status - Either "approved" or "rejected"
+   * @param {string} [comment] - Reason shown to the player
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #resolve(pending, user, status, comment = '') {
+    const pendingBuilds = { ...game.settings.get(HM.ID, 'pendingBuilds') };
+    delete pendingBuilds[pending.id];
+    await game.settings.set(HM.ID, 'pendingBuilds', pendingBuilds);
+
+    if (!user) return;
+    await user.setFlag(HM.ID, this.STATUS_FLAG, { status, name: pending.name, comment, timestamp: Date.now() });
+    game.socket.emit(this.SOCKET, { action: 'reviewed', userId: user.id, status, name: pending.name });
+  }
+
+  /**
+   * Gets the compendium UUID a submitted item was created from
+   * @param {object} item - Item data from the submission
+   * @returns {string|null} The compendium UUID, null for items without one
+   * @private
+   * @static
+   */
+  static #getSourceUuid(item) {
+    const uuid = item?._stats?.compendiumSource ?? item?.flags?.core?.sourceId;
+    return typeof uuid === 'string' && uuid.startsWith('Compendium.') ? uuid : null;
+  }
+
+  /**
+   * Creates the item data of submitted equipment again from the compendium sources
+   * Items without a source are left out and reported to the GM.
+   * @param {Array<object>} [equipment] - Item data from the submission
+   * @returns {Promise<Array<object>>} Item data to create
+   * @private
+   * @static
+   */
+  static async #rebuildEquipment(equipment = []) {
+    const items = [];
+    const skipped = [];
+
+    for (const item of equipment) {
+      const uuid = this.#getSourceUuid(item);
+      const source = uuid ? await fromUuid(uuid) : null;
+      if (!source) {
+        skipped.push(item?.name ?? game.i18n.localize('hm.unknown'));
+        continue;
+      }
+
+      // Submitted IDs are kept so container contents stay in their containers
+      const data = game.items.fromCompendium(source, { keepId: true });
+      if (!item._id) delete data._id;
+      const quantity = parseInt(item.system?.quantity);
+      if (quantity > 0) data.system.quantity = quantity;
+      if (typeof item.system?.equipped === 'boolean') data.system.equipped = item.system.equipped;
+      items.push(data);
+    }
+
+    if (skipped.length) {
+      HM.log(2, 'Submitted equipment without a compendium source was left out:', skipped);
+      ui.notifications.warn(game.i18n.format('hm.approval.equipment-skipped', { items: skipped.join(', ') }));
+    }
+
+    return items;
+  }
+
+  /**
+   * Gets the review entry of a submitted equipment item
+   * Items are shown as they will be created, from their compendium source with the submitted quantity.
+   * @param {object} item - Item data from the submission
+   * @returns {{uuid: string|null, name: string}} Review entry
+   * @private
+   * @static
+   */
+  static #getEquipmentEntry(item) {
+    const source = fromUuidSync(this.#getSourceUuid(item) ?? '');
+    const quantity = item?.system?.quantity > 1 ? ` (${item.system.quantity})` : '';
+    if (source?.uuid) return { uuid: source.uuid, name: `${source.name}${quantity}` };
+    return { uuid: null, name: game.i18n.format('hm.approval.no-source', { name: `${item?.name ?? game.i18n.localize('hm.unknown')}${quantity}` }) };
+  }
+
+  /**
+   * Turns submitted backstory markup into escaped paragraphs of its text
+   * @param {string} [html] - Backstory markup
+   * @returns {string} Paragraphs without any of the submitted markup
+   * @private
+   * @static
+   */
+  static #toParagraphs(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html || '';
+
+    return Array.from(template.content.childNodes, (node) => node.textContent.trim())
+      .filter(Boolean)
+      .map((text) => `<p>${Handlebars.escapeExpression(text)}</p>`)
+      .join('');
+  }
+}
@@ -0,0 +1,290 @@
+import { DOMManager, HM, PresetManager, SavedOptions, SpellManager } from './index.js';
+
+const { DialogV2 } = foundry.applications.api;
+
+/**
+ * Exports the Hero Mancer form to a JSON file and imports it again, possibly in another world
+ * @class
+ */
+export class BuildTransfer {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Version of the exported file format
+   * @type {number}
+   * @static
+   */
+  static FORMAT_VERSION = 1;
+
+  /**
+   * How long imported equipment choices keep being applied while the equipment tab renders, in milliseconds
+   * @type {number}
+   * @static
+   */
+  static EQUIPMENT_RESTORE_TIMEOUT = 10000;
+
+  /**
+   * Methods whose scores come from dice, so an imported file cannot vouch for them
+   * @type {string[]}
+   * @static
+   */
+  static ROLLED_METHODS = ['manualFormula', 'rollPool'];
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Downloads the current build as a JSON file
+   * @param {Event} event - The triggering event
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async exportBuild(event) {
+    event?.preventDefault();
+    const form = HM.heroMancer?.element;
+    if (!form) return;
+
+    try {
+      const build = BuildTransfer.serialize(form);
+      const name = build.form['character-name'] || game.user.name;
+      const saveFile = foundry.utils.saveDataToFile ?? saveDataToFile;
+      saveFile(JSON.stringify(build, null, 2), 'text/json', `hero-mancer-${name.slugify({ strict: true }) || 'build'}.json`);
+      ui.notifications.info('hm.app.transfer.exported', { localize: true });
+    } catch (error) {
+      HM.log(1, 'Error exporting build:', error);
+      ui.notifications.error('hm.errors.export-failed', { localize: true });
+    }
+  }
+
+  /**
+   * Asks for a build file and restores it into the form
+   * @param {Event} event - The triggering event
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async importBuild(event) {
+    event?.preventDefault();
+    const form = HM.heroMancer?.element;
+    if (!form) return;
+
+    const file = await DialogV2.prompt({
+      window: { title: 'hm.app.transfer.import' },
+      content: `<p>${game.i18n.localize('hm.app.transfer.import-hint')}</p><input type="file" name="build-file" accept=".json,application/json" aria-label="${game.i18n.localize('hm.app.transfer.import')}">`,
+      ok: {
+        label: 'hm.app.transfer.import',
+        callback: (_event, button) => button.form.elements['build-file'].files[0]
+      },
+      rejectClose: false,
+      modal: true
+    });
+    if (!file) return;
+
+    try {
+      const readFile = foundry.utils.readTextFromFile ?? readTextFromFile;
+      const build = JSON.parse(await readFile(file));
+      if (!BuildTransfer.isValidBuild(build)) {
+        ui.notifications.error('hm.errors.import-invalid', { localize: true });
+        return;
+      }
+
+      // Rolled scores have to be rolled again, only the method is taken over
+      const rolled = BuildTransfer.ROLLED_METHODS.includes(build.abilities?.method);
+      const missing = await BuildTransfer.findMissingUuids(build);
+      await BuildTransfer.restore(form, rolled ? BuildTransfer.#withoutScores(build) : build);
+
+      ui.notifications.info('hm.app.transfer.imported', { localize: true });
+      if (rolled) ui.notifications.warn('hm.app.transfer.scores-not-imported', { localize: true });
+      if (missing.length) await BuildTransfer.#reportMissingUuids(missing);
+    } catch (error) {
+      HM.log(1, 'Error importing build:', error);
+      ui.notifications.error('hm.errors.import-invalid', { localize: true });
+    }
+  }
+
+  /**
+   * Serializes the current form state
+   * @param {HTMLFormElement} form - The Hero Mancer form
+   * @returns {object} Build data ready to be written as JSON
+   * @static
+   */
+  static serialize(form) {
+    const FormDataClass = foundry.applications.ux?.FormDataExtended ?? FormDataExtended;
+    const abilitiesTab = form.querySelector('.tab[data-tab="abilities"]');
+
+    return {
+      module: HM.ID,
+      moduleVersion: game.modules.get(HM.ID)?.version,
+      formatVersion: this.FORMAT_VERSION,
+      system: { id: game.system.id, version: game.system.version },
+      exported: new Date().toISOString(),
+      form: PresetManager.applyLockedValues(new FormDataClass(form).object, HM.heroMancer?.presetId),
+      abilities: {
+        method: abilitiesTab?.dataset.currentMethod || form.querySelector('#roll-method')?.value || game.settings.get(HM.ID, 'diceRollingMethod'),
+        scores: DOMManager.collectAbilityScores()
+      },
+      equipment: this.#collectEquipmentSelections(form)
+    };
+  }
+
+  /**
+   * Checks that parsed JSON looks like a Hero Mancer build
+   * @param {object} build - Parsed build data
+   * @returns {boolean} Whether the data can be imported
+   * @static
+   */
+  static isValidBuild(build) {
+    return build?.module === HM.ID && typeof build.form === 'object' && build.form !== null && build.formatVersion <= this.FORMAT_VERSION;
+  }
+
+  /**
+   * Finds compendium UUIDs referenced by a build that do not exist in this world
+   * @param {object} build - Build data
+   * @returns {Promise<string[]>} UUIDs that could not be resolved
+   * @static
+   */
+  static async findMissingUuids(build) {
+    const uuids = new Set();
+
+    for (const [key, value] of Object.entries(build.form)) {
+      if (typeof value !== 'string') continue;
+      if (key === 'spells') {
+        SpellManager.parseSelections(value).forEach((uuid) => uuids.add(uuid));
+        continue;
+      }
+      const uuid = value.match(/\[(.*?)]/)?.[1];
+      if (uuid) uuids.add(uuid);
+    }
+
+    for (const value of Object.values(build.equipment ?? {})) {
+      if (typeof value === 'string' && value.startsWith('Compendium.')) uuids.add(value);
+    }
+
+    const missing = [];
+    for (const uuid of uuids) {
+      try {
+        if (!(await fromUuid(uuid))) missing.push(uuid);
+      } catch (error) {
+        HM.log(3, `Unable to resolve ${uuid}:`, error);
+        missing.push(uuid);
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * Restores a build into the form, replacing the current selections
+   * Fields locked by the active preset keep the preset's values
+   * @param {HTMLFormElement} form - The Hero Mancer form
+   * @param {object} build - Build data
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async restore(form, build) {
+    const lockedBuild = PresetManager.lockBuild(build, HM.heroMancer?.presetId);
+    await SavedOptions.resetOptions(form);
+    form.querySelectorAll('.multiclass-row').forEach((row) => row.remove());
+
+    // The abilities tab is rendered per method, so switch methods before restoring the scores
+    const method = lockedBuild.abilities?.method;
+    if (method && method !== game.settings.get(HM.ID, 'diceRollingMethod')) {
+      await game.settings.set(HM.ID, 'diceRollingMethod', method);
+      await HM.heroMancer.render({ parts: ['abilities'] });
+    }
+
+    await DOMManager.restoreFormOptions(form, lockedBuild.form);
+    this.#applyEquipmentSelections(form, lockedBuild.equipment ?? {});
+
+    DOMManager.updateClassRaceSummary();
+    DOMManager.updateBackgroundSummary();
+    DOMManager.updateAbilitiesSummary();
+    DOMManager.updateReviewTab();
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Copies a build without its ability scores and roll pool assignments
+   * @param {object} build - Build data
+   * @returns {object} The build with only the ability score method
+   * @private
+   * @static
+   */
+  static #withoutScores(build) {
+    const form = Object.fromEntries(Object.entries(build.form).filter(([key]) => !key.startsWith('abilities[') && !key.startsWith('roll-pool-')));
+    return { ...build, form, abilities: { method: build.abilities.method, scores: {} } };
+  }
+
+  /**
+   * Reads the equipment choices, which are keyed by element ID rather than form field name
+   * @param {HTMLFormElement} form - The Hero Mancer form
+   * @returns {Object<string, string|boolean>} Select values and checkbox states keyed by element ID
+   * @private
+   * @static
+   */
+  static #collectEquipmentSelections(form) {
+    const container = form.querySelector('#equipment-container');
+    if (!container) return {};
+
+    const selections = {};
+    container.querySelectorAll('select[id], input[type="checkbox"][id]').forEach((input) => {
+      selections[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return selections;
+  }
+
+  /**
+   * Applies imported equipment choices as the equipment sections are rendered for the restored class and background
+   * @param {HTMLFormElement} form - The Hero Mancer form
+   * @param {Object<string, string|boolean>} selections - Equipment choices keyed by element ID
+   * @private
+   * @static
+   */
+  static #applyEquipmentSelections(form, selections) {
+    const container = form.querySelector('#equipment-container');
+    if (!container || !Object.keys(selections).length) return;
+
+    const apply = foundry.utils.debounce(() => {
+      for (const [id, value] of Object.entries(selections)) {
+        const input = container.querySelector(`#${CSS.escape(id)}`);
+        if (!input) continue;
+
+        if (input.type === 'checkbox') {
+          if (input.checked === value) continue;
+          input.checked = value;
+        } else {
+          if (input.value === value || !Array.from(input.options ?? []).some((option) => option.value === value)) continue;
+          input.value = value;
+        }
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    }, 250);
+
+    const observer = DOMManager.observe('build-import-equipment', container, { childList: true, subtree: true }, apply);
+    apply();
+    setTimeout(() => observer?.disconnect(), this.EQUIPMENT_RESTORE_TIMEOUT);
+  }
+
+  /**
+   * Lists the UUIDs of an imported build that could not be found
+   * @param {string[]} missing - Unresolved UUIDs
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #reportMissingUuids(missing) {
+    HM.log(2, 'Imported build references missing documents:', missing);
+    const items = missing.map((uuid) => `<li><code>${Handlebars.escapeExpression(uuid)}</code></li>`).join('');
+
+    await DialogV2.prompt({
+      window: { title: 'hm.app.transfer.missing-title' },
+      content: `<p>${game.i18n.format('hm.app.transfer.missing', { count: missing.length })}</p><ul>${items}</ul>`,
+      rejectClose: false
+    });
+  }
+}
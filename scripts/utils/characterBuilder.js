@@ -0,0 +1,335 @@
+import { ActorCreationService, ApprovalService, HM, RollAuditService, StatRoller } from './index.js';
+
+const { DialogV2 } = foundry.applications.api;
+
+/**
+ * Creates characters from plain build objects without opening the Hero Mancer form
+ * Builds are converted to the same form data the form submits, so they go through the same validation and creation steps.
+ * @example
+ * await heroMancer.createCharacter({
+ *   name: 'Thorin',
+ *   owner: 'Player Name',
+ *   race: 'Compendium.dnd5e.races.Item.abc',
+ *   class: 'Compendium.dnd5e.classes.Item.def',
+ *   background: 'Compendium.dnd5e.backgrounds.Item.ghi',
+ *   level: 3,
+ *   abilities: { str: 15, dex: 12, con: 14, int: 8, wis: 13, cha: 10 },
+ *   equipment: ['Compendium.dnd5e.items.Item.jkl', { uuid: 'Compendium.dnd5e.items.Item.mno', quantity: 20, favorite: true }]
+ * }, { advancements: 'defer' });
+ * @class
+ */
+export class CharacterBuilder {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * How advancements are resolved
+   * "prompt" shows the advancement prompts to the caller, "auto" applies the provided choices and prompts only for what is missing,
+   * "defer" leaves the prompts for the owning player
+   * @type {string[]}
+   * @static
+   */
+  static ADVANCEMENT_MODES = ['prompt', 'auto', 'defer'];
+
+  /**
+   * Build keys copied to the biography form fields
+   * @type {string[]}
+   * @static
+   */
+  static BIOGRAPHY_FIELDS = ['age', 'alignment', 'appearance', 'bonds', 'eyes', 'faith', 'flaws', 'gender', 'hair', 'height', 'ideals', 'skin', 'traits', 'weight', 'backstory'];
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Creates a character from a build
+   * @param {object} build - The character build
+   * @param {string} build.race - Race UUID
+   * @param {string} build.class - Class UUID
+   * @param {string} build.background - Background UUID
+   * @param {string} [build.subclass] - Subclass UUID
+   * @param {string} [build.name] - Character name
+   * @param {string} [build.owner] - ID or name of the owning user, defaults to the current user
+   * @param {number} [build.level=1] - Level of the main class
+   * @param {Array<{class: string, level: number}>} [build.multiclass] - Additional classes by UUID
+   * @param {Object<string, number>} [build.abilities] - Ability scores keyed by ability
+   * @param {string} [build.method] - Roll method the scores come from, checked for players; without one any method they may use will do
+   * @param {object} [build.abilityBonuses] - Race and background increases to assign, e.g. {background: {str: 2, con: 1}}
+   * @param {Array<string|object>} [build.equipment] - Item UUIDs or {uuid, quantity, equipped, favorite}, sent to the GM for approval when a player creates the build
+   * @param {object} [build.currency] - Starting currency, e.g. {gp: 15}, sent to the GM for approval when a player creates the build
+   * @param {string[]} [build.spells] - Spell UUIDs
+   * @param {object} [build.biography] - Biography fields such as age, alignment, traits and backstory
+   * @param {object} [build.art] - {character, token} image paths
+   * @param {object} [build.player] - {color, pronouns, avatar} for player customization
+   * @param {object} [options] - Creation options
+   * @param {string} [options.advancements="prompt"] - One of ADVANCEMENT_MODES
+   * @param {object} [options.choices] - Advancement data keyed by advancement ID and level, used by "auto"
+   * @returns {Promise<Actor|boolean|void>} The created actor, true if the build was sent for approval, or void if it is invalid
+   * @static
+   */
+  static async create(build, { advancements = 'prompt', choices = {} } = {}) {
+    if (!this.ADVANCEMENT_MODES.includes(advancements)) {
+      ui.notifications.error(game.i18n.format('hm.api.errors.invalid-mode', { mode: advancements, modes: this.ADVANCEMENT_MODES.join(', ') }));
+      return;
+    }
+
+    const owner = this.#resolveOwner(build?.owner);
+    if (!owner) return;
+
+    const formData = this.toFormData(build, owner);
+    if (!ActorCreationService.validateFormData(formData) || !this.#validateScores(build, formData, owner)) return;
+
+    try {
+      const equipment = await this.#prepareEquipment(build.equipment);
+      const favoriteUuids = this.#collectFavoriteUuids(build.equipment);
+      const startingWealth = build.currency ? this.#prepareCurrency(build.currency) : null;
+      const rollLog = game.user.isGM ? [] : RollAuditService.getLog();
+      const submission = { formData, equipment, favoriteUuids, startingWealth, rollLog, advancement: { mode: advancements, choices } };
+
+      // Players cannot give themselves any items or coins they like, so a GM has to look at those builds
+      const needsReview = !game.user.isGM && (equipment.length > 0 || !!startingWealth);
+      if (ApprovalService.isRequired() || needsReview) return await ApprovalService.submit(submission, null);
+
+      const actor = await ActorCreationService.createFromSubmission(submission, owner);
+      if (actor && !game.user.isGM) await ActorCreationService.releaseCreationState();
+      return actor;
+    } catch (error) {
+      HM.log(1, 'Error creating character from build:', error);
+      ui.notifications.error('hm.errors.form-submission', { localize: true });
+    }
+  }
+
+  /**
+   * Checks a build against the Hero Mancer form rules without creating anything
+   * @param {object} build - The character build
+   * @returns {boolean} True if the build can be created
+   * @static
+   */
+  static validate(build) {
+    const owner = this.#resolveOwner(build?.owner);
+    if (!owner) return false;
+
+    const formData = this.toFormData(build, owner);
+    return ActorCreationService.validateFormData(formData) && this.#validateScores(build, formData, owner);
+  }
+
+  /**
+   * Converts a build to the flat form data the Hero Mancer form submits
+   * @param {object} build - The character build
+   * @param {User} owner - The owning user
+   * @returns {object} Flat form data
+   * @static
+   */
+  static toFormData(build, owner) {
+    const formData = {
+      'character-name': build.name || owner.name,
+      player: owner.id,
+      race: this.#toItemString(build.race),
+      class: this.#toItemString(build.class),
+      background: this.#toItemString(build.background),
+      subclass: this.#toItemString(build.subclass),
+      'starting-level': build.level ?? 1,
+      spells: (build.spells ?? []).join(','),
+      'character-art': build.art?.character ?? '',
+      'token-art': build.art?.token ?? '',
+      'player-color': build.player?.color ?? owner.color?.css,
+      'player-pronouns': build.player?.pronouns ?? owner.pronouns,
+      'player-avatar': build.player?.avatar ?? owner.avatar
+    };
+
+    for (const key of Object.keys(CONFIG.DND5E.abilities)) {
+      formData[`abilities[${key}]`] = build.abilities?.[key] ?? StatRoller.getAbilityLimits(key).default;
+    }
+
+    for (const [source, bonuses] of Object.entries(build.abilityBonuses ?? {})) {
+      for (const [key, value] of Object.entries(bonuses)) {
+        formData[`ability-bonus-${source}-${key}`] = value;
+      }
+    }
+
+    (build.multiclass ?? []).forEach((entry, index) => {
+      formData[`multiclass-class-${index}`] = this.#toItemString(entry.class);
+      formData[`multiclass-level-${index}`] = entry.level ?? 1;
+    });
+
+    for (const field of this.BIOGRAPHY_FIELDS) {
+      if (build.biography?.[field]) formData[field] = build.biography[field];
+    }
+
+    return formData;
+  }
+
+  /**
+   * Listens for characters whose advancements were left for this user
+   * @returns {void}
+   * @static
+   */
+  static registerSocket() {
+    game.socket.on(ApprovalService.SOCKET, (message) => {
+      if (message?.action !== 'advance' || message.userId !== game.user.id) return;
+      const actor = game.actors.get(message.actorId);
+      if (actor) this.#promptDeferred(actor);
+    });
+  }
+
+  /**
+   * Offers to run the advancements left for this user on characters created while they were away
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async checkDeferred() {
+    const actors = game.actors.filter((actor) => actor.getFlag(HM.ID, ActorCreationService.DEFERRED_FLAG)?.userId === game.user.id);
+    for (const actor of actors) {
+      await this.#promptDeferred(actor);
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Finds the owning user of a build
+   * Only GMs can create characters for other users.
+   * @param {string} [owner] - User ID or name
+   * @returns {User|null} The owning user, or null if it cannot be used
+   * @private
+   * @static
+   */
+  static #resolveOwner(owner) {
+    if (!owner) return game.user;
+
+    const user = game.users.get(owner) ?? game.users.getName(owner);
+    if (!user) {
+      ui.notifications.error(game.i18n.format('hm.api.errors.no-owner', { owner }));
+      return null;
+    }
+
+    if (user !== game.user && !game.user.isGM) {
+      ui.notifications.error('hm.api.errors.owner-permission', { localize: true });
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Checks the ability scores of a player's build against the roll methods they may use
+   * GMs can set any scores within the ability limits.
+   * @param {object} build - The character build
+   * @param {object} formData - Flat form data of the build
+   * @param {User} owner - The owning user
+   * @returns {boolean} True if the scores can be used
+   * @private
+   * @static
+   */
+  static #validateScores(build, formData, owner) {
+    if (game.user.isGM) return true;
+
+    const scores = Object.fromEntries(Object.keys(CONFIG.DND5E.abilities).map((key) => [key, formData[`abilities[${key}]`]]));
+    const reason = StatRoller.checkScores(scores, build.method ?? null, owner);
+    if (!reason) return true;
+
+    ui.notifications.error(game.i18n.format('hm.api.errors.invalid-scores', { reason }));
+    return false;
+  }
+
+  /**
+   * Formats a UUID the way the form's item dropdowns do
+   * @param {string} [uuid] - Item UUID
+   * @returns {string} Item string, or an empty string without a UUID
+   * @private
+   * @static
+   */
+  static #toItemString(uuid) {
+    if (!uuid) return '';
+    return `${uuid.split('.').pop()} [${uuid}]`;
+  }
+
+  /**
+   * Fetches the equipment of a build and converts it to item data
+   * @param {Array<string|object>} [entries] - Item UUIDs or {uuid, quantity, equipped, favorite}
+   * @returns {Promise<Array<object>>} Item data to create
+   * @private
+   * @static
+   */
+  static async #prepareEquipment(entries = []) {
+    const equipment = [];
+
+    for (const entry of entries) {
+      const { uuid, quantity = 1, equipped = true } = typeof entry === 'string' ? { uuid: entry } : entry;
+      const item = await fromUuid(uuid);
+      if (!item) {
+        HM.log(2, `Equipment ${uuid} not found, skipping`);
+        ui.notifications.warn(game.i18n.format('hm.api.errors.no-item', { uuid }));
+        continue;
+      }
+
+      if (item.type === 'container') {
+        const contents = await CONFIG.Item.documentClass.createWithContents([item], {
+          keepId: true,
+          transformAll: async (doc) => {
+            const data = game.items.fromCompendium(doc);
+            if (doc === item) Object.assign(data.system, { quantity, equipped });
+            return data;
+          }
+        });
+        equipment.push(...contents);
+        continue;
+      }
+
+      const data = game.items.fromCompendium(item);
+      equipment.push({ ...data, system: { ...data.system, quantity, equipped } });
+    }
+
+    return equipment;
+  }
+
+  /**
+   * Gets the UUIDs of the equipment marked as favorite
+   * @param {Array<string|object>} [entries] - Item UUIDs or {uuid, quantity, equipped, favorite}
+   * @returns {string[]} Unique UUIDs
+   * @private
+   * @static
+   */
+  static #collectFavoriteUuids(entries = []) {
+    return [...new Set(entries.filter((entry) => entry?.favorite).map((entry) => entry.uuid))];
+  }
+
+  /**
+   * Fills in the currencies a build leaves out
+   * @param {object} currency - Currency amounts keyed by denomination
+   * @returns {object} Amount for every denomination
+   * @private
+   * @static
+   */
+  static #prepareCurrency(currency) {
+    return Object.fromEntries(Object.keys(CONFIG.DND5E.currencies).map((key) => [key, parseInt(currency[key]) || 0]));
+  }
+
+  /**
+   * Asks the owning player to complete the advancements of a character
+   * @param {Actor} actor - The actor with deferred advancements
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #promptDeferred(actor) {
+    const proceed = await DialogV2.confirm({
+      window: { title: 'hm.api.deferred.title' },
+      content: `<p>${game.i18n.format('hm.api.deferred.content', { name: actor.name })}</p>`,
+      rejectClose: false,
+      modal: true
+    });
+    if (!proceed) return;
+
+    try {
+      await ActorCreationService.resumeDeferredAdvancements(actor);
+    } catch (error) {
+      HM.log(1, `Error completing advancements for ${actor.name}:`, error);
+      ui.notifications.error('hm.errors.form-submission', { localize: true });
+    }
+  }
+}
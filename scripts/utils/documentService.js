@@ -5,12 +5,32 @@ import { HM, JournalPageFinder } from './index.js';
  * @class
  */
 export class DocumentService {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Cached index entries of all spells in the configured spell packs
+   * @type {Array<object>|null}
+   * @private
+   * @static
+   */
+  static #spellIndex = null;
+
+  /**
+   * Cached index entries of all general feats in the Item packs
+   * @type {Array<object>|null}
+   * @private
+   * @static
+   */
+  static #featIndex = null;
+
   /* -------------------------------------------- */
   /*  Static Public Methods                       */
   /* -------------------------------------------- */
 
   /**
-   * Initialize document preparation and caching for races, classes, and backgrounds
+   * Initialize document preparation and caching for races, classes, subclasses, and backgrounds
    * @static
    * @async
    * @returns {Promise<void>}
@@ -21,7 +41,7 @@ export class DocumentService {
 
     try {
       // Define document types to prepare
-      const documentTypes = ['race', 'class', 'background'];
+      const documentTypes = ['race', 'class', 'subclass', 'background'];
 
       // Fetch all document types in parallel
       const results = await Promise.all(documentTypes.map((type) => DocumentService.prepareDocumentsByType(type)));
@@ -44,14 +64,14 @@ export class DocumentService {
 
   /**
    * Fetches and prepares documents based on the specified type for dropdown use
-   * @param {'race'|'class'|'background'|'species'} type - Document type to register
+   * @param {'race'|'class'|'subclass'|'background'|'species'} type - Document type to register
    * @returns {Promise<{types: Array, dropdownHtml: string}>}
    * @static
    */
   static async prepareDocumentsByType(type) {
     try {
       // Validate input type
-      if (!type || !['race', 'class', 'background', 'species'].includes(type)) {
+      if (!type || !['race', 'class', 'subclass', 'background', 'species'].includes(type)) {
         HM.log(2, `Invalid document type: ${type}`);
         ui.notifications.error('hm.errors.invalid-document-type', { localize: true });
         return { types: [], dropdownHtml: '' };
@@ -65,7 +85,14 @@ export class DocumentService {
       }
 
       // Process the documents based on type
-      const result = type === 'race' || type === 'species' ? this.#organizeRacesByFolderName(data.documents) : this.#getFlatDocuments(data.documents);
+      let result;
+      if (type === 'race' || type === 'species') {
+        result = this.#organizeRacesByFolderName(data.documents);
+      } else if (type === 'subclass') {
+        result = this.#getSubclassDocuments(data.documents);
+      } else {
+        result = this.#getFlatDocuments(data.documents);
+      }
 
       /**
        * A hook event that fires after documents have been fetched and organized.
@@ -93,6 +120,71 @@ export class DocumentService {
     }
   }
 
+  /**
+   * Gets lightweight index entries for every spell in the configured spell packs
+   * Spells are only read from the compendium index, so full documents are not loaded until a spell is added
+   * @returns {Promise<Array<{name: string, uuid: string, img: string, level: number, school: string}>>}
+   * @static
+   */
+  static async getSpellIndex() {
+    if (this.#spellIndex) return this.#spellIndex;
+
+    const selectedPacks = game.settings.get(HM.ID, this.#getPackSettingKey('spell')) || [];
+    const packs = this.#getValidPacks(selectedPacks, 'spell');
+    const spells = [];
+
+    for (const pack of packs) {
+      try {
+        const index = await pack.getIndex({ fields: ['system.level', 'system.school'] });
+        for (const entry of index) {
+          if (entry.type !== 'spell') continue;
+          spells.push({
+            name: entry.name,
+            uuid: entry.uuid,
+            img: entry.img,
+            level: entry.system?.level ?? 0,
+            school: entry.system?.school ?? ''
+          });
+        }
+      } catch (error) {
+        HM.log(1, `Failed to retrieve spell index from pack ${pack.metadata.label}:`, error);
+      }
+    }
+
+    this.#spellIndex = spells.sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+    HM.log(3, `Indexed ${spells.length} spells`);
+    return this.#spellIndex;
+  }
+
+  /**
+   * Gets lightweight index entries for every general feat in the Item packs
+   * Feats have no pack setting of their own, so all Item packs are searched
+   * @returns {Promise<Array<{name: string, uuid: string, img: string}>>}
+   * @static
+   */
+  static async getFeatIndex() {
+    if (this.#featIndex) return this.#featIndex;
+
+    const packs = this.#getValidPacks([], 'feat');
+    const feats = [];
+
+    for (const pack of packs) {
+      try {
+        const index = await pack.getIndex({ fields: ['system.type.value'] });
+        for (const entry of index) {
+          if (entry.type !== 'feat' || entry.system?.type?.value !== 'feat') continue;
+          feats.push({ name: entry.name, uuid: entry.uuid, img: entry.img });
+        }
+      } catch (error) {
+        HM.log(1, `Failed to retrieve feat index from pack ${pack.metadata.label}:`, error);
+      }
+    }
+
+    this.#featIndex = feats.sort((a, b) => a.name.localeCompare(b.name));
+    HM.log(3, `Indexed ${feats.length} feats`);
+    return this.#featIndex;
+  }
+
   /* -------------------------------------------- */
   /*  Static Private Methods                      */
   /* -------------------------------------------- */
@@ -180,7 +272,8 @@ export class DocumentService {
           journalPageId: doc.journalPageId,
           packName: doc.packName,
           packId: doc.packId,
-          uuid: doc.uuid
+          uuid: doc.uuid,
+          identifier: doc.system?.identifier || doc.name.slugify({ strict: true })
         }))
         .sort((a, b) => a.name.localeCompare(b.name));
     } catch (error) {
@@ -189,20 +282,66 @@ export class DocumentService {
     }
   }
 
+  /**
+   * Gets flat list of subclass documents with their parent class identifier and the level they are gained
+   * @param {Array} documents - Subclass documents to process
+   * @returns {Array} Processed subclass documents
+   * @private
+   */
+  static #getSubclassDocuments(documents) {
+    if (!documents?.length) {
+      return [];
+    }
+
+    try {
+      return documents
+        .map((doc) => ({
+          id: doc.id,
+          name: `${doc.name} (${doc.packName || 'Unknown'})`,
+          description: doc.description,
+          enrichedDescription: doc.enrichedDescription,
+          journalPageId: doc.journalPageId,
+          packName: doc.packName,
+          packId: doc.packId,
+          uuid: doc.uuid,
+          classIdentifier: doc.system?.classIdentifier || '',
+          level: this.#getEarliestAdvancementLevel(doc.system)
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      HM.log(1, 'Error processing subclass documents:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Finds the lowest level at which an item grants an advancement
+   * @param {object} system - Item system data
+   * @returns {number} Earliest advancement level, or 1 if the item has none
+   * @private
+   */
+  static #getEarliestAdvancementLevel(system) {
+    const levels = Object.values(system?.advancement ?? {})
+      .map((advancement) => advancement.level)
+      .filter((level) => Number.isInteger(level) && level > 0);
+
+    return levels.length ? Math.min(...levels) : 1;
+  }
+
   /**
    * Fetches documents from compendiums based on type
-   * @param {'race'|'class'|'background'|'species'} type - Document type
+   * @param {'race'|'class'|'subclass'|'background'|'species'} type - Document type
    * @returns {Promise<{documents: Array}>} Array of processed documents
    * @private
    */
   static async #fetchTypeDocumentsFromCompendiums(type) {
     // Validate type for safety
-    if (!['race', 'class', 'background', 'species'].includes(type)) {
+    if (!['race', 'class', 'subclass', 'background', 'species'].includes(type)) {
       throw new Error(`Invalid document type: ${type}`);
     }
 
     // Get user-selected packs or fall back to all item packs
-    const selectedPacks = game.settings.get(HM.ID, `${type}Packs`) || [];
+    const selectedPacks = game.settings.get(HM.ID, this.#getPackSettingKey(type)) || [];
     let packs = this.#getValidPacks(selectedPacks, type);
 
     if (!packs.length) {
@@ -219,6 +358,17 @@ export class DocumentService {
     };
   }
 
+  /**
+   * Gets the compendium setting key for a document type
+   * Subclasses are read from the same packs as their classes
+   * @param {string} type - Document type
+   * @returns {string} Setting key holding the selected pack IDs
+   * @private
+   */
+  static #getPackSettingKey(type) {
+    return type === 'subclass' ? 'classPacks' : `${type}Packs`;
+  }
+
   /**
    * Get valid packs based on user selection or defaults
    * @param {string[]} selectedPacks - User-selected pack IDs
@@ -247,13 +397,14 @@ export class DocumentService {
         // If we found invalid packs, update the settings to remove them
         if (invalidPackIds.length > 0) {
           const updatedPacks = selectedPacks.filter((id) => !invalidPackIds.includes(id));
-          HM.log(2, `Removing ${invalidPackIds.length} invalid packs from ${type}Packs setting.`);
+          const settingKey = this.#getPackSettingKey(type);
+          HM.log(2, `Removing ${invalidPackIds.length} invalid packs from ${settingKey} setting.`);
 
           // Update the setting (wrapped in try/catch as this might fail if user lacks permissions)
           try {
-            game.settings.set(HM.ID, `${type}Packs`, updatedPacks);
+            game.settings.set(HM.ID, settingKey, updatedPacks);
           } catch (e) {
-            HM.log(1, `Failed to update ${type}Packs setting: ${e.message}`);
+            HM.log(1, `Failed to update ${settingKey} setting: ${e.message}`);
           }
         }
 
@@ -263,7 +414,7 @@ export class DocumentService {
         }
 
         // Otherwise log a warning that we're using fallback
-        HM.log(2, `No valid packs found in ${type}Packs settings. Falling back to all available Item packs.`);
+        HM.log(2, `No valid packs found in ${this.#getPackSettingKey(type)} settings. Falling back to all available Item packs.`);
       }
 
       // Fall back to all Item packs if no valid selected packs
@@ -0,0 +1,203 @@
+import { DOMManager, HM, PresetManager, SavedOptions } from './index.js';
+
+const { DialogV2 } = foundry.applications.api;
+
+/**
+ * Manages the named draft list on the Start tab
+ * @class
+ */
+export class DraftManager {
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Saves the current form as a named draft
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async saveDraft(_event, target) {
+    const form = target.closest('form');
+    const defaultName = form?.querySelector('#character-name')?.value || game.i18n.format('hm.app.start.drafts.default-name', { number: SavedOptions.getDrafts().length + 1 });
+
+    const name = await DraftManager.#promptName('hm.app.start.drafts.save', defaultName);
+    if (!name) return;
+
+    const draft = await SavedOptions.saveDraft(name, DraftManager.#getFormData(form));
+    if (!draft) {
+      ui.notifications.error('hm.app.start.drafts.save-failed', { localize: true });
+      return;
+    }
+
+    ui.notifications.info(game.i18n.format('hm.app.start.drafts.saved', { name }));
+    DraftManager.renderList(form);
+  }
+
+  /**
+   * Loads a draft into the form, replacing the current selections
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element inside a draft row
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async loadDraft(_event, target) {
+    const form = target.closest('form');
+    const draft = SavedOptions.getDraft(target.closest('[data-draft-id]')?.dataset.draftId);
+    if (!form || !draft) return;
+
+    try {
+      await SavedOptions.resetOptions(form);
+      form.querySelectorAll('.multiclass-row').forEach((row) => row.remove());
+
+      await SavedOptions.loadDraft(draft.id);
+      await DOMManager.restoreFormOptions(form, PresetManager.applyLockedValues({ ...draft.data }, HM.heroMancer?.presetId));
+
+      DOMManager.updateClassRaceSummary();
+      DOMManager.updateBackgroundSummary();
+      DOMManager.updateAbilitiesSummary();
+      DOMManager.updateReviewTab();
+
+      ui.notifications.info(game.i18n.format('hm.app.start.drafts.loaded', { name: draft.name }));
+    } catch (error) {
+      HM.log(1, `Error loading draft ${draft.name}:`, error);
+      ui.notifications.error('hm.app.start.drafts.load-failed', { localize: true });
+    }
+  }
+
+  /**
+   * Copies a draft under a new name
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element inside a draft row
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async duplicateDraft(_event, target) {
+    const draft = SavedOptions.getDraft(target.closest('[data-draft-id]')?.dataset.draftId);
+    if (!draft) return;
+
+    const name = await DraftManager.#promptName('hm.app.start.drafts.duplicate', game.i18n.format('hm.app.start.drafts.copy-name', { name: draft.name }));
+    if (!name) return;
+
+    await SavedOptions.duplicateDraft(draft.id, name);
+    DraftManager.renderList(target.closest('form'));
+  }
+
+  /**
+   * Renames a draft
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element inside a draft row
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async renameDraft(_event, target) {
+    const draft = SavedOptions.getDraft(target.closest('[data-draft-id]')?.dataset.draftId);
+    if (!draft) return;
+
+    const name = await DraftManager.#promptName('hm.app.start.drafts.rename', draft.name);
+    if (!name || name === draft.name) return;
+
+    await SavedOptions.renameDraft(draft.id, name);
+    DraftManager.renderList(target.closest('form'));
+  }
+
+  /**
+   * Deletes a draft after confirmation
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element inside a draft row
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async deleteDraft(_event, target) {
+    const draft = SavedOptions.getDraft(target.closest('[data-draft-id]')?.dataset.draftId);
+    if (!draft) return;
+
+    const confirmed = await DialogV2.confirm({
+      window: { title: 'hm.app.start.drafts.delete' },
+      content: `<p>${game.i18n.format('hm.app.start.drafts.delete-confirm', { name: Handlebars.escapeExpression(draft.name) })}</p>`,
+      rejectClose: false,
+      modal: true
+    });
+    if (!confirmed) return;
+
+    await SavedOptions.deleteDraft(draft.id);
+    DraftManager.renderList(target.closest('form'));
+  }
+
+  /**
+   * Rebuilds the draft list from the saved drafts
+   * @param {HTMLElement} root - Element containing the draft manager
+   * @static
+   */
+  static renderList(root) {
+    const list = root?.querySelector('.draft-list');
+    const template = root?.querySelector('#draft-item-template');
+    if (!list || !template) return;
+
+    const drafts = SavedOptions.getDrafts();
+    list.innerHTML = '';
+
+    for (const draft of drafts) {
+      const item = template.content.firstElementChild.cloneNode(true);
+      item.dataset.draftId = draft.id;
+      item.querySelector('.draft-name').textContent = draft.name;
+      item.querySelector('.draft-preview').textContent = this.#formatPreview(draft.preview);
+      item.querySelector('.draft-timestamp').textContent = new Date(draft.timestamp).toLocaleString(game.i18n.lang);
+      list.appendChild(item);
+    }
+
+    root.querySelector('.draft-empty')?.toggleAttribute('hidden', drafts.length > 0);
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Reads the current form values the same way a form submission would, including fields locked by a preset
+   * @param {HTMLFormElement} form - The Hero Mancer form
+   * @returns {object} Flat form data
+   * @private
+   * @static
+   */
+  static #getFormData(form) {
+    const FormDataClass = foundry.applications.ux?.FormDataExtended ?? FormDataExtended;
+    return PresetManager.applyLockedValues(new FormDataClass(form).object, HM.heroMancer?.presetId);
+  }
+
+  /**
+   * Joins the race, class and background names of a draft preview
+   * @param {object} [preview] - Draft preview
+   * @returns {string} Preview text
+   * @private
+   * @static
+   */
+  static #formatPreview(preview = {}) {
+    const parts = ['race', 'class', 'background'].map((type) => preview[type]).filter(Boolean);
+    return parts.length ? parts.join(' · ') : game.i18n.localize('hm.app.start.drafts.no-selections');
+  }
+
+  /**
+   * Asks for a draft name
+   * @param {string} title - Localization key of the dialog title
+   * @param {string} defaultName - Name to prefill
+   * @returns {Promise<string|null>} The trimmed name, or null if cancelled or empty
+   * @private
+   * @static
+   */
+  static async #promptName(title, defaultName) {
+    const name = await DialogV2.prompt({
+      window: { title },
+      content: `<input type="text" name="draft-name" value="${Handlebars.escapeExpression(defaultName)}" aria-label="${game.i18n.localize('hm.app.start.drafts.name')}" autofocus>`,
+      ok: {
+        label: 'hm.app.start.drafts.confirm',
+        callback: (_event, button) => button.form.elements['draft-name'].value
+      },
+      rejectClose: false,
+      modal: true
+    });
+
+    return name?.trim() || null;
+  }
+}
@@ -0,0 +1,241 @@
+import { AbilityBonusManager, DOMManager, EquipmentParser, HM, MulticlassManager } from '../../utils/index.js';
+
+/**
+ * Projects the Armor Class and weapon attacks the chosen equipment would give the character
+ * Uses the final ability scores and the proficiency bonus of the starting level so equipment options can be compared.
+ * @class
+ */
+export class CombatPreview {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Class identifiers with unarmored defense and the ability added to 10 + DEX
+   * @type {Object<string, {ability: string, shield: boolean, calc: string}>}
+   * @static
+   */
+  static UNARMORED_DEFENSE = {
+    barbarian: { ability: 'con', shield: true, calc: 'unarmoredBarb' },
+    monk: { ability: 'wis', shield: false, calc: 'unarmoredMonk' }
+  };
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Builds the projected Armor Class and attacks for a set of items
+   * @param {Array<string>} uuids - UUIDs of the chosen items
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {Promise<{ac: object, weapons: Array<object>}>} Armor Class with its source, and the attack and damage of each weapon
+   * @static
+   */
+  static async getPreview(uuids, element = HM.heroMancer?.element) {
+    const items = (await Promise.all([...new Set(uuids)].map((uuid) => fromUuid(uuid).catch(() => null)))).filter(Boolean);
+    const scores = AbilityBonusManager.applyBonuses(DOMManager.collectAbilityScores(), element);
+    const mods = Object.fromEntries(Object.keys(CONFIG.DND5E.abilities).map((key) => [key, this.getModifier(scores[key])]));
+
+    return {
+      ac: this.getArmorClass(items, mods),
+      weapons: items.filter((item) => item.type === 'weapon').map((item) => this.getAttack(item, mods))
+    };
+  }
+
+  /**
+   * Gets an ability modifier
+   * @param {number} score - Ability score
+   * @returns {number} Modifier, 0 without a score
+   * @static
+   */
+  static getModifier(score) {
+    return score ? Math.floor((score - 10) / 2) : 0;
+  }
+
+  /**
+   * Gets the proficiency bonus of the character's total starting level
+   * @returns {number} Proficiency bonus
+   * @static
+   */
+  static getProficiencyBonus() {
+    const primaryLevel = parseInt(document.querySelector('#starting-level')?.value) || 1;
+    const level = MulticlassManager.getSelections().reduce((sum, selection) => sum + selection.level, primaryLevel);
+    return Math.floor((level + 7) / 4);
+  }
+
+  /**
+   * Projects the Armor Class from the best chosen armor and shield, or from unarmored defense without armor
+   * @param {Array<Item>} items - Chosen items
+   * @param {Object<string, number>} mods - Ability modifiers
+   * @returns {{value: number, label: string, unarmored: {value: number, label: string}|null}} Armor Class, what it comes from,
+   * and the class's unarmored defense when the character has it
+   * @static
+   */
+  static getArmorClass(items, mods) {
+    const armors = items.filter((item) => item.type === 'equipment' && ['light', 'medium', 'heavy'].includes(item.system.type?.value));
+    const shield = items
+      .filter((item) => item.type === 'equipment' && item.system.type?.value === 'shield')
+      .sort((a, b) => this.#getArmorValue(b) - this.#getArmorValue(a))[0];
+    const shieldBonus = shield ? this.#getArmorValue(shield) : 0;
+
+    const defense = this.#getUnarmoredDefense(!!shield);
+    const unarmored =
+      defense ?
+        {
+          value: 10 + mods.dex + mods[defense.ability] + (defense.shield ? shieldBonus : 0),
+          label: CONFIG.DND5E.armorClasses[defense.calc]?.label ?? game.i18n.localize('hm.app.finalize.combat.unarmored-defense')
+        }
+      : null;
+
+    const withShield = (ac) => ({
+      value: ac.value + shieldBonus,
+      label: shield ? game.i18n.format('hm.app.finalize.combat.with-shield', { armor: ac.label, shield: shield.name }) : ac.label
+    });
+
+    if (armors.length) {
+      const best = armors.map((armor) => ({ value: this.#getArmoredValue(armor, mods.dex), label: armor.name })).sort((a, b) => b.value - a.value)[0];
+      return { ...withShield(best), unarmored };
+    }
+
+    if (unarmored) return { ...unarmored, unarmored: null };
+    return { ...withShield({ value: 10 + mods.dex, label: CONFIG.DND5E.armorClasses.default?.label ?? game.i18n.localize('hm.app.finalize.combat.no-armor') }), unarmored: null };
+  }
+
+  /**
+   * Gets the attack bonus and damage of a weapon
+   * Ranged weapons use DEX, finesse weapons the better of STR and DEX, and all others STR.
+   * @param {Item} item - Weapon
+   * @param {Object<string, number>} mods - Ability modifiers
+   * @returns {{name: string, uuid: string, ability: string, toHit: number, damage: string, proficient: boolean}} Attack of the weapon
+   * @static
+   */
+  static getAttack(item, mods) {
+    const properties = item.system.properties ?? new Set();
+    const ranged = ['simpleR', 'martialR'].includes(item.system.type?.value);
+    let ability = item.system.ability || (ranged ? 'dex' : 'str');
+    if (!item.system.ability && properties.has?.('fin')) ability = mods.dex > mods.str ? 'dex' : 'str';
+
+    const proficient = EquipmentParser.getInstance().isProficient(item);
+    const magicalBonus = Number(item.system.magicalBonus) || 0;
+    const toHit = mods[ability] + (proficient ? this.getProficiencyBonus() : 0) + magicalBonus;
+
+    return {
+      name: item.name,
+      uuid: item.uuid,
+      ability: CONFIG.DND5E.abilities[ability]?.abbreviation ?? ability,
+      toHit,
+      damage: this.#getDamage(item, mods[ability] + magicalBonus),
+      proficient
+    };
+  }
+
+  /**
+   * Formats a projected Armor Class and attacks for the review tab
+   * @param {{ac: object, weapons: Array<object>}} preview - Preview from getPreview
+   * @returns {Promise<string>} HTML
+   * @static
+   */
+  static async toHTML({ ac, weapons }) {
+    const signed = (value) => (value >= 0 ? `+${value}` : `${value}`);
+    const unarmored = ac.unarmored ? ` <span class="combat-unarmored">${game.i18n.format('hm.app.finalize.combat.unarmored', ac.unarmored)}</span>` : '';
+
+    const rows = await Promise.all(
+      weapons.map(async (weapon) => {
+        const name = await TextEditor.enrichHTML(`@UUID[${weapon.uuid}]{${weapon.name}}`);
+        const note = weapon.proficient ? '' : ` <em>(${game.i18n.localize('hm.app.equipment.lacks-proficiency')})</em>`;
+        return `<tr><td>${name}${note}</td><td>${signed(weapon.toHit)} (${weapon.ability})</td><td>${weapon.damage}</td></tr>`;
+      })
+    );
+
+    const table =
+      rows.length ?
+        `<table class="combat-weapons">
+          <thead><tr>
+            <th>${game.i18n.localize('hm.app.finalize.combat.weapon')}</th>
+            <th>${game.i18n.localize('hm.app.finalize.combat.to-hit')}</th>
+            <th>${game.i18n.localize('hm.app.finalize.combat.damage')}</th>
+          </tr></thead>
+          <tbody>${rows.join('')}</tbody>
+        </table>`
+      : '';
+
+    return `
+      <div class="combat-ac"><strong>${game.i18n.localize('DND5E.ArmorClass')}: ${ac.value}</strong> <span>(${ac.label})</span>${unarmored}</div>
+      ${table}
+    `;
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Gets the unarmored defense of the selected classes
+   * @param {boolean} [shield=false] - Whether a shield is chosen, which leaves out unarmored defenses that do not allow one
+   * @returns {{ability: string, shield: boolean, calc: string}|null} Unarmored defense, null if no selected class has one that applies
+   * @private
+   * @static
+   */
+  static #getUnarmoredDefense(shield = false) {
+    const uuids = [HM.SELECTED.class?.uuid, ...MulticlassManager.getSelections().map((selection) => selection.uuid)].filter(Boolean);
+    for (const uuid of uuids) {
+      const identifier = fromUuidSync(uuid)?.system?.identifier;
+      const defense = this.UNARMORED_DEFENSE[identifier];
+      if (defense && (defense.shield || !shield)) return defense;
+    }
+    return null;
+  }
+
+  /**
+   * Gets the base Armor Class of an armor or the bonus of a shield, including any magical bonus
+   * @param {Item} item - Armor or shield
+   * @returns {number} Armor value
+   * @private
+   * @static
+   */
+  static #getArmorValue(item) {
+    return (Number(item.system.armor?.value) || 0) + (Number(item.system.armor?.magicalBonus) || 0);
+  }
+
+  /**
+   * Gets the Armor Class of wearing an armor
+   * @param {Item} armor - Light, medium or heavy armor
+   * @param {number} dex - DEX modifier
+   * @returns {number} Armor Class
+   * @private
+   * @static
+   */
+  static #getArmoredValue(armor, dex) {
+    const type = armor.system.type.value;
+    const maxDex = Number.isFinite(armor.system.armor?.dex) ? armor.system.armor.dex : { light: Infinity, medium: 2, heavy: 0 }[type];
+    return this.#getArmorValue(armor) + Math.min(dex, maxDex);
+  }
+
+  /**
+   * Formats the damage of a weapon with the ability modifier
+   * @param {Item} item - Weapon
+   * @param {number} bonus - Ability modifier and magical bonus
+   * @returns {string} e.g. "1d8 + 3 Slashing"
+   * @private
+   * @static
+   */
+  static #getDamage(item, bonus) {
+    const base = item.system.damage?.base;
+    let formula;
+    let type;
+
+    if (base?.denomination) {
+      formula = `${base.number || 1}d${base.denomination}${base.bonus ? ` + ${base.bonus}` : ''}`;
+      type = base.types?.first?.() ?? Array.from(base.types ?? [])[0];
+    } else {
+      // Older dnd5e versions keep the damage as formula parts
+      [formula, type] = item.system.damage?.parts?.[0] ?? [];
+      formula = formula?.replace(/\s*\+\s*@mod/g, '');
+    }
+
+    if (!formula) return '–';
+    if (bonus) formula += bonus > 0 ? ` + ${bonus}` : ` - ${Math.abs(bonus)}`;
+    const label = CONFIG.DND5E.damageTypes[type]?.label;
+    return label ? `${formula} ${label}` : formula;
+  }
+}
@@ -0,0 +1,180 @@
+import { AbilityBonusManager, DOMManager, EquipmentParser, EquipmentShop, HM } from '../../utils/index.js';
+
+/**
+ * Shows how much the chosen equipment weighs against the character's carrying capacity
+ * The capacity follows the Strength score from the Abilities tab and the encumbrance rule of the dnd5e system settings.
+ * @class
+ */
+export class EncumbrancePreview {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Refreshes the preview once the equipment stopped changing
+   * @type {Function}
+   * @private
+   * @static
+   */
+  static #debouncedRefresh = foundry.utils.debounce((element) => EncumbrancePreview.#refresh(element), 200);
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Schedules a refresh of the preview
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {void}
+   * @static
+   */
+  static update(element = HM.heroMancer?.element) {
+    if (!element?.querySelector('.equipment-encumbrance') || HM.COMPAT.ELKAN) return;
+    this.#debouncedRefresh(element);
+  }
+
+  /**
+   * Gets the weight units of the world
+   * @returns {'imperial'|'metric'} Unit system
+   * @static
+   */
+  static getUnitSystem() {
+    return game.settings.get('dnd5e', 'metricWeightUnits') ? 'metric' : 'imperial';
+  }
+
+  /**
+   * Gets the encumbrance rule of the world
+   * @returns {'none'|'normal'|'variant'} Encumbrance rule
+   * @static
+   */
+  static getRule() {
+    return game.settings.get('dnd5e', 'encumbrance') || 'normal';
+  }
+
+  /**
+   * Gets the weight of one item in the world's units
+   * @param {object} item - Item data or index entry
+   * @returns {number} Weight of a single item
+   * @static
+   */
+  static getItemWeight(item) {
+    const weight = item?.system?.weight;
+    const value = Number(typeof weight === 'object' ? weight?.value : weight) || 0;
+    if (!value || typeof weight !== 'object' || !weight.units) return value;
+
+    const units = CONFIG.DND5E.encumbrance?.baseUnits?.default?.[this.getUnitSystem()];
+    if (!units || units === weight.units || !dnd5e.utils?.convertWeight) return value;
+    return dnd5e.utils.convertWeight(value, weight.units, units);
+  }
+
+  /**
+   * Gets the carrying capacity thresholds for a Strength score
+   * Without the variant rule only the maximum applies.
+   * @param {number} strength - Strength score
+   * @param {string} [size='med'] - Size of the character
+   * @returns {{encumbered: number|null, heavilyEncumbered: number|null, maximum: number}|null} Thresholds in the world's units,
+   * or null when the world ignores encumbrance
+   * @static
+   */
+  static getCapacity(strength, size = 'med') {
+    const rule = this.getRule();
+    if (rule === 'none') return null;
+
+    const units = this.getUnitSystem();
+    const thresholds = CONFIG.DND5E.encumbrance?.threshold ?? {};
+    const multiplier = (CONFIG.DND5E.actorSizes?.[size]?.capacityMultiplier ?? 1) * strength;
+    const threshold = (key, fallback) => (thresholds[key]?.[units] ?? fallback) * multiplier;
+
+    return {
+      encumbered: rule === 'variant' ? threshold('encumbered', 5) : null,
+      heavilyEncumbered: rule === 'variant' ? threshold('heavilyEncumbered', 10) : null,
+      maximum: threshold('maximum', 15)
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Totals the weight of the chosen and bought equipment and shows it against the capacity
+   * @param {HTMLElement} element - Application root element
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #refresh(element) {
+    const section = element?.querySelector('.equipment-encumbrance');
+    if (!section) return;
+
+    try {
+      const equipment = await EquipmentParser.collectEquipmentSelections({ target: element });
+      let weight = equipment.reduce((total, item) => total + this.getItemWeight(item) * (item.system?.quantity ?? 1), 0);
+      for (const { item, quantity } of EquipmentShop.cart.values()) weight += this.getItemWeight(item) * (item.system?.quantity || 1) * quantity;
+      weight = Math.round(weight * 100) / 100;
+
+      const scores = AbilityBonusManager.applyBonuses(DOMManager.collectAbilityScores(), element);
+      const strength = parseInt(scores.str) || 10;
+      const capacity = this.getCapacity(strength, await this.#getSize());
+      const units = CONFIG.DND5E.encumbrance?.baseUnits?.default?.[this.getUnitSystem()] ?? 'lb';
+
+      section.querySelector('.encumbrance-weight').textContent = game.i18n.format('hm.app.equipment.encumbrance.weight', {
+        weight,
+        max: capacity ? Math.round(capacity.maximum * 100) / 100 : '–',
+        units,
+        strength
+      });
+
+      const bar = section.querySelector('.encumbrance-bar');
+      const status = section.querySelector('.encumbrance-status');
+      bar.hidden = !capacity;
+      if (!capacity) {
+        status.textContent = '';
+        return;
+      }
+
+      const level =
+        weight > capacity.maximum ? 'over'
+        : capacity.heavilyEncumbered !== null && weight > capacity.heavilyEncumbered ? 'heavily-encumbered'
+        : capacity.encumbered !== null && weight > capacity.encumbered ? 'encumbered'
+        : 'unencumbered';
+
+      const fill = bar.querySelector('.encumbrance-fill');
+      fill.style.width = `${Math.min(100, (weight / capacity.maximum) * 100)}%`;
+      bar.dataset.level = level;
+      bar.setAttribute('aria-valuenow', Math.round((weight / capacity.maximum) * 100));
+
+      for (const marker of bar.querySelectorAll('.encumbrance-threshold')) {
+        const value = capacity[marker.dataset.threshold];
+        marker.hidden = value === null;
+        if (value !== null) marker.style.left = `${(value / capacity.maximum) * 100}%`;
+      }
+
+      status.textContent = game.i18n.localize(`hm.app.equipment.encumbrance.${level}`);
+      status.dataset.level = level;
+    } catch (error) {
+      HM.log(1, 'Error updating encumbrance preview:', error);
+    }
+  }
+
+  /**
+   * Gets the size granted by the selected race when it has only one
+   * @returns {Promise<string>} Size key, medium if the race offers a choice or none is selected
+   * @private
+   * @static
+   */
+  static async #getSize() {
+    const uuid = HM.SELECTED.race?.uuid;
+    if (!uuid) return 'med';
+
+    try {
+      const race = await fromUuid(uuid);
+      const advancement = race?.system?.advancement?.find((entry) => entry.type === 'Size');
+      const sizes = Array.from(advancement?.configuration?.sizes ?? []);
+      return sizes.length === 1 ? sizes[0] : 'med';
+    } catch (error) {
+      HM.log(2, `Error reading race size: ${error.message}`);
+      return 'med';
+    }
+  }
+}
@@ -1,4 +1,4 @@
-import { HM } from '../index.js';
+import { EquipmentTextParser, HM, MulticlassManager } from '../index.js';
 
 /**
  * Handles data fetching and processing for equipment
@@ -23,7 +23,12 @@ export class EquipmentDataService {
     HM.log(3, 'Beginning equipment data fetch');
 
     try {
-      const [classEquipment, backgroundEquipment] = await Promise.all([this.getStartingEquipment('class'), this.getStartingEquipment('background')]);
+      const [classEquipment, backgroundEquipment, proficiencies] = await Promise.all([
+        this.getStartingEquipment('class'),
+        this.getStartingEquipment('background'),
+        this.collectProficiencies()
+      ]);
+      this.parser.proficiencies = proficiencies;
 
       const result = {
         class: classEquipment || [],
@@ -66,19 +71,23 @@ export class EquipmentDataService {
 
   /**
    * Extracts granted proficiencies from advancement data
+   * Everything a Trait choice could pick counts as well, as the player can still choose it. Wildcards such as
+   * "weapon:mar:*" stand for their whole category.
    * @async
    * @param {Array<object>} advancements - Array of advancement configurations
+   * @param {number} [level=Infinity] - Highest advancement level reached
    * @returns {Promise<Set<string>>} Set of granted proficiency strings
    */
-  async extractProficienciesFromAdvancements(advancements) {
+  async extractProficienciesFromAdvancements(advancements, level = Infinity) {
     HM.log(3, `Processing ${advancements?.length || 0} advancements`);
     const proficiencies = new Set();
 
     for (const advancement of advancements) {
-      if (advancement.configuration && advancement.configuration.grants) {
-        for (const grant of advancement.configuration.grants) {
-          proficiencies.add(grant);
-        }
+      if (!advancement.configuration || (advancement.level ?? 0) > level) continue;
+
+      const pools = (advancement.configuration.choices ?? []).flatMap((choice) => Array.from(choice.pool ?? []));
+      for (const grant of [...Array.from(advancement.configuration.grants ?? []), ...pools]) {
+        proficiencies.add(grant.replace(/:\*$/, ''));
       }
     }
 
@@ -87,13 +96,44 @@ export class EquipmentDataService {
   }
 
   /**
-   * Fetches starting equipment and proficiencies for a given selection type
+   * Collects the proficiencies granted by the selected class, race and background up to the starting level,
+   * and the multiclass proficiencies of any additional classes up to their levels
+   * @async
+   * @returns {Promise<Set<string>>} Set of granted proficiency strings
+   */
+  async collectProficiencies() {
+    const proficiencies = new Set();
+    const startingLevel = parseInt(document.querySelector('#starting-level')?.value) || 1;
+
+    for (const type of ['class', 'race', 'background']) {
+      const { id, uuid } = HM.SELECTED[type] || {};
+      if (!id) continue;
+
+      const doc = await this.fetchDocumentByUuidOrId(type, uuid, id);
+      const advancements = (doc?.system?.advancement || []).filter((advancement) => advancement.classRestriction !== 'secondary');
+      const level = type === 'class' ? startingLevel : Infinity;
+      for (const proficiency of await this.extractProficienciesFromAdvancements(advancements, level)) proficiencies.add(proficiency);
+    }
+
+    for (const { uuid, level } of MulticlassManager.getSelections()) {
+      const doc = await fromUuid(uuid);
+      const advancements = (doc?.system?.advancement || []).filter((advancement) => advancement.classRestriction !== 'primary');
+      for (const proficiency of await this.extractProficienciesFromAdvancements(advancements, level)) proficiencies.add(proficiency);
+    }
+
+    HM.log(3, `Character has ${proficiencies.size} proficiencies`);
+    return proficiencies;
+  }
+
+  /**
+   * Fetches starting equipment for a given selection type
    * @async
    * @param {'class'|'background'} type - Selection type to fetch equipment for
    * @returns {Promise<Array<object>>} Starting equipment array
    */
   async getStartingEquipment(type) {
     HM.log(3, `Fetching ${type} equipment`);
+    this.parser.parsedEquipment[type] = null;
 
     const storedData = HM.SELECTED[type] || {};
     const id = storedData.id;
@@ -111,17 +151,22 @@ export class EquipmentDataService {
       return [];
     }
 
-    // Extract proficiencies from document
-    this.parser.proficiencies = await this.extractProficienciesFromAdvancements(doc.system.advancement || []);
-
     // Return equipment if available
-    if (doc.system.startingEquipment) {
+    if (doc.system.startingEquipment?.length) {
       HM.log(3, `Found ${doc.system.startingEquipment.length} equipment items for ${type} ${doc.name}`);
       return doc.system.startingEquipment;
-    } else {
-      HM.log(2, `Document found but has no startingEquipment property: ${doc.name}`);
-      return [];
     }
+
+    // Otherwise try to build it from the equipment listed in the description
+    const parsed = await EquipmentTextParser.parse(doc, this.extractEquipmentDescription(doc));
+    if (parsed) {
+      HM.log(3, `Parsed ${parsed.entries.length} equipment items from the description of ${type} ${doc.name}`);
+      this.parser.parsedEquipment[type] = parsed;
+      return parsed.entries;
+    }
+
+    HM.log(2, `Document found but has no startingEquipment property: ${doc.name}`);
+    return [];
   }
 
   /**
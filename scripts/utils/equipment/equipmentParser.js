@@ -92,6 +92,12 @@ export class EquipmentParser {
    */
   proficiencies;
 
+  /**
+   * Equipment parsed from the descriptions of a class or background without starting equipment data
+   * @type {{class: object|null, background: object|null}}
+   */
+  parsedEquipment;
+
   /**
    * Renderer service instance
    * @type {EquipmentRenderer}
@@ -128,6 +134,7 @@ export class EquipmentParser {
     this.backgroundId = HM.SELECTED.background.id;
     this.backgroundUUID = HM.SELECTED.background.uuid;
     this.proficiencies = new Set();
+    this.parsedEquipment = { class: null, background: null };
 
     // Initialize services
     this.renderer = new EquipmentRenderer(this);
@@ -159,6 +166,49 @@ export class EquipmentParser {
     }
   }
 
+  /**
+   * Collects the proficiencies again, e.g. after the starting level or the additional classes changed,
+   * and marks the rendered equipment choices again
+   * @async
+   * @returns {Promise<void>}
+   */
+  async refreshProficiencies() {
+    try {
+      this.proficiencies = await this.dataService.collectProficiencies();
+      const container = document.querySelector('#equipment-container');
+      if (container) this.renderer.markProficiency(container);
+    } catch (error) {
+      HM.log(1, `Failed to refresh proficiencies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks whether the character would be proficient with an item
+   * Weapons, armor and tools count as proficient through their category or their base item.
+   * @param {object} item - Item document or index entry
+   * @returns {boolean} False only for weapons, armor and tools none of the granted proficiencies cover
+   */
+  isProficient(item) {
+    if (!item || !this.proficiencies?.size) return true;
+
+    const category = item.system?.type?.value;
+    const baseItem = item.system?.type?.baseItem;
+    let trait;
+
+    if (item.type === 'weapon') trait = `weapon:${CONFIG.DND5E.weaponProficienciesMap?.[category] ?? category}`;
+    else if (item.type === 'equipment' && category in (CONFIG.DND5E.armorProficienciesMap ?? {})) trait = `armor:${CONFIG.DND5E.armorProficienciesMap[category]}`;
+    else if (item.type === 'tool') trait = `tool:${category}`;
+    else return true;
+
+    // A whole group such as "tool" comes from a choice of any tool
+    const [group] = trait.split(':');
+    if (this.proficiencies.has(trait) || this.proficiencies.has(group)) return true;
+    if (!baseItem) return false;
+
+    // Proficiencies with single items are granted as e.g. "weapon:mar:longsword" or "tool:thief"
+    return [...this.proficiencies].some((proficiency) => proficiency.startsWith(`${group}:`) && proficiency.endsWith(`:${baseItem}`));
+  }
+
   /**
    * Renders starting wealth options for class or background
    * @async
@@ -613,6 +663,7 @@ export class EquipmentParser {
     } else {
       equipment.push({
         ...itemData,
+        _stats: { ...itemData._stats, compendiumSource: item.uuid ?? itemData._stats?.compendiumSource },
         system: {
           ...itemData.system,
           quantity: quantity,
@@ -760,6 +811,7 @@ export class EquipmentParser {
       } else {
         equipment.push({
           ...itemData,
+          _stats: { ...itemData._stats, compendiumSource: item.uuid ?? itemData._stats?.compendiumSource },
           system: {
             ...itemData.system,
             quantity: quantity,
@@ -897,6 +949,7 @@ export class EquipmentParser {
             keepId: true,
             transformAll: async (doc) => {
               const transformed = doc.toObject();
+              transformed._stats = { ...transformed._stats, compendiumSource: doc.uuid };
               if (doc.id === fullContainer.id) {
                 transformed.system = transformed.system || {};
                 transformed.system.quantity = quantity;
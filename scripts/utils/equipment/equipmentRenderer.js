@@ -189,11 +189,67 @@ export class EquipmentRenderer {
     if (!items.length) {
       HM.log(3, `No equipment items for ${type}`);
       await this.renderEmptyNotice(sectionContainer, type);
+      this.renderParsedExtras(sectionContainer, type);
       return;
     }
 
     // Render items
     await this.renderSectionItems(sectionContainer, items);
+    this.renderParsedExtras(sectionContainer, type);
+  }
+
+  /**
+   * Render the coins and unmatched phrases of equipment parsed from a description
+   * The coins are submitted through a hidden input and granted unless starting wealth is used instead.
+   * @param {HTMLElement} sectionContainer - Section container
+   * @param {string} type - Section type
+   * @returns {void}
+   * @private
+   */
+  renderParsedExtras(sectionContainer, type) {
+    const parsed = this.parser.parsedEquipment?.[type];
+    if (!parsed) return;
+
+    const extras = document.createElement('div');
+    extras.classList.add('equipment-parsed');
+
+    const notice = document.createElement('p');
+    notice.classList.add('equipment-parsed-notice');
+    notice.textContent = game.i18n.localize('hm.app.equipment.parsed.notice');
+    extras.appendChild(notice);
+
+    if (parsed.currency) {
+      const currency = document.createElement('div');
+      currency.classList.add('equipment-parsed-currency');
+      currency.textContent = game.i18n.format('hm.app.equipment.parsed.currency', { currency: parsed.currency });
+
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = `equipment-currency-${type}`;
+      input.value = parsed.currency;
+      currency.appendChild(input);
+      extras.appendChild(currency);
+    }
+
+    if (parsed.unmatched.length) {
+      const unmatched = document.createElement('div');
+      unmatched.classList.add('equipment-unmatched');
+
+      const label = document.createElement('span');
+      label.innerHTML = `<i class="fa-solid fa-triangle-exclamation" aria-hidden="true"></i> ${game.i18n.localize('hm.app.equipment.parsed.unmatched')}`;
+      unmatched.appendChild(label);
+
+      const list = document.createElement('ul');
+      for (const phrase of parsed.unmatched) {
+        const entry = document.createElement('li');
+        entry.textContent = phrase;
+        list.appendChild(entry);
+      }
+      unmatched.appendChild(list);
+      extras.appendChild(unmatched);
+    }
+
+    sectionContainer.appendChild(extras);
   }
 
   /**
@@ -267,6 +323,8 @@ export class EquipmentRenderer {
         this.addFailedItemsNotice(fragment, failedItems);
       }
 
+      this.markProficiency(fragment);
+
       // Add all items to the container at once
       sectionContainer.appendChild(fragment);
     } catch (error) {
@@ -279,6 +337,47 @@ export class EquipmentRenderer {
     }
   }
 
+  /**
+   * Marks choice options the character would not be proficient with
+   * With the hideNonProficientEquipment setting they are hidden instead, unless nothing else is left to choose.
+   * Marks from an earlier run are removed first, so this can run again when the proficiencies change.
+   * @param {DocumentFragment|HTMLElement} container - Rendered equipment items
+   * @returns {void}
+   */
+  markProficiency(container) {
+    const hide = game.settings.get(HM.ID, 'hideNonProficientEquipment');
+    const label = game.i18n.localize('hm.app.equipment.lacks-proficiency');
+
+    for (const option of container.querySelectorAll('option.not-proficient')) {
+      option.classList.remove('not-proficient');
+      option.textContent = option.dataset.name ?? option.textContent;
+      option.hidden = false;
+      option.disabled = false;
+    }
+
+    for (const select of container.querySelectorAll('select')) {
+      // Options disabled for "if proficient" items are already labeled
+      const options = Array.from(select.options).filter((option) => option.value.startsWith('Compendium.') && !option.disabled);
+      const lacking = options.filter((option) => !this.parser.isProficient(fromUuidSync(option.value, { strict: false })));
+      if (!lacking.length) continue;
+
+      const hideLacking = hide && lacking.length < options.length;
+      for (const option of lacking) {
+        option.classList.add('not-proficient');
+        option.dataset.name ??= option.textContent;
+        option.textContent = `${option.dataset.name} (${label})`;
+        option.hidden = hideLacking;
+        option.disabled = hideLacking;
+      }
+
+      if (hideLacking && select.selectedOptions[0]?.hidden) {
+        select.value = options.find((option) => !option.hidden).value;
+        const defaultInput = select.parentElement?.querySelector(`[id="${select.id}-default"]`);
+        if (defaultInput) defaultInput.value = select.value;
+      }
+    }
+  }
+
   /**
    * Render an error message in a section
    * @param {HTMLElement} container - Container element
@@ -0,0 +1,417 @@
+import { DOMManager, EncumbrancePreview, EquipmentParser, HM } from '../../utils/index.js';
+
+/**
+ * Lets players spend their starting wealth on gear from the item compendiums
+ * The shop lists priced items of the configured item packs grouped by the equipment lookup categories,
+ * keeps a cart and shows what is left of the starting wealth in every currency.
+ * @class
+ */
+export class EquipmentShop {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Items in the cart keyed by UUID
+   * @type {Map<string, {item: object, quantity: number}>}
+   * @static
+   */
+  static cart = new Map();
+
+  /**
+   * Starting wealth the cart is paid from, null while no starting wealth is used
+   * @type {Object<string, number>|null}
+   * @static
+   */
+  static wallet = null;
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Attaches the category and search handlers of the shop panel
+   * @param {HTMLElement} element - Application root element
+   * @returns {void}
+   * @static
+   */
+  static initialize(element) {
+    const shop = element?.querySelector('.equipment-shop');
+    if (!shop || HM.COMPAT.ELKAN) return;
+
+    DOMManager.on(shop.querySelector('.shop-category'), 'change', () => this.#renderItems(shop));
+    DOMManager.on(
+      shop.querySelector('.shop-search'),
+      'input',
+      foundry.utils.debounce(() => this.#renderItems(shop), 200)
+    );
+  }
+
+  /**
+   * Shows the shop while starting wealth is used and refreshes its balance
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async update(element = HM.heroMancer?.element) {
+    const shop = element?.querySelector('.equipment-shop');
+    if (!shop || HM.COMPAT.ELKAN) return;
+
+    try {
+      this.wallet = await this.#getStartingWealth(element);
+      shop.hidden = !this.wallet;
+      if (!this.wallet) return;
+
+      this.#populateCategories(shop);
+      this.#renderItems(shop);
+      this.#renderCart(shop);
+    } catch (error) {
+      HM.log(1, 'Error updating equipment shop:', error);
+    }
+  }
+
+  /**
+   * Action handler for the buy button of a shop item
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The buy button
+   * @returns {void}
+   * @static
+   */
+  static buy(_event, target) {
+    const uuid = target.closest('[data-uuid]')?.dataset.uuid;
+    const item = EquipmentShop.#getShopItems().find((entry) => entry.uuid === uuid);
+    if (!item) return;
+
+    if (!EquipmentShop.#canAfford(EquipmentShop.getCartCost() + EquipmentShop.getPrice(item))) {
+      ui.notifications.warn('hm.app.equipment.shop.insufficient-funds', { localize: true });
+      return;
+    }
+
+    const entry = EquipmentShop.cart.get(uuid) ?? { item, quantity: 0 };
+    entry.quantity++;
+    EquipmentShop.cart.set(uuid, entry);
+    EquipmentShop.#refresh(target);
+  }
+
+  /**
+   * Action handler for the remove button of a cart entry
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The remove button
+   * @returns {void}
+   * @static
+   */
+  static sell(_event, target) {
+    const uuid = target.closest('[data-uuid]')?.dataset.uuid;
+    const entry = EquipmentShop.cart.get(uuid);
+    if (!entry) return;
+
+    entry.quantity--;
+    if (entry.quantity <= 0) EquipmentShop.cart.delete(uuid);
+    EquipmentShop.#refresh(target);
+  }
+
+  /**
+   * Gets the price of an item in the smallest currency
+   * @param {object} item - Item or item index entry
+   * @returns {number} Price, 0 if the item has none
+   * @static
+   */
+  static getPrice(item) {
+    const { value, denomination } = item?.system?.price ?? {};
+    const currency = CONFIG.DND5E.currencies[denomination || 'gp'];
+    if (!value || !currency?.conversion) return 0;
+    return Math.round((value * this.#getBaseConversion()) / currency.conversion);
+  }
+
+  /**
+   * Gets the price of everything in the cart in the smallest currency
+   * @returns {number} Total price
+   * @static
+   */
+  static getCartCost() {
+    let total = 0;
+    for (const { item, quantity } of this.cart.values()) total += this.getPrice(item) * quantity;
+    return total;
+  }
+
+  /**
+   * Pays for the cart from the starting wealth
+   * @param {Object<string, number>} startingWealth - Currency amounts of the starting wealth
+   * @returns {Promise<{items: Array<object>, currency: Object<string, number>}|null|false>} Item data of the purchases
+   * and the coins left, null with an empty cart, or false if the starting wealth does not cover the cart
+   * @static
+   */
+  static async checkout(startingWealth) {
+    if (!this.cart.size) return null;
+
+    const currency = this.spend(startingWealth, this.getCartCost());
+    if (!currency) {
+      ui.notifications.error('hm.app.equipment.shop.insufficient-funds', { localize: true });
+      return false;
+    }
+
+    const items = [];
+    for (const [uuid, { quantity }] of this.cart) {
+      const item = await fromUuid(uuid);
+      if (!item) {
+        HM.log(2, `Shop item ${uuid} not found, skipping`);
+        continue;
+      }
+
+      // Compendium bundles such as 20 arrows are bought as a whole
+      const data = game.items.fromCompendium(item);
+      items.push({ ...data, system: { ...data.system, quantity: (item.system.quantity || 1) * quantity } });
+    }
+
+    return { items, currency };
+  }
+
+  /**
+   * Takes an amount from a purse, paying with the smallest coins first and breaking a larger coin for change
+   * @param {Object<string, number>} purse - Currency amounts
+   * @param {number} cost - Amount to pay in the smallest currency
+   * @returns {Object<string, number>|null} Currency amounts left, or null if the purse does not cover the cost
+   * @static
+   */
+  static spend(purse, cost) {
+    const values = this.#getCurrencyValues();
+    const order = Object.keys(values).sort((a, b) => values[a] - values[b]);
+    const remaining = Object.fromEntries(order.map((key) => [key, parseInt(purse?.[key]) || 0]));
+
+    if (order.reduce((sum, key) => sum + remaining[key] * values[key], 0) < cost) return null;
+
+    let owed = cost;
+    for (const key of order) {
+      const used = Math.min(remaining[key], Math.floor(owed / values[key]));
+      remaining[key] -= used;
+      owed -= used * values[key];
+    }
+
+    // Whatever is still owed is less than any coin left, so one coin covers it
+    const coin = owed > 0 ? order.find((key) => remaining[key] > 0) : null;
+    if (coin) {
+      remaining[coin]--;
+      let change = values[coin] - owed;
+      for (const key of [...order].reverse()) {
+        if (values[key] >= values[coin]) continue;
+        remaining[key] += Math.floor(change / values[key]);
+        change %= values[key];
+      }
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Formats currency amounts with their abbreviations
+   * @param {Object<string, number>} currency - Currency amounts
+   * @returns {string} e.g. "12 gp, 5 sp", or "0 gp" without any coins
+   * @static
+   */
+  static formatCurrency(currency) {
+    const parts = Object.entries(CONFIG.DND5E.currencies)
+      .filter(([key]) => currency?.[key] > 0)
+      .map(([key, config]) => `${currency[key]} ${config.abbreviation}`);
+    return parts.join(', ') || `0 ${CONFIG.DND5E.currencies.gp.abbreviation}`;
+  }
+
+  /**
+   * Empties the cart once its items were bought for a character
+   * @returns {void}
+   * @static
+   */
+  static clear() {
+    this.cart.clear();
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Reads the starting wealth chosen on the equipment tab
+   * @param {HTMLElement} element - Application root element
+   * @returns {Promise<Object<string, number>|null>} Currency amounts, or null without starting wealth
+   * @private
+   * @static
+   */
+  static async #getStartingWealth(element) {
+    const formData = {};
+    for (const type of ['class', 'background']) {
+      formData[`use-starting-wealth-${type}`] = element.querySelector(`#use-starting-wealth-${type}`)?.checked ?? false;
+      formData[`starting-wealth-amount-${type}`] = element.querySelector(`#starting-wealth-amount-${type}`)?.value ?? '';
+    }
+
+    const wealth = await EquipmentParser.convertWealthStringToCurrency(formData);
+    return wealth && Object.values(wealth).some((value) => value > 0) ? wealth : null;
+  }
+
+  /**
+   * Gets the value of one coin of every currency in the smallest currency
+   * @returns {Object<string, number>} Coin values keyed by currency
+   * @private
+   * @static
+   */
+  static #getCurrencyValues() {
+    const base = this.#getBaseConversion();
+    return Object.fromEntries(Object.entries(CONFIG.DND5E.currencies).map(([key, config]) => [key, Math.round(base / config.conversion)]));
+  }
+
+  /**
+   * Gets how many of the smallest currency make one gold piece
+   * @returns {number} Highest conversion rate
+   * @private
+   * @static
+   */
+  static #getBaseConversion() {
+    return Math.max(...Object.values(CONFIG.DND5E.currencies).map((config) => config.conversion || 1));
+  }
+
+  /**
+   * Checks whether the starting wealth covers an amount
+   * @param {number} cost - Amount in the smallest currency
+   * @returns {boolean} True if the amount can be paid
+   * @private
+   * @static
+   */
+  static #canAfford(cost) {
+    return !!this.wallet && !!this.spend(this.wallet, cost);
+  }
+
+  /**
+   * Gets the priced items of the item packs sorted into the equipment lookup categories
+   * @param {string} [category] - Category key, all categories if omitted
+   * @returns {Array<object>} Item index entries sorted by name
+   * @private
+   * @static
+   */
+  static #getShopItems(category) {
+    const itemPacks = game.settings.get(HM.ID, 'itemPacks') || [];
+    const keys = category ? [category] : Object.keys(EquipmentParser.initializeItemCategories());
+    const items = new Map();
+
+    for (const key of keys) {
+      for (const item of EquipmentParser.lookupItems?.[key]?.items ?? []) {
+        const inPacks = !itemPacks.length || itemPacks.some((pack) => item.uuid?.startsWith(`Compendium.${pack}.`));
+        if (inPacks && this.getPrice(item) > 0) items.set(item.uuid, item);
+      }
+    }
+
+    return [...items.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Fills the category select with the categories that have items for sale
+   * @param {HTMLElement} shop - The shop panel
+   * @private
+   * @static
+   */
+  static #populateCategories(shop) {
+    const select = shop.querySelector('.shop-category');
+    if (!select || select.options.length) return;
+
+    for (const [key, { label }] of Object.entries(EquipmentParser.initializeItemCategories())) {
+      if (!this.#getShopItems(key).length) continue;
+      select.append(new Option(label, key));
+    }
+
+    shop.querySelector('.shop-not-ready')?.toggleAttribute('hidden', select.options.length > 0);
+  }
+
+  /**
+   * Lists the items of the chosen category that match the search
+   * @param {HTMLElement} shop - The shop panel
+   * @private
+   * @static
+   */
+  static #renderItems(shop) {
+    const list = shop.querySelector('.shop-items');
+    const category = shop.querySelector('.shop-category')?.value;
+    if (!list || !category) return;
+
+    const search = shop.querySelector('.shop-search')?.value.trim().toLowerCase();
+    const items = this.#getShopItems(category).filter((item) => !search || item.name.toLowerCase().includes(search));
+    const spent = this.getCartCost();
+
+    list.replaceChildren(
+      ...items.map((item) => {
+        const price = this.getPrice(item);
+        const row = document.createElement('li');
+        row.className = 'shop-item flex items-center gap-sm';
+        row.dataset.uuid = item.uuid;
+        row.innerHTML = `
+          <span class="shop-item-name">${Handlebars.escapeExpression(item.name)}</span>
+          <span class="shop-item-price">${this.#formatPrice(item)}</span>
+          <button type="button" data-action="shopBuy" aria-label="${Handlebars.escapeExpression(game.i18n.format('hm.app.equipment.shop.buy', { item: item.name }))}"
+            ${this.#canAfford(spent + price) ? '' : 'disabled'}><i class="fa-solid fa-cart-plus" aria-hidden="true"></i></button>
+        `;
+        return row;
+      })
+    );
+  }
+
+  /**
+   * Lists the cart and the starting wealth left after paying for it
+   * @param {HTMLElement} shop - The shop panel
+   * @private
+   * @static
+   */
+  static #renderCart(shop) {
+    const list = shop.querySelector('.shop-cart');
+    if (!list) return;
+
+    list.replaceChildren(
+      ...[...this.cart].map(([uuid, { item, quantity }]) => {
+        const row = document.createElement('li');
+        row.className = 'shop-cart-item flex items-center gap-sm';
+        row.dataset.uuid = uuid;
+        row.innerHTML = `
+          <span class="shop-item-name">${quantity} × ${Handlebars.escapeExpression(item.name)}</span>
+          <span class="shop-item-price">${this.#formatPrice(item, quantity)}</span>
+          <button type="button" data-action="shopSell" aria-label="${Handlebars.escapeExpression(game.i18n.format('hm.app.equipment.shop.remove', { item: item.name }))}">
+            <i class="fa-solid fa-minus" aria-hidden="true"></i></button>
+        `;
+        return row;
+      })
+    );
+
+    shop.querySelector('.shop-cart-empty')?.toggleAttribute('hidden', this.cart.size > 0);
+
+    const remaining = this.wallet ? this.spend(this.wallet, this.getCartCost()) : null;
+    const balance = shop.querySelector('.shop-balance');
+    if (balance) {
+      balance.textContent = remaining ? this.formatCurrency(remaining) : game.i18n.localize('hm.app.equipment.shop.insufficient-funds');
+      balance.classList.toggle('insufficient', !remaining);
+    }
+    const wealth = shop.querySelector('.shop-wealth');
+    if (wealth) wealth.textContent = this.formatCurrency(this.wallet);
+  }
+
+  /**
+   * Formats the price of an item as listed in its compendium
+   * @param {object} item - Item index entry
+   * @param {number} [quantity=1] - Number bought
+   * @returns {string} e.g. "15 gp"
+   * @private
+   * @static
+   */
+  static #formatPrice(item, quantity = 1) {
+    const { value, denomination } = item.system.price;
+    const currency = CONFIG.DND5E.currencies[denomination || 'gp'];
+    return `${Math.round(value * quantity * 100) / 100} ${currency?.abbreviation ?? denomination}`;
+  }
+
+  /**
+   * Redraws the item list and cart after the cart changed
+   * @param {HTMLElement} target - Element inside the shop panel
+   * @private
+   * @static
+   */
+  static #refresh(target) {
+    const shop = target.closest('.equipment-shop');
+    if (!shop) return;
+    this.#renderItems(shop);
+    this.#renderCart(shop);
+    EncumbrancePreview.update();
+  }
+}
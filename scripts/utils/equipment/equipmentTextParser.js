@@ -0,0 +1,382 @@
+import { HM } from '../../utils/index.js';
+
+/**
+ * Turns a starting equipment description into starting equipment entries
+ * Used for classes and backgrounds whose description lists their equipment but that have no system.startingEquipment.
+ * Understands lettered choices such as "(a) a longsword or (b) any martial weapon", quantities and coin amounts,
+ * and matches item names against the item packs. Phrases that match nothing are reported back.
+ * @class
+ */
+export class EquipmentTextParser {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Spelled out quantities
+   * @type {Object<string, number>}
+   * @static
+   */
+  static NUMBER_WORDS = {
+    a: 1,
+    an: 1,
+    one: 1,
+    two: 2,
+    three: 3,
+    four: 4,
+    five: 5,
+    six: 6,
+    seven: 7,
+    eight: 8,
+    nine: 9,
+    ten: 10,
+    twelve: 12,
+    fifteen: 15,
+    twenty: 20
+  };
+
+  /**
+   * Phrases that stand for a choice from a category rather than a specific item, most specific first
+   * @type {Array<{pattern: RegExp, type: string, key: string}>}
+   * @static
+   */
+  static LOOKUPS = [
+    { pattern: /martial melee weapon/, type: 'weapon', key: 'martialM' },
+    { pattern: /martial ranged weapon/, type: 'weapon', key: 'martialR' },
+    { pattern: /martial weapon/, type: 'weapon', key: 'mar' },
+    { pattern: /simple melee weapon/, type: 'weapon', key: 'simpleM' },
+    { pattern: /simple ranged weapon/, type: 'weapon', key: 'simpleR' },
+    { pattern: /simple weapon/, type: 'weapon', key: 'sim' },
+    { pattern: /musical instrument/, type: 'tool', key: 'music' },
+    { pattern: /artisan'?s tools/, type: 'tool', key: 'art' },
+    { pattern: /gaming set/, type: 'tool', key: 'game' },
+    { pattern: /arcane focus/, type: 'focus', key: 'arcane' },
+    { pattern: /druidic focus/, type: 'focus', key: 'druidic' },
+    { pattern: /holy symbol/, type: 'focus', key: 'holy' }
+  ];
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Parses an equipment description into starting equipment entries of a class or background
+   * @param {Item} doc - The class or background
+   * @param {string|null} html - Equipment description extracted from the document
+   * @returns {Promise<{entries: Array<object>, currency: string, unmatched: string[]}|null>} Entries in the shape of
+   * system.startingEquipment, the coins as a wealth string, and the phrases that matched no item; null without a description
+   * @static
+   */
+  static async parse(doc, html) {
+    if (!doc || !html) return null;
+
+    try {
+      const names = await this.#getItemNames();
+      const state = { entries: [], coins: {}, unmatched: [], names };
+
+      for (const line of this.#getLines(html)) this.#parseLine(line, state);
+      if (!state.entries.length && foundry.utils.isEmpty(state.coins)) return null;
+
+      const currency = Object.entries(state.coins)
+        .map(([key, amount]) => `${amount} ${CONFIG.DND5E.currencies[key].abbreviation}`)
+        .join(' ');
+
+      // The renderers rely on the children and labels of real starting equipment entries
+      const item = new CONFIG.Item.documentClass({ name: doc.name, type: doc.type, system: { startingEquipment: state.entries } });
+      HM.log(3, `Parsed ${state.entries.length} equipment entries from ${doc.name}, ${state.unmatched.length} unmatched`);
+
+      return { entries: item.system.startingEquipment, currency, unmatched: state.unmatched };
+    } catch (error) {
+      HM.log(1, `Error parsing equipment description of ${doc.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Splits a description into one line per equipment entry
+   * @param {string} html - Equipment description
+   * @returns {string[]} Lines without their "Equipment:" labels
+   * @private
+   * @static
+   */
+  static #getLines(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+
+    const listItems = container.querySelectorAll('li');
+    const lines = listItems.length ? Array.from(listItems, (li) => li.textContent) : container.textContent.split(/[•\n;]+/);
+
+    return lines
+      .map((line) =>
+        line
+          .replace(/[’‘]/g, "'")
+          .split(':')
+          .pop()
+          .replace(/\.\s*$/, '')
+          .trim()
+      )
+      .filter((line) => line && !/^you (start|begin|get)\b/i.test(line));
+  }
+
+  /**
+   * Parses one line, a lettered choice or a list of items
+   * @param {string} line - The line
+   * @param {object} state - Entries, coins and unmatched phrases collected so far
+   * @private
+   * @static
+   */
+  static #parseLine(line, state) {
+    const options = line
+      .split(/\(\s*[a-z]\s*\)/i)
+      .map((option) => option.replace(/^\s*or\b|\bor\s*$/gi, '').trim())
+      .filter(Boolean);
+
+    if (options.length > 1 && /\(\s*[a-z]\s*\)/i.test(line)) {
+      this.#addChoice(options, state);
+      return;
+    }
+
+    for (const phrase of this.#splitList(line, state.names)) {
+      const alternatives = phrase.split(/\s+or\s+/i);
+      if (alternatives.length > 1) this.#addChoice(alternatives, state);
+      else this.#addPhrase(phrase, state);
+    }
+  }
+
+  /**
+   * Adds a choice between options, each option being one item or several items together
+   * @param {string[]} options - The options
+   * @param {object} state - Entries, coins and unmatched phrases collected so far
+   * @private
+   * @static
+   */
+  static #addChoice(options, state) {
+    const choice = this.#createEntry(state, { type: 'OR' });
+    const children = [];
+
+    for (const option of options) {
+      const items = this.#splitList(option, state.names)
+        .map((phrase) => this.#matchPhrase(phrase, state))
+        .filter(Boolean);
+      if (items.length === 1) children.push([items[0]]);
+      else if (items.length > 1) children.push(items);
+    }
+
+    if (children.length < 2) {
+      // Only one option could be matched, the others are listed as unmatched, so keep it as regular items
+      state.entries.splice(state.entries.indexOf(choice), 1);
+      for (const data of children.flat()) this.#createEntry(state, data);
+      return;
+    }
+
+    for (const items of children) {
+      if (items.length === 1) {
+        this.#createEntry(state, { ...items[0], group: choice._id });
+        continue;
+      }
+      const group = this.#createEntry(state, { type: 'AND', group: choice._id });
+      for (const data of items) this.#createEntry(state, { ...data, group: group._id });
+    }
+  }
+
+  /**
+   * Adds a single item phrase as its own entry
+   * @param {string} phrase - The phrase
+   * @param {object} state - Entries, coins and unmatched phrases collected so far
+   * @private
+   * @static
+   */
+  static #addPhrase(phrase, state) {
+    const data = this.#matchPhrase(phrase, state);
+    if (data) this.#createEntry(state, data);
+  }
+
+  /**
+   * Matches a phrase to an item or item category, taking out its quantity and any coins
+   * @param {string} phrase - The phrase, e.g. "20 arrows" or "a belt pouch containing 15 gp"
+   * @param {object} state - Entries, coins and unmatched phrases collected so far
+   * @returns {object|null} Entry data, null for coins only or unmatched phrases
+   * @private
+   * @static
+   */
+  static #matchPhrase(phrase, state) {
+    let text = this.#takeCoins(phrase, state.coins).toLowerCase().trim();
+    if (!text) return null;
+
+    const requiresProficiency = /\(?\s*if proficient\s*\)?/.test(text);
+    text = text.replace(/\(?\s*if proficient\s*\)?/, '').trim();
+
+    const [, word, rest] = text.match(/^(\d+|[a-z]+)\s+(.+)$/) ?? [];
+    const count = /^\d+$/.test(word ?? '') ? parseInt(word) : this.NUMBER_WORDS[word];
+    const name = count ? rest : text;
+
+    const uuid = this.#findItem(name, state.names);
+    if (uuid) return { type: 'linked', key: uuid, count: count > 1 ? count : null, requiresProficiency };
+
+    const lookup = this.LOOKUPS.find(({ pattern }) => pattern.test(name));
+    if (lookup) return { type: lookup.type, key: lookup.key, count: count > 1 ? count : null, requiresProficiency };
+
+    state.unmatched.push(phrase.trim());
+    return null;
+  }
+
+  /**
+   * Takes coin amounts out of a phrase
+   * Coins are recognized by their localized abbreviation and by their currency key, as English descriptions use "gp"
+   * in any language.
+   * @param {string} phrase - The phrase
+   * @param {Object<string, number>} coins - Coins by currency key, updated in place
+   * @returns {string} The phrase without the coins
+   * @private
+   * @static
+   */
+  static #takeCoins(phrase, coins) {
+    const keys = new Map();
+    for (const [key, currency] of Object.entries(CONFIG.DND5E.currencies)) {
+      keys.set(key.toLowerCase(), key);
+      if (currency.abbreviation) keys.set(currency.abbreviation.toLowerCase(), key);
+    }
+
+    const tokens = [...keys.keys()].sort((a, b) => b.length - a.length).map((token) => RegExp.escape(token));
+    const pattern = new RegExp(`\\s*(?:containing|with)?\\s*(\\d[\\d,]*)\\s*(${tokens.join('|')})(?![\\p{L}\\d])`, 'giu');
+
+    return phrase
+      .replace(pattern, (_match, amount, token) => {
+        const key = keys.get(token.toLowerCase());
+        coins[key] = (coins[key] ?? 0) + parseInt(amount.replace(/,/g, ''));
+        return '';
+      })
+      .replace(/\s+and\s*$/i, '');
+  }
+
+  /**
+   * Finds an item of the item packs by name, trying singular forms and dropping containers like "a set of"
+   * @param {string} name - Lowercase item name
+   * @param {Map<string, string>} names - UUIDs by lowercase item name
+   * @returns {string|null} UUID of the item
+   * @private
+   * @static
+   */
+  static #findItem(name, names) {
+    const base = name.replace(/^(?:a |an |the )?(?:set|pair|suit|case|flask|vial|bottle|pouch|stick|sticks|piece|pieces) of /, '').trim();
+    const candidates = [name, base, base.replace(/ies$/, 'y'), base.replace(/es$/, ''), base.replace(/s$/, '')];
+    return candidates.map((candidate) => names.get(candidate)).find(Boolean) ?? null;
+  }
+
+  /**
+   * Splits a list of items on commas, semicolons and "and"
+   * Nothing inside parentheses is split, nor commas between digits as in "bag of 1,000", nor an "and" that is part
+   * of an item name such as "flint and steel".
+   * @param {string} text - The list
+   * @param {Map<string, string>} names - UUIDs by lowercase item name
+   * @returns {string[]} Phrases
+   * @private
+   * @static
+   */
+  static #splitList(text, names) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '(') depth++;
+      else if (char === ')') depth = Math.max(0, depth - 1);
+
+      const betweenDigits = char === ',' && /\d/.test(text[i - 1] ?? '') && /\d/.test(text[i + 1] ?? '');
+      if ((char === ',' || char === ';') && !depth && !betweenDigits) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts
+      .map((part) => part.trim().replace(/^and\s+/i, ''))
+      .flatMap((part) => (this.#isItemName(part, names) ? [part] : this.#splitOutsideParentheses(part, /\s+and\s+/gi)))
+      .map((phrase) => phrase.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Splits text on a separator, leaving parenthesized parts whole
+   * @param {string} text - The text
+   * @param {RegExp} separator - The separator, with the global flag
+   * @returns {string[]} Parts
+   * @private
+   * @static
+   */
+  static #splitOutsideParentheses(text, separator) {
+    const parts = [];
+    let start = 0;
+
+    for (const match of text.matchAll(separator)) {
+      const before = text.slice(0, match.index);
+      if ((before.match(/\(/g) ?? []).length > (before.match(/\)/g) ?? []).length) continue;
+      parts.push(text.slice(start, match.index));
+      start = match.index + match[0].length;
+    }
+
+    parts.push(text.slice(start));
+    return parts;
+  }
+
+  /**
+   * Checks whether a phrase, apart from its quantity, names an item of the item packs
+   * @param {string} phrase - The phrase
+   * @param {Map<string, string>} [names] - UUIDs by lowercase item name
+   * @returns {boolean} Whether the whole phrase is one item
+   * @private
+   * @static
+   */
+  static #isItemName(phrase, names) {
+    if (!names?.size) return false;
+    const text = phrase.toLowerCase().trim();
+    const [, word, rest] = text.match(/^(\d+|[a-z]+)\s+(.+)$/) ?? [];
+    const name = /^\d+$/.test(word ?? '') || this.NUMBER_WORDS[word] ? rest : text;
+    return !!this.#findItem(name, names);
+  }
+
+  /**
+   * Adds a starting equipment entry
+   * @param {object} state - Entries collected so far
+   * @param {object} data - Entry data
+   * @returns {object} The entry
+   * @private
+   * @static
+   */
+  static #createEntry(state, data) {
+    const entry = { _id: foundry.utils.randomID(), group: '', sort: (state.entries.length + 1) * 100000, count: null, requiresProficiency: false, ...data };
+    if (!entry.key) delete entry.key;
+    state.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Gets the UUIDs of the item pack items by lowercase name, with and without a trailing parenthetical
+   * @returns {Promise<Map<string, string>>} UUIDs by name
+   * @private
+   * @static
+   */
+  static async #getItemNames() {
+    const names = new Map();
+    const packs = (game.settings.get(HM.ID, 'itemPacks') || []).map((id) => game.packs.get(id)).filter((pack) => pack?.documentName === 'Item');
+
+    for (const pack of packs) {
+      for (const entry of await pack.getIndex()) {
+        const name = entry.name.toLowerCase().replace(/[’‘]/g, "'");
+        if (!names.has(name)) names.set(name, entry.uuid);
+        const short = name.replace(/\s*\(.*\)$/, '');
+        if (!names.has(short)) names.set(short, entry.uuid);
+      }
+    }
+
+    return names;
+  }
+}
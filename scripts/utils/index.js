@@ -1,20 +1,33 @@
 export { API } from '../api.js';
+export { Approvals } from '../app/Approvals.js';
 export { CustomCompendiums } from '../app/CustomCompendiums.js';
 export { Customization } from '../app/Customization.js';
 export { DiceRolling } from '../app/DiceRolling.js';
 export { HeroMancer } from '../app/HeroMancer.js';
+export { LevelUp } from '../app/LevelUp.js';
 export { MandatoryFields } from '../app/MandatoryFields.js';
+export { Presets } from '../app/Presets.js';
 export { Troubleshooter } from '../app/Troubleshooter.js';
 export { HM } from '../hero-mancer.js';
 export { needsReload, needsRerender, rerenderHM } from '../settings.js';
+export { AbilityBonusManager } from './abilityBonusManager.js';
+export { AbilitySuggester } from './abilitySuggester.js';
 export { ActorCreationService } from './actorCreationService.js';
+export { ApprovalService } from './approvalService.js';
+export { BuildTransfer } from './buildTransfer.js';
 export { CharacterArtPicker } from './characterArtPicker.js';
+export { CharacterBuilder } from './characterBuilder.js';
 export { JournalPageEmbed, JournalPageFinder } from './descriptionBuilder.js';
 export { DocumentService } from './documentService.js';
 export { DOMManager } from './DOMManager.js';
+export { DraftManager } from './draftManager.js';
+export { CombatPreview } from './equipment/combatPreview.js';
+export { EncumbrancePreview } from './equipment/encumbrancePreview.js';
 export { EquipmentDataService } from './equipment/equipmentDataService.js';
 export { EquipmentParser } from './equipment/equipmentParser.js';
 export { EquipmentRenderer } from './equipment/equipmentRenderer.js';
+export { EquipmentShop } from './equipment/equipmentShop.js';
+export { EquipmentTextParser } from './equipment/equipmentTextParser.js';
 export { AndItemRenderer } from './equipment/renderers/andItemRenderer.js';
 export { BaseItemRenderer } from './equipment/renderers/baseItemRenderer.js';
 export { FocusItemRenderer } from './equipment/renderers/focusItemRenderer.js';
@@ -22,8 +35,16 @@ export { LinkedItemRenderer } from './equipment/renderers/linkedItemRenderer.js'
 export { OrItemRenderer } from './equipment/renderers/orItemRenderer.js';
 export { ToolItemRenderer } from './equipment/renderers/toolItemRenderer.js';
 export { FormValidation } from './formValidation.js';
+export { LevelUpService } from './levelUpService.js';
 export { ProgressBar } from './progress.js';
+export { MulticlassManager } from './multiclassManager.js';
+export { PartyComparison } from './partyComparison.js';
+export { PresetManager } from './presetManager.js';
 export { CharacterRandomizer } from './randomizer.js';
+export { RollAuditService } from './rollAuditService.js';
+export { RollBreakdown } from './rollBreakdown.js';
+export { RollPoolManager } from './rollPoolManager.js';
 export { SavedOptions } from './savedOptions.js';
+export { SpellManager } from './spellManager.js';
 export { StatRoller } from './statRoller.js';
 export { TableManager } from './tableManager.js';
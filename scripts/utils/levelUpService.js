@@ -0,0 +1,292 @@
+import { ActorCreationService, HM, SpellManager } from './index.js';
+
+/**
+ * Advances an existing character by one class level
+ * Hit points, ability score improvements and new spells are chosen in the Level Up window,
+ * everything else the class grants at the new level goes through the system's advancement prompts
+ * @class
+ */
+export class LevelUpService {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Advancement types chosen in the Level Up window instead of the advancement prompts
+   * @type {string[]}
+   * @static
+   */
+  static HANDLED_ADVANCEMENTS = ['HitPoints', 'AbilityScoreImprovement'];
+
+  /**
+   * Default hit die when a class does not define one
+   * @type {string}
+   * @static
+   */
+  static DEFAULT_HIT_DIE = 'd8';
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Whether an actor can be levelled up by the current user
+   * @param {Actor} actor - The actor to check
+   * @returns {boolean} True for owned characters with at least one class below the maximum level
+   * @static
+   */
+  static canLevelUp(actor) {
+    if (actor?.type !== 'character' || !actor.isOwner) return false;
+    if (!actor.itemTypes.class.length) return false;
+    return (actor.system.details?.level ?? 0) < (CONFIG.DND5E.maxLevel || 20);
+  }
+
+  /**
+   * Gets the classes of an actor with their current levels
+   * @param {Actor} actor - The actor to read
+   * @returns {Array<{id: string, name: string, img: string, levels: number, subclass: string, hitDie: string}>} Class entries
+   * @static
+   */
+  static getClassLevels(actor) {
+    return actor.itemTypes.class.map((classItem) => ({
+      id: classItem.id,
+      name: classItem.name,
+      img: classItem.img,
+      levels: classItem.system.levels,
+      subclass: classItem.subclass?.name ?? '',
+      hitDie: this.getHitDie(classItem)
+    }));
+  }
+
+  /**
+   * Gets the hit die of a class
+   * @param {Item} classItem - The class item
+   * @returns {string} Hit die, e.g. "d10"
+   * @static
+   */
+  static getHitDie(classItem) {
+    return classItem.advancement?.byType?.HitPoints?.[0]?.hitDie || classItem.system.hd?.denomination || classItem.system.hitDice || this.DEFAULT_HIT_DIE;
+  }
+
+  /**
+   * Gets the hit point options for the next level of a class
+   * @param {Actor} actor - The actor being levelled up
+   * @param {Item} classItem - The class being advanced
+   * @returns {{die: string, faces: number, average: number, conMod: number}} Hit die, average roll and Constitution modifier
+   * @static
+   */
+  static getHitPointOptions(actor, classItem) {
+    const die = this.getHitDie(classItem);
+    const faces = parseInt(die.slice(1)) || 8;
+    return {
+      die,
+      faces,
+      average: Math.floor(faces / 2) + 1,
+      conMod: actor.system.abilities?.con?.mod ?? 0
+    };
+  }
+
+  /**
+   * Gets the ability score improvement a class grants at a level
+   * @param {Item} classItem - The class item
+   * @param {number} level - Class level
+   * @returns {object|null} The advancement, or null if the class grants none at this level
+   * @static
+   */
+  static getImprovement(classItem, level) {
+    const improvements = classItem.advancement?.byType?.AbilityScoreImprovement ?? [];
+    return improvements.find((advancement) => advancement.level === level) ?? null;
+  }
+
+  /**
+   * Gets the ability scores of an actor
+   * @param {Actor} actor - The actor to read
+   * @returns {Object<string, number>} Ability scores keyed by ability
+   * @static
+   */
+  static getAbilityScores(actor) {
+    return Object.fromEntries(Object.entries(actor.system.abilities ?? {}).map(([key, ability]) => [key, ability.value]));
+  }
+
+  /**
+   * Gets the cantrips and spells a class can learn at its next level
+   * Compares the class's counts at the new level with the spells of that class already on the actor
+   * @param {Actor} actor - The actor being levelled up
+   * @param {Item} classItem - The class being advanced
+   * @returns {Promise<object|null>} Spellcasting details with the new picks and available spells, or null if there is nothing to pick
+   * @static
+   */
+  static async getSpellPicks(actor, classItem) {
+    const level = classItem.system.levels + 1;
+    const spellcasting = await SpellManager.getSpellcasting(classItem.uuid, level, this.getAbilityScores(actor));
+    if (!spellcasting) return null;
+
+    const classSpells = actor.itemTypes.spell.filter((spell) => spell.system.sourceClass === spellcasting.identifier);
+    const cantrips = Math.max(0, spellcasting.cantrips - classSpells.filter((spell) => spell.system.level === 0).length);
+    const spells = Math.max(0, spellcasting.spells - classSpells.filter((spell) => spell.system.level > 0).length);
+    if (!cantrips && !spells) return null;
+
+    const owned = new Set(actor.itemTypes.spell.map((spell) => spell._stats?.compendiumSource ?? spell.flags?.core?.sourceId));
+    const available = (await SpellManager.getAvailableSpells(spellcasting)).filter((spell) => !owned.has(spell.uuid) && (spell.level === 0 ? cantrips : spells));
+
+    return { ...spellcasting, cantrips, spells, available };
+  }
+
+  /**
+   * Advances a class by one level and applies the choices made in the Level Up window
+   * @param {Actor} actor - The actor to level up
+   * @param {object} choices - Choices from the Level Up window
+   * @param {string} choices.classId - ID of the class item to advance
+   * @param {string|number} choices.hitPoints - "avg" or the rolled hit die
+   * @param {object|null} [choices.improvement] - Either {type: "asi", assignments} or {type: "feat", uuid}
+   * @param {string[]} [choices.spells] - UUIDs of new spells
+   * @returns {Promise<boolean>} Whether the level up was completed
+   * @static
+   */
+  static async levelUp(actor, choices) {
+    const classItem = actor.items.get(choices.classId);
+    if (classItem?.type !== 'class') {
+      ui.notifications.error('hm.level-up.errors.no-class', { localize: true });
+      return false;
+    }
+
+    const level = classItem.system.levels + 1;
+    HM.log(3, `Levelling up ${actor.name}: ${classItem.name} ${level}`, choices);
+
+    const completed = await this.#runLevelChange(actor, classItem, level);
+    if (!completed) {
+      ui.notifications.warn('hm.level-up.cancelled', { localize: true });
+      return false;
+    }
+
+    // The advancement manager replaced the class data, so read it again
+    const advancedClass = actor.items.get(classItem.id);
+    await this.#applyHitPoints(actor, advancedClass, level, choices.hitPoints);
+    await this.#applyImprovement(actor, advancedClass, level, choices.improvement);
+    await ActorCreationService.addSelectedSpells(actor, choices.spells, advancedClass);
+
+    ui.notifications.info(game.i18n.format('hm.level-up.complete', { name: actor.name, class: advancedClass.name, level }));
+    return true;
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Raises the class level through the system's advancement manager
+   * Hit point and ability score steps for the new level are removed since they were chosen up front
+   * @param {Actor} actor - The actor to level up
+   * @param {Item} classItem - The class being advanced
+   * @param {number} level - The new class level
+   * @returns {Promise<boolean>} Whether the level change was completed
+   * @private
+   * @static
+   */
+  static async #runLevelChange(actor, classItem, level) {
+    const manager = dnd5e.applications.advancement.AdvancementManager.forLevelChange(actor, classItem.id, 1);
+    manager.steps = manager.steps.filter((step) => {
+      const advancement = step.flow?.advancement;
+      return !(step.flow?.level === level && advancement?.item?.id === classItem.id && this.HANDLED_ADVANCEMENTS.includes(advancement.type));
+    });
+
+    if (!manager.steps.length) {
+      await classItem.update({ 'system.levels': level });
+      return true;
+    }
+
+    return new Promise((resolve) => {
+      let completed = false;
+      const completeHook = Hooks.on('dnd5e.advancementManagerComplete', (app) => {
+        if (app === manager) completed = true;
+      });
+      const closeHook = Hooks.on('closeAdvancementManager', (app) => {
+        if (app !== manager) return;
+        Hooks.off('dnd5e.advancementManagerComplete', completeHook);
+        Hooks.off('closeAdvancementManager', closeHook);
+        resolve(completed);
+      });
+
+      manager.render(true);
+    });
+  }
+
+  /**
+   * Records the hit points gained at the new level and heals the actor by the same amount
+   * @param {Actor} actor - The actor being levelled up
+   * @param {Item} classItem - The advanced class
+   * @param {number} level - The new class level
+   * @param {string|number} value - "avg" or the rolled hit die
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #applyHitPoints(actor, classItem, level, value) {
+    const advancement = classItem.advancement?.byType?.HitPoints?.[0];
+    if (!advancement) return;
+
+    const { average, conMod } = this.getHitPointOptions(actor, classItem);
+    const rolled = value === 'avg' ? average : parseInt(value);
+    if (!Number.isFinite(rolled)) {
+      HM.log(2, `No hit points chosen for ${classItem.name} ${level}`);
+      return;
+    }
+
+    try {
+      await classItem.updateAdvancement(advancement.id, { value: { [level]: value === 'avg' ? 'avg' : rolled } });
+      const hp = actor.system.attributes.hp;
+      await actor.update({ 'system.attributes.hp.value': hp.value + Math.max(rolled + conMod, 1) });
+    } catch (error) {
+      HM.log(1, 'Error applying hit points:', error);
+      ui.notifications.error('hm.level-up.errors.hit-points-failed', { localize: true });
+    }
+  }
+
+  /**
+   * Applies the ability score increase or feat chosen for the new level
+   * @param {Actor} actor - The actor being levelled up
+   * @param {Item} classItem - The advanced class
+   * @param {number} level - The new class level
+   * @param {object|null} improvement - Either {type: "asi", assignments} or {type: "feat", uuid}
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #applyImprovement(actor, classItem, level, improvement) {
+    const advancement = this.getImprovement(classItem, level);
+    if (!advancement || !improvement) return;
+
+    try {
+      if (improvement.type === 'feat') {
+        const feat = await fromUuid(improvement.uuid);
+        if (feat?.type !== 'feat') {
+          ui.notifications.warn(game.i18n.format('hm.level-up.errors.no-feat', { uuid: improvement.uuid }));
+          return;
+        }
+
+        const featData = game.items.fromCompendium(feat);
+        foundry.utils.setProperty(featData, 'flags.dnd5e.advancementOrigin', `${classItem.id}.${advancement.id}`);
+        const [created] = await actor.createEmbeddedDocuments('Item', [featData]);
+        await classItem.updateAdvancement(advancement.id, { value: { type: 'feat', feat: { [created.id]: improvement.uuid } } });
+        return;
+      }
+
+      const assignments = {};
+      const updates = {};
+      for (const [key, amount] of Object.entries(improvement.assignments ?? {})) {
+        const ability = actor.system.abilities[key];
+        const points = parseInt(amount) || 0;
+        if (!ability || !points) continue;
+
+        assignments[key] = points;
+        updates[`system.abilities.${key}.value`] = Math.min(ability.value + points, ability.max ?? 20);
+      }
+
+      await actor.update(updates);
+      await classItem.updateAdvancement(advancement.id, { value: { type: 'asi', assignments } });
+    } catch (error) {
+      HM.log(1, 'Error applying ability score improvement:', error);
+      ui.notifications.error('hm.level-up.errors.improvement-failed', { localize: true });
+    }
+  }
+}
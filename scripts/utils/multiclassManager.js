@@ -0,0 +1,283 @@
+import { DOMManager, EquipmentParser, HM } from './index.js';
+
+/**
+ * Manages additional classes and level splits for multiclass characters
+ * @class
+ */
+export class MulticlassManager {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Minimum ability score required to multiclass into or out of a class
+   * @type {number}
+   * @static
+   */
+  static PREREQUISITE_SCORE = 13;
+
+  /**
+   * Multiclass prerequisites for classes that do not define a primary ability
+   * @type {Object<string, {abilities: string[], all: boolean}>}
+   * @static
+   */
+  static FALLBACK_PREREQUISITES = {
+    artificer: { abilities: ['int'], all: true },
+    barbarian: { abilities: ['str'], all: true },
+    bard: { abilities: ['cha'], all: true },
+    cleric: { abilities: ['wis'], all: true },
+    druid: { abilities: ['wis'], all: true },
+    fighter: { abilities: ['str', 'dex'], all: false },
+    monk: { abilities: ['dex', 'wis'], all: true },
+    paladin: { abilities: ['str', 'cha'], all: true },
+    ranger: { abilities: ['dex', 'wis'], all: true },
+    rogue: { abilities: ['dex'], all: true },
+    sorcerer: { abilities: ['cha'], all: true },
+    warlock: { abilities: ['cha'], all: true },
+    wizard: { abilities: ['int'], all: true }
+  };
+
+  /**
+   * Counter used to give each added class row unique field names
+   * @type {number}
+   * @private
+   * @static
+   */
+  static #rowIndex = 0;
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Adds a new multiclass row to the Class tab
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element
+   * @returns {HTMLElement|null} The created row
+   * @static
+   */
+  static addClassRow(_event, target) {
+    const root = target?.closest('.tab[data-tab="class"]') || document.querySelector('.tab[data-tab="class"]');
+    return MulticlassManager.createRow(root);
+  }
+
+  /**
+   * Removes a multiclass row from the Class tab
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The remove button element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async removeClassRow(_event, target) {
+    const row = target?.closest('.multiclass-row');
+    if (!row) return;
+
+    const root = row.closest('.tab[data-tab="class"]');
+    row.remove();
+    await MulticlassManager.#refresh(root);
+  }
+
+  /**
+   * Creates a multiclass row from the row template
+   * @param {HTMLElement} root - Element containing the multiclass section
+   * @param {number} [index] - Row index to use for field names, defaults to the next free index
+   * @returns {HTMLElement|null} The created row
+   * @static
+   */
+  static createRow(root, index) {
+    const container = root?.querySelector('#multiclass-rows');
+    const template = root?.querySelector('#multiclass-row-template');
+    if (!container || !template) {
+      HM.log(2, 'Multiclass section not found');
+      return null;
+    }
+
+    const rowIndex = index ?? this.#rowIndex;
+    this.#rowIndex = Math.max(this.#rowIndex, rowIndex + 1);
+
+    const row = template.content.firstElementChild.cloneNode(true);
+    const classSelect = row.querySelector('.multiclass-class');
+    const levelInput = row.querySelector('.multiclass-level');
+    classSelect.name = `multiclass-class-${rowIndex}`;
+    levelInput.name = `multiclass-level-${rowIndex}`;
+
+    DOMManager.on(classSelect, 'change', () => this.#refresh(root));
+    DOMManager.on(levelInput, 'change', () => this.#refresh(root));
+
+    container.appendChild(row);
+    this.updateSummary(root);
+    return row;
+  }
+
+  /**
+   * Recreates multiclass rows for saved form data so their values can be restored
+   * @param {HTMLElement} html - Application root element
+   * @param {object} savedOptions - Saved form data
+   * @static
+   */
+  static restoreRows(html, savedOptions) {
+    const root = html?.querySelector('.tab[data-tab="class"]');
+    if (!root) return;
+
+    for (const key of Object.keys(savedOptions)) {
+      const match = key.match(/^multiclass-class-(\d+)$/);
+      if (match && !root.querySelector(`[name="${key}"]`)) {
+        this.createRow(root, parseInt(match[1]));
+      }
+    }
+  }
+
+  /**
+   * Collects the additional classes and levels currently chosen on the Class tab
+   * @param {HTMLElement} [root] - Element containing the multiclass section
+   * @returns {Array<{value: string, uuid: string, level: number}>} Additional class selections
+   * @static
+   */
+  static getSelections(root = document) {
+    return Array.from(root.querySelectorAll('.multiclass-row'))
+      .map((row) => {
+        const value = row.querySelector('.multiclass-class')?.value || '';
+        return {
+          value,
+          uuid: value.match(/\[(.*?)]/)?.[1] || '',
+          level: parseInt(row.querySelector('.multiclass-level')?.value) || 1
+        };
+      })
+      .filter((selection) => selection.uuid);
+  }
+
+  /**
+   * Gets the multiclass ability requirements for a class
+   * Uses the class's primary ability when defined, otherwise the standard rules for known classes
+   * @param {string} classUuid - UUID of the class item
+   * @returns {{abilities: string[], all: boolean}} Required abilities and whether all of them must be met
+   * @static
+   */
+  static getPrerequisites(classUuid) {
+    try {
+      // Compendium classes resolve to index entries, which include system.primaryAbility through the index fields
+      const classItem = fromUuidSync(classUuid);
+      const primaryAbility = classItem?.system?.primaryAbility;
+      const abilities = Array.from(primaryAbility?.value ?? []);
+      if (abilities.length) return { abilities, all: primaryAbility.all ?? true };
+
+      const identifier = classItem?.system?.identifier || classItem?.name?.slugify({ strict: true });
+      return this.FALLBACK_PREREQUISITES[identifier] ?? { abilities: [], all: true };
+    } catch (error) {
+      HM.log(2, `Unable to read multiclass prerequisites for ${classUuid}:`, error);
+      return { abilities: [], all: true };
+    }
+  }
+
+  /**
+   * Checks multiclass prerequisites for every class in a build
+   * A multiclass character must meet the prerequisites of all of their classes, including the first one
+   * @param {string[]} classUuids - UUIDs of all classes, primary class first
+   * @param {Object<string, number>} abilityScores - Ability scores keyed by ability
+   * @returns {Array<{name: string, requirement: string}>} Classes whose prerequisites are not met
+   * @static
+   */
+  static checkPrerequisites(classUuids, abilityScores) {
+    if (classUuids.length < 2) return [];
+
+    const failures = [];
+    for (const uuid of classUuids) {
+      const { abilities, all } = this.getPrerequisites(uuid);
+      if (!abilities.length) continue;
+
+      const meets = (ability) => (parseInt(abilityScores[ability]) || 0) >= this.PREREQUISITE_SCORE;
+      const met = all ? abilities.every(meets) : abilities.some(meets);
+      if (met) continue;
+
+      const parts = abilities.map((ability) => `${CONFIG.DND5E.abilities[ability]?.label ?? ability.toUpperCase()} ${this.PREREQUISITE_SCORE}`);
+      failures.push({
+        name: fromUuidSync(uuid)?.name ?? uuid,
+        requirement: game.i18n.getListFormatter({ type: all ? 'conjunction' : 'disjunction' }).format(parts)
+      });
+    }
+
+    return failures;
+  }
+
+  /**
+   * Validates a class/level split
+   * @param {string} primaryUuid - UUID of the primary class
+   * @param {number} primaryLevel - Level of the primary class
+   * @param {Array<{uuid: string, level: number}>} selections - Additional class selections
+   * @param {Object<string, number>} abilityScores - Ability scores keyed by ability
+   * @returns {{totalLevel: number, warnings: string[]}} Total character level and any problems found
+   * @static
+   */
+  static validate(primaryUuid, primaryLevel, selections, abilityScores) {
+    const warnings = [];
+    const maxLevel = CONFIG.DND5E.maxLevel || 20;
+    const totalLevel = primaryLevel + selections.reduce((sum, selection) => sum + selection.level, 0);
+
+    if (totalLevel > maxLevel) {
+      warnings.push(game.i18n.format('hm.app.class.multiclass.level-exceeded', { level: totalLevel, max: maxLevel }));
+    }
+
+    const uuids = [primaryUuid, ...selections.map((selection) => selection.uuid)].filter(Boolean);
+    const duplicates = uuids.filter((uuid, index) => uuids.indexOf(uuid) !== index);
+    for (const uuid of new Set(duplicates)) {
+      warnings.push(game.i18n.format('hm.app.class.multiclass.duplicate', { class: fromUuidSync(uuid)?.name ?? uuid }));
+    }
+
+    if (primaryUuid) {
+      for (const failure of this.checkPrerequisites(uuids, abilityScores)) {
+        warnings.push(game.i18n.format('hm.app.class.multiclass.prerequisite', { class: failure.name, requirement: failure.requirement }));
+      }
+    }
+
+    return { totalLevel, warnings };
+  }
+
+  /**
+   * Updates the multiclass summary with the total level and any prerequisite warnings
+   * @param {HTMLElement} [root] - Element containing the multiclass section
+   * @static
+   */
+  static updateSummary(root = document.querySelector('.tab[data-tab="class"]')) {
+    const summary = root?.querySelector('.multiclass-summary');
+    if (!summary) return;
+
+    try {
+      const selections = this.getSelections(root);
+      const primaryLevel = parseInt(root.querySelector('#starting-level')?.value) || 1;
+      const { totalLevel, warnings } = this.validate(HM.SELECTED.class?.uuid, primaryLevel, selections, DOMManager.collectAbilityScores());
+
+      const total = summary.querySelector('.multiclass-total');
+      if (total) total.textContent = game.i18n.format('hm.app.class.multiclass.total-level', { level: totalLevel });
+
+      const list = summary.querySelector('.multiclass-warnings');
+      if (list) {
+        list.innerHTML = '';
+        for (const warning of warnings) {
+          const item = document.createElement('li');
+          item.textContent = warning;
+          list.appendChild(item);
+        }
+      }
+
+      summary.hidden = !selections.length && !warnings.length;
+    } catch (error) {
+      HM.log(1, 'Error updating multiclass summary:', error);
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Updates the summary and the equipment proficiencies after the additional classes changed
+   * @param {HTMLElement} root - Element containing the multiclass section
+   * @returns {Promise<void>}
+   * @private
+   * @static
+   */
+  static async #refresh(root) {
+    this.updateSummary(root);
+    await EquipmentParser.getInstance().refreshProficiencies();
+  }
+}
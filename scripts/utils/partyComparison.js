@@ -0,0 +1,134 @@
+import { AbilityBonusManager, DOMManager, HM } from './index.js';
+
+/**
+ * Compares the character being built with the player characters already in the world
+ * Lists their classes and ability scores and points out abilities and roles nobody in the party covers.
+ * @class
+ */
+export class PartyComparison {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Lowest final score that counts as a high score for the party
+   * @type {number}
+   * @static
+   */
+  static HIGH_SCORE = 14;
+
+  /**
+   * Party roles and the class identifiers that fill them
+   * @type {Object<string, string[]>}
+   * @static
+   */
+  static ROLES = {
+    healer: ['cleric', 'druid', 'bard', 'paladin', 'artificer'],
+    arcane: ['wizard', 'sorcerer', 'warlock'],
+    defender: ['fighter', 'barbarian', 'paladin'],
+    skills: ['rogue', 'bard', 'ranger']
+  };
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Gets the player characters the current user can see
+   * @returns {Actor[]} Player-owned character actors
+   * @static
+   */
+  static getParty() {
+    return game.actors.filter((actor) => actor.type === 'character' && actor.hasPlayerOwner && actor.testUserPermission(game.user, 'LIMITED'));
+  }
+
+  /**
+   * Builds the party table for rendering
+   * @returns {{members: Array<object>}} One entry per character with its classes and scores, the party's best score marked
+   * @static
+   */
+  static getContext() {
+    const keys = Object.keys(CONFIG.DND5E.abilities);
+    const party = this.getParty();
+    const best = Object.fromEntries(keys.map((key) => [key, Math.max(0, ...party.map((actor) => actor.system.abilities?.[key]?.value ?? 0))]));
+
+    return {
+      members: party.map((actor) => ({
+        name: actor.name,
+        img: actor.img,
+        classes: Object.values(actor.classes ?? {})
+          .map((cls) => `${cls.name} ${cls.system.levels}`)
+          .join(' / '),
+        scores: keys.map((key) => {
+          const value = actor.system.abilities?.[key]?.value ?? null;
+          return { key, value, best: !!value && value === best[key] };
+        })
+      }))
+    };
+  }
+
+  /**
+   * Gets the abilities and roles no party member covers
+   * @param {Actor[]} [party] - Party members
+   * @returns {{abilities: string[], roles: string[]}} Uncovered ability keys and role keys
+   * @static
+   */
+  static getGaps(party = this.getParty()) {
+    const identifiers = new Set(party.flatMap((actor) => Object.keys(actor.classes ?? {})));
+
+    return {
+      abilities: Object.keys(CONFIG.DND5E.abilities).filter((key) => !party.some((actor) => (actor.system.abilities?.[key]?.value ?? 0) >= this.HIGH_SCORE)),
+      roles: Object.keys(this.ROLES).filter((role) => !this.ROLES[role].some((identifier) => identifiers.has(identifier)))
+    };
+  }
+
+  /**
+   * Shows the scores of the character being built and which party gaps it fills
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {void}
+   * @static
+   */
+  static update(element = HM.heroMancer?.element) {
+    const section = element?.querySelector('.party-comparison');
+    const list = section?.querySelector('.party-gaps');
+    if (!list) return;
+
+    try {
+      const scores = AbilityBonusManager.applyBonuses(DOMManager.collectAbilityScores(), element);
+      for (const cell of section.querySelectorAll('.party-self [data-ability]')) {
+        cell.textContent = scores[cell.dataset.ability] || '–';
+      }
+
+      const party = this.getParty();
+      if (!party.length) return;
+
+      const classItem = HM.SELECTED.class?.uuid ? fromUuidSync(HM.SELECTED.class.uuid) : null;
+      const identifier = classItem?.system?.identifier;
+      const gaps = this.getGaps(party);
+
+      const items = [
+        ...gaps.abilities.map((key) => ({
+          text: game.i18n.format('hm.app.abilities.party.gaps.ability', { ability: CONFIG.DND5E.abilities[key]?.label ?? key }),
+          filled: (scores[key] ?? 0) >= this.HIGH_SCORE
+        })),
+        ...gaps.roles.map((role) => ({
+          text: game.i18n.format('hm.app.abilities.party.gaps.role', { role: game.i18n.localize(`hm.app.abilities.party.roles.${role}`) }),
+          filled: this.ROLES[role].includes(identifier)
+        }))
+      ];
+
+      list.replaceChildren(
+        ...items.map(({ text, filled }) => {
+          const item = document.createElement('li');
+          item.classList.toggle('filled', filled);
+          item.textContent = filled ? game.i18n.format('hm.app.abilities.party.gaps.filled', { gap: text }) : text;
+          return item;
+        })
+      );
+
+      section.querySelector('.party-no-gaps')?.toggleAttribute('hidden', items.length > 0);
+    } catch (error) {
+      HM.log(1, 'Error updating party comparison:', error);
+    }
+  }
+}
@@ -0,0 +1,193 @@
+import { BuildTransfer, HM, SavedOptions } from './index.js';
+
+const { DialogV2 } = foundry.applications.api;
+
+/**
+ * Reads the GM preset library and applies presets and their field locks to the Hero Mancer form
+ * @class
+ */
+export class PresetManager {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Fields a GM can lock, in the order they are shown
+   * @type {string[]}
+   * @static
+   */
+  static LOCKABLE_FIELDS = ['race', 'background', 'class', 'starting-level', 'subclass', 'abilities', 'spells'];
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Gets all presets sorted by name
+   * @returns {object[]} Presets with id, name, description, build and locks
+   * @static
+   */
+  static getPresets() {
+    try {
+      const presets = game.settings.get(HM.ID, 'presets') || {};
+      return Object.values(presets).sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+    } catch (error) {
+      HM.log(1, 'Error loading presets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Gets a single preset
+   * @param {string|null} presetId - The preset ID
+   * @returns {object|null} The preset or null if it does not exist
+   * @static
+   */
+  static getPreset(presetId) {
+    if (!presetId) return null;
+    return game.settings.get(HM.ID, 'presets')?.[presetId] ?? null;
+  }
+
+  /**
+   * Gets the locked fields of a preset as a lookup object for templates
+   * @param {string|null} presetId - The preset ID
+   * @returns {Object<string, boolean>} Locked state keyed by field
+   * @static
+   */
+  static getLocks(presetId) {
+    const locks = this.getPreset(presetId)?.locks ?? [];
+    return Object.fromEntries(locks.map((field) => [field, true]));
+  }
+
+  /**
+   * Gets the localized label of a lockable field
+   * @param {string} field - Field from LOCKABLE_FIELDS
+   * @returns {string} Field label
+   * @static
+   */
+  static getFieldLabel(field) {
+    return game.i18n.localize(`hm.settings.presets.fields.${field}`);
+  }
+
+  /**
+   * Starts the form over from the preset chosen on the Start tab
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async applyPreset(_event, target) {
+    const app = HM.heroMancer;
+    const presetId = target.closest('form')?.querySelector('#preset-select')?.value || null;
+    if (!app) return;
+
+    const preset = PresetManager.getPreset(presetId);
+    const confirmed = await DialogV2.confirm({
+      window: { title: 'hm.app.start.presets.apply' },
+      content: `<p>${game.i18n.localize(preset ? 'hm.app.start.presets.apply-confirm' : 'hm.app.start.presets.clear-confirm')}</p>`,
+      rejectClose: false,
+      modal: true
+    });
+    if (!confirmed) return;
+
+    try {
+      await PresetManager.activate(app, presetId);
+      if (preset) ui.notifications.info(game.i18n.format('hm.app.start.presets.applied', { name: preset.name }));
+    } catch (error) {
+      HM.log(1, `Error applying preset ${presetId}:`, error);
+      ui.notifications.error('hm.app.start.presets.apply-failed', { localize: true });
+    }
+  }
+
+  /**
+   * Makes a preset the active one and restores its build
+   * The application is re-rendered first so the preset's locks are applied to the inputs
+   * @param {HeroMancer} app - The Hero Mancer application
+   * @param {string|null} presetId - The preset ID, or null to clear the active preset
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async activate(app, presetId) {
+    app.presetId = this.getPreset(presetId) ? presetId : null;
+    await SavedOptions.resetOptions(app.element);
+    await app.render(true);
+    await this.restore(app);
+  }
+
+  /**
+   * Restores the build of the application's active preset into the form
+   * @param {HeroMancer} app - The Hero Mancer application
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async restore(app) {
+    const preset = this.getPreset(app?.presetId);
+    if (!preset) return;
+
+    await BuildTransfer.restore(app.element, preset.build);
+  }
+
+  /**
+   * Overwrites locked fields with the preset's values
+   * Locked inputs are disabled, so they are missing from submitted form data and must be filled back in
+   * @param {object} data - Flat form data, modified in place
+   * @param {string|null} presetId - The preset ID
+   * @returns {object} The same form data
+   * @static
+   */
+  static applyLockedValues(data, presetId) {
+    const preset = this.getPreset(presetId);
+    if (!preset || !data) return data;
+
+    for (const field of preset.locks ?? []) {
+      for (const key of Object.keys(data)) {
+        if (this.#matchesField(field, key)) delete data[key];
+      }
+      for (const [key, value] of Object.entries(preset.build.form)) {
+        if (this.#matchesField(field, key)) data[key] = value;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Returns a copy of a build whose locked fields are replaced with the preset's values
+   * @param {object} build - Build data as produced by BuildTransfer.serialize
+   * @param {string|null} presetId - The preset ID
+   * @returns {object} The locked build
+   * @static
+   */
+  static lockBuild(build, presetId) {
+    const preset = this.getPreset(presetId);
+    if (!preset) return build;
+
+    const locked = foundry.utils.deepClone(build);
+    locked.form = this.applyLockedValues(locked.form, presetId);
+    if (preset.locks?.includes('abilities')) locked.abilities = foundry.utils.deepClone(preset.build.abilities);
+    return locked;
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Checks whether a form field name belongs to a lockable field
+   * @param {string} field - Field from LOCKABLE_FIELDS
+   * @param {string} key - Form field name
+   * @returns {boolean} Whether the form field is covered by the lock
+   * @private
+   * @static
+   */
+  static #matchesField(field, key) {
+    switch (field) {
+      case 'class':
+        return key === 'class' || key.startsWith('multiclass-');
+      case 'abilities':
+        return key.startsWith('abilities[');
+      default:
+        return key === field;
+    }
+  }
+}
@@ -1,4 +1,4 @@
-import { HM } from '../utils/index.js';
+import { HeroMancer, HM, StatRoller } from '../utils/index.js';
 
 /**
  * Manages progress bar for Hero Mancer
@@ -152,7 +152,13 @@ export class ProgressBar {
    */
   static #shouldSkipInput(input) {
     return (
-      input.disabled || input.closest('.equipment-section')?.classList.contains('disabled') || input.name.startsWith('use-starting-wealth') || input.name === 'ring.effects' || input.name === 'player'
+      input.disabled ||
+      input.closest('.equipment-section')?.classList.contains('disabled') ||
+      input.classList.contains('ability-bonus') ||
+      input.classList.contains('roll-pool-assign') ||
+      input.name.startsWith('use-starting-wealth') ||
+      input.name === 'ring.effects' ||
+      input.name === 'player'
     );
   }
 
@@ -280,9 +286,10 @@ export class ProgressBar {
     const remainingPointsText = remainingPointsElement.textContent || '0';
     const remainingPoints = parseInt(remainingPointsText, 10);
 
-    if (isNaN(remainingPoints)) return false;
+    if (isNaN(remainingPoints) || remainingPoints < 0) return false;
 
-    const isComplete = remainingPoints === 0;
+    // Some cost tables cannot spend every point, so it is also complete once nothing else is affordable
+    const isComplete = remainingPoints === 0 || HeroMancer.selectedAbilities.every((score) => StatRoller.getPointBuyIncreaseCost(score) > remainingPoints);
     HM.log(3, `Point Buy ability check - remaining points: ${remainingPoints}, filled: ${isComplete}`);
 
     return isComplete;
@@ -1,4 +1,4 @@
-import { DOMManager, HeroMancer, HM, StatRoller } from './index.js';
+import { DOMManager, HeroMancer, HM, RollBreakdown, RollPoolManager, StatRoller } from './index.js';
 
 /**
  * Combined class for character randomization and name generation
@@ -462,6 +462,9 @@ export class CharacterRandomizer {
         case 'manualFormula':
           success = await this.#randomizeManualFormula(form);
           break;
+        case 'rollPool':
+          success = await this.#randomizeRollPool(form);
+          break;
         default:
           HM.log(2, `Unknown roll method: ${rollMethod}`);
           return false;
@@ -893,6 +896,9 @@ export class CharacterRandomizer {
         return false;
       }
 
+      // Extra abilities take the value the standard array was padded with for them
+      await this.#assignExtraAbilities(abilityData);
+
       // First assign values to primary abilities
       await this.#assignPrimaryAbilities(abilityData);
 
@@ -923,7 +929,7 @@ export class CharacterRandomizer {
 
       return {
         index,
-        key: dropdown?.name?.match(/\[([a-z]+)]/)?.[1] || '',
+        key: dropdown?.name?.match(/\[(\w+)]/)?.[1] || '',
         dropdown,
         isPrimary: label?.classList.contains('primary-ability'),
         label: label?.textContent.trim()
@@ -953,6 +959,31 @@ export class CharacterRandomizer {
     };
   }
 
+  /**
+   * Assign extra abilities the value the standard array was padded with for them
+   * Assigned abilities are removed from the primary and remaining lists.
+   * @param {Object} abilityData - Collected ability data
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async #assignExtraAbilities(abilityData) {
+    const extraKeys = StatRoller.getExtraAbilities();
+
+    for (const ability of abilityData.abilities.filter((a) => extraKeys.includes(a.key))) {
+      const valueIndex = abilityData.valuesCopy.indexOf(String(StatRoller.getExtraAbilityScore(ability.key)));
+      if (valueIndex === -1 || !ability.dropdown) continue;
+
+      const [value] = abilityData.valuesCopy.splice(valueIndex, 1);
+      ability.dropdown.value = value;
+      ability.dropdown.dispatchEvent(new Event('change', { bubbles: true }));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      HM.log(3, `Assigned ${value} to extra ability ${ability.label}`);
+
+      abilityData.primaryAbilities = abilityData.primaryAbilities.filter((a) => a !== ability);
+      abilityData.remainingAbilities = abilityData.remainingAbilities.filter((a) => a !== ability);
+    }
+  }
+
   /**
    * Assign values to primary abilities
    * @param {Object} abilityData - Collected ability data
@@ -1155,6 +1186,52 @@ export class CharacterRandomizer {
     HM.log(3, `Completed non-primary distribution. Total clicks: ${totalClicks}`);
   }
 
+  /**
+   * Randomize Roll and Assign ability assignments
+   * Sets that were already rolled are kept, otherwise they are rolled now. Without a chosen set the one with the highest total is used.
+   * @private
+   * @param {HTMLElement} form - The form element
+   * @returns {Promise<boolean>} Success status
+   */
+  static async #randomizeRollPool(form) {
+    try {
+      if (!RollPoolManager.getPool().sets.length && !(await RollPoolManager.rollSets())) return false;
+
+      const { sets, selected } = RollPoolManager.getPool();
+      if (!sets[selected]) {
+        const totals = sets.map((values) => values.reduce((sum, value) => sum + value, 0));
+        await RollPoolManager.selectSet(totals.indexOf(Math.max(...totals)));
+      }
+
+      // The abilities tab was rendered again, so highlight the primary abilities before reading them
+      await DOMManager.updateAbilitiesSummary();
+
+      const abilities = Array.from(form.querySelectorAll('.ability-block')).map((block, index) => {
+        const label = block.querySelector('.ability-label');
+        return {
+          index,
+          dropdown: block.querySelector('.roll-pool-assign'),
+          isPrimary: label?.classList.contains('primary-ability'),
+          label: label?.textContent.trim()
+        };
+      });
+
+      const { values } = RollPoolManager.getContext();
+      const abilityData = {
+        primaryAbilities: abilities.filter((a) => a.isPrimary).sort((a, b) => a.label.localeCompare(b.label)),
+        remainingAbilities: abilities.filter((a) => !a.isPrimary),
+        valuesCopy: values.sort((a, b) => b.value - a.value).map((entry) => String(entry.index))
+      };
+
+      await this.#assignPrimaryAbilities(abilityData);
+      await this.#assignRemainingAbilities(abilityData);
+      return true;
+    } catch (error) {
+      HM.log(1, 'Error randomizing roll and assign:', error);
+      return false;
+    }
+  }
+
   /**
    * Randomize Manual Formula ability assignments
    * @private
@@ -1270,52 +1347,31 @@ export class CharacterRandomizer {
    * @private
    */
   static async #generateAbilityRolls(abilityBlocks) {
-    const rollResults = [];
-    const rollFormula = await StatRoller.getAbilityScoreRollFormula();
-
-    if (!rollFormula) {
-      throw new Error('Could not get ability score roll formula');
-    }
+    // Rolled like the roll all button, so the roll rules apply
+    const result = await StatRoller.rollManualSet(abilityBlocks.length);
+    if (!result) throw new Error('Could not roll ability scores');
 
-    for (let i = 0; i < abilityBlocks.length; i++) {
-      try {
-        const roll = new Roll(rollFormula);
-        await roll.evaluate();
-
-        const input = abilityBlocks[i].querySelector('.ability-score');
-        const ability = abilityBlocks[i].querySelector('.ability-dropdown')?.value;
-        const isPrimary = abilityBlocks[i].querySelector('.primary-ability') !== null;
-
-        rollResults.push({
-          index: i,
-          value: roll.total,
-          ability,
-          isPrimary,
-          input
-        });
-
-        HM.log(3, `Rolled ${roll.total} for ${ability} (primary: ${isPrimary})`);
-      } catch (error) {
-        HM.log(1, `Error rolling for ability ${i}:`, error);
-        // Use a default value if roll fails
-        rollResults.push({
-          index: i,
-          value: 10, // Fallback value
-          ability: abilityBlocks[i].querySelector('.ability-dropdown')?.value,
-          isPrimary: abilityBlocks[i].querySelector('.primary-ability') !== null,
-          input: abilityBlocks[i].querySelector('.ability-score')
-        });
-      }
-    }
+    return result.rolls.map(({ roll, total }, i) => {
+      const ability = abilityBlocks[i].querySelector('.ability-dropdown')?.value;
+      const isPrimary = abilityBlocks[i].querySelector('.primary-ability') !== null;
+      HM.log(3, `Rolled ${total} for ${ability} (primary: ${isPrimary})`);
 
-    return rollResults;
+      return {
+        index: i,
+        value: total,
+        breakdown: RollBreakdown.fromRoll(roll, total),
+        ability,
+        isPrimary,
+        input: abilityBlocks[i].querySelector('.ability-score')
+      };
+    });
   }
 
   /**
    * Create optimized ability score assignments
    * @param {NodeList} abilityBlocks - Ability block elements
    * @param {Array} rollResults - Array of roll results
-   * @returns {Array} Optimized assignments
+   * @returns {Array<{value: number, breakdown: object|null}>} Optimized assignments with the dice of each score
    * @private
    */
   static #createOptimizedAssignments(abilityBlocks, rollResults) {
@@ -1332,12 +1388,14 @@ export class CharacterRandomizer {
 
     // Assign highest values to primary abilities first
     primaryAbilities.forEach((primary) => {
-      finalAssignments[primary.index] = rollResults[resultIndex++].value;
+      const { value, breakdown } = rollResults[resultIndex++];
+      finalAssignments[primary.index] = { value, breakdown };
     });
 
     // Assign remaining values to non-primary abilities
     nonPrimaryAbilities.forEach((nonPrimary) => {
-      finalAssignments[nonPrimary.index] = rollResults[resultIndex++].value;
+      const { value, breakdown } = rollResults[resultIndex++];
+      finalAssignments[nonPrimary.index] = { value, breakdown };
     });
 
     HM.log(3, 'Created optimized ability assignments', finalAssignments);
@@ -1347,7 +1405,7 @@ export class CharacterRandomizer {
   /**
    * Apply ability score assignments
    * @param {NodeList} abilityBlocks - Ability block elements
-   * @param {Array} finalAssignments - Array of final assignments
+   * @param {Array<{value: number, breakdown: object|null}>} finalAssignments - Scores and their dice per ability block
    * @returns {Promise<void>}
    * @private
    */
@@ -1355,10 +1413,12 @@ export class CharacterRandomizer {
     for (let i = 0; i < abilityBlocks.length; i++) {
       const input = abilityBlocks[i].querySelector('.ability-score');
       if (input && finalAssignments[i] !== undefined) {
-        input.value = finalAssignments[i];
+        const { value, breakdown } = finalAssignments[i];
+        input.value = value;
+        RollBreakdown.setManual(i, breakdown);
         input.dispatchEvent(new Event('change', { bubbles: true }));
         await new Promise((resolve) => setTimeout(resolve, 50));
-        HM.log(3, `Set ability ${i} to ${finalAssignments[i]}`);
+        HM.log(3, `Set ability ${i} to ${value}`);
       }
     }
   }
@@ -0,0 +1,214 @@
+import { HM } from './index.js';
+
+/**
+ * Posts ability score rolls to chat and keeps a log of them for the GM
+ * The log is kept on the rolling user until the character is created and then moves to the actor.
+ * It is kept in every mode, since rolled scores are checked against it.
+ * @class
+ */
+export class RollAuditService {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Audit modes: "off" posts nothing, "public" posts rolls to everyone, "gm" whispers them to the GM
+   * @type {string[]}
+   * @static
+   */
+  static MODES = ['off', 'public', 'gm'];
+
+  /**
+   * Flag holding the roll log, on the user while creating and on the actor afterwards
+   * @type {string}
+   * @static
+   */
+  static FLAG = 'rollLog';
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Gets the configured audit mode
+   * @returns {string} One of MODES
+   * @static
+   */
+  static getMode() {
+    const mode = game.settings.get(HM.ID, 'abilityRollAudit');
+    return this.MODES.includes(mode) ? mode : 'off';
+  }
+
+  /**
+   * Gets the roll log of a user or actor
+   * @param {User|Actor} [document] - Document holding the log, defaults to the current user
+   * @returns {Array<object>} Logged rolls, oldest first
+   * @static
+   */
+  static getLog(document = game.user) {
+    return document?.getFlag(HM.ID, this.FLAG) ?? [];
+  }
+
+  /**
+   * Counts the rolls and rerolls of a log
+   * @param {Array<object>} [log] - Logged rolls
+   * @returns {{rolls: number, rerolls: number}} Number of logged rolls and how many of them were rerolls
+   * @static
+   */
+  static summarize(log = []) {
+    return { rolls: log.length, rerolls: log.filter((entry) => entry.reroll).length };
+  }
+
+  /**
+   * Counts the logged rolls that do not match the chat message posted for them
+   * The log is written by the player's client, so the GM checks it against the messages: the message has to exist,
+   * be authored by the user and hold the same timestamp, totals and dice. Rolls logged without a message only count
+   * while the audit is on.
+   * @param {Array<object>} [log] - Logged rolls
+   * @param {User} user - The user who made the rolls
+   * @returns {number} Number of logged rolls that could not be matched
+   * @static
+   */
+  static verify(log = [], user) {
+    const auditing = this.getMode() !== 'off';
+    return log.filter((entry) => (entry.messageId ? !this.#matchesMessage(entry, game.messages.get(entry.messageId), user) : auditing)).length;
+  }
+
+  /**
+   * Adds ability rolls to the log of the current user and posts them to chat unless the audit is off
+   * A roll counts as a reroll when any of its slots was already rolled with the same method.
+   * Sets the roll rules replaced before these rolls are listed in the same message.
+   * @param {string} method - Roll method, e.g. "manualFormula" or "rollPool"
+   * @param {Array<{roll: Roll, total: number, slot: string, label: string}>} results - Evaluated rolls with the score they produced
+   * @param {Array<{scores: number[], reasons: string[]}>} [rejected=[]] - Sets the roll rules had rolled again
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async record(method, results, rejected = []) {
+    const mode = this.getMode();
+    if (!results?.length) return;
+
+    try {
+      const log = this.getLog();
+      const slots = new Set(results.map((result) => result.slot));
+      const entry = {
+        method,
+        formula: results[0].roll.formula,
+        timestamp: Date.now(),
+        reroll: log.some((logged) => logged.method === method && logged.results.some((result) => slots.has(result.slot))),
+        rejected: rejected.map(({ scores, reasons }) => ({ scores, reasons })),
+        results: results.map(({ roll, total, slot, label }) => ({
+          slot,
+          label,
+          total,
+          rolled: roll.total,
+          dice: roll.dice.flatMap((die) => die.results.map((result) => result.result))
+        }))
+      };
+
+      const message = mode === 'off' ? null : await this.#postMessage(mode, results, entry, this.summarize(log).rerolls);
+      entry.messageId = message?.id ?? null;
+
+      await game.user.setFlag(HM.ID, this.FLAG, [...log, entry]);
+    } catch (error) {
+      HM.log(1, 'Error recording ability roll:', error);
+    }
+  }
+
+  /**
+   * Stores a roll log on a created character
+   * @param {Actor} actor - The created actor
+   * @param {Array<object>} [log] - Logged rolls
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async storeOnActor(actor, log) {
+    if (!actor || !log?.length) return;
+
+    try {
+      await actor.setFlag(HM.ID, this.FLAG, log);
+    } catch (error) {
+      HM.log(1, `Error storing roll log on ${actor.name}:`, error);
+    }
+  }
+
+  /**
+   * Discards the roll log of a user once it was handed to a character
+   * @param {User} [user] - The user, defaults to the current user
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async clear(user = game.user) {
+    if (user?.getFlag(HM.ID, this.FLAG)) await user.unsetFlag(HM.ID, this.FLAG);
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Posts the rolls of a log entry to chat with a Hero Mancer flag
+   * @param {string} mode - "public" or "gm"
+   * @param {Array<{roll: Roll, label: string}>} results - Evaluated rolls
+   * @param {object} entry - The log entry being recorded
+   * @param {number} previousRerolls - Rerolls logged before this entry
+   * @returns {Promise<ChatMessage|undefined>} The created message
+   * @private
+   * @static
+   */
+  static async #postMessage(mode, results, entry, previousRerolls) {
+    const name = document.getElementById('character-name')?.value || game.user.name;
+    const abilities = [...new Set(results.map((result) => result.label).filter(Boolean))].join(', ');
+
+    const messageData = {
+      speaker: ChatMessage.getSpeaker(),
+      flavor: this.#getFlavor(entry, { name, abilities, rerolls: previousRerolls + 1 }),
+      rolls: results.map((result) => result.roll),
+      sound: CONFIG.sounds.dice,
+      flags: {
+        [HM.ID]: { type: 'ability-roll', userId: game.user.id, method: entry.method, reroll: entry.reroll, rejected: entry.rejected.length, timestamp: entry.timestamp }
+      }
+    };
+
+    ChatMessage.applyRollMode(messageData, mode === 'gm' ? CONST.DICE_ROLL_MODES.PRIVATE : CONST.DICE_ROLL_MODES.PUBLIC);
+    return ChatMessage.create(messageData);
+  }
+
+  /**
+   * Checks a log entry against the chat message posted for it
+   * @param {object} entry - Logged roll
+   * @param {ChatMessage} [message] - The message the entry points to
+   * @param {User} user - The user who made the roll
+   * @returns {boolean} True if the message holds the logged rolls
+   * @private
+   * @static
+   */
+  static #matchesMessage(entry, message, user) {
+    const flags = message?.getFlag(HM.ID, 'type') === 'ability-roll' ? message.flags[HM.ID] : null;
+    if (!flags || (message.author ?? message.user)?.id !== user?.id || flags.timestamp !== entry.timestamp) return false;
+    if (message.rolls.length !== entry.results?.length) return false;
+
+    return entry.results.every((result, index) => {
+      const roll = message.rolls[index];
+      const dice = roll.dice.flatMap((die) => die.results.map((rolled) => rolled.result));
+      return roll.total === result.rolled && dice.length === result.dice?.length && dice.every((value, i) => value === result.dice[i]);
+    });
+  }
+
+  /**
+   * Gets the chat flavor of a log entry
+   * @param {object} entry - The log entry being recorded
+   * @param {object} data - Character name, rolled abilities and reroll number
+   * @returns {string} Localized flavor text
+   * @private
+   * @static
+   */
+  static #getFlavor(entry, data) {
+    let flavor = game.i18n.format(entry.reroll ? 'hm.rolls.reroll-flavor' : 'hm.rolls.flavor', data);
+    if (entry.rejected.length) {
+      const sets = entry.rejected.map(({ scores, reasons }) => game.i18n.format('hm.rolls.rejected-set', { scores: scores.join(', '), reasons: reasons.join('; ') }));
+      flavor += ` ${game.i18n.format('hm.rolls.rule-flavor', { sets: sets.join(' | ') })}`;
+    }
+    return flavor;
+  }
+}
@@ -0,0 +1,164 @@
+import { HM, RollAuditService, RollPoolManager } from './index.js';
+
+/**
+ * Keeps the individual dice of ability score rolls so players can see how each score was obtained
+ * Manual rolls are kept per ability block while the form is open and rolled sets with the roll pool.
+ * The breakdowns of the assigned scores are stored on the created character for the chat summary.
+ * @class
+ */
+export class RollBreakdown {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Actor flag holding the breakdowns of the character's ability scores
+   * @type {string}
+   * @static
+   */
+  static FLAG = 'rollBreakdowns';
+
+  /**
+   * Breakdowns of the manual rolls keyed by ability block index
+   * @type {Object<string, object>}
+   * @static
+   */
+  static manual = {};
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Builds the breakdown of an evaluated roll
+   * @param {Roll} roll - The evaluated roll
+   * @param {number} score - The score the roll produced after the score range was applied
+   * @returns {{formula: string, total: number, score: number, dice: Array<{result: number, faces: number, dropped: boolean, rerolled: boolean}>}}
+   * The formula, the rolled total, the score and every die result in roll order
+   * @static
+   */
+  static fromRoll(roll, score) {
+    return {
+      formula: roll.formula,
+      total: roll.total,
+      score,
+      dice: roll.dice.flatMap((die) =>
+        die.results.map((result) => ({ result: result.result, faces: die.faces, dropped: !!result.discarded, rerolled: !!result.rerolled }))
+      )
+    };
+  }
+
+  /**
+   * Formats a breakdown as the formula, the dice with the dropped and rerolled ones marked, and the score
+   * @param {object} breakdown - A breakdown from fromRoll
+   * @returns {string} HTML, empty without a breakdown
+   * @static
+   */
+  static toHTML(breakdown) {
+    if (!breakdown?.dice?.length) return '';
+
+    const dice = breakdown.dice
+      .map((die) => {
+        const state = die.rerolled ? 'rerolled' : die.dropped ? 'dropped' : '';
+        const tooltip = state ? ` data-tooltip="${game.i18n.localize(`hm.app.abilities.breakdown.${state}`)}"` : '';
+        return `<span class="roll-die${state ? ` ${state}` : ''}"${tooltip}>${die.result}</span>`;
+      })
+      .join('');
+    const constrained = breakdown.total !== breakdown.score ? ` ${game.i18n.format('hm.app.abilities.breakdown.constrained', { total: breakdown.total })}` : '';
+
+    return `<span class="roll-breakdown-formula">${breakdown.formula}</span> <span class="roll-breakdown-dice">${dice}</span> = <span class="roll-breakdown-score">${breakdown.score}</span>${constrained}`;
+  }
+
+  /**
+   * Shows a breakdown below the input of an ability block
+   * @param {HTMLElement} block - The ability block
+   * @param {object|null} breakdown - The breakdown, or null to hide it
+   * @returns {void}
+   * @static
+   */
+  static render(block, breakdown) {
+    const container = block?.querySelector('.roll-breakdown');
+    if (!container) return;
+
+    container.innerHTML = this.toHTML(breakdown);
+    container.hidden = !container.innerHTML;
+  }
+
+  /**
+   * Keeps the breakdown of a manual roll and shows it on its ability block
+   * @param {string|number} index - The ability block index
+   * @param {object|null} breakdown - The breakdown, or null when the score was typed in
+   * @returns {void}
+   * @static
+   */
+  static setManual(index, breakdown) {
+    if (breakdown) this.manual[index] = breakdown;
+    else delete this.manual[index];
+    this.render(document.getElementById(`ability-block-${index}`), breakdown);
+  }
+
+  /**
+   * Gets the breakdowns of the scores assigned in the form
+   * Manual scores count only while their input still holds the rolled score.
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {Object<string, object>} Breakdowns keyed by ability
+   * @static
+   */
+  static collect(element = HM.heroMancer?.element) {
+    const breakdowns = {};
+    if (!element) return breakdowns;
+
+    const { sets, selected, breakdowns: poolBreakdowns } = RollPoolManager.getPool();
+
+    element.querySelectorAll('.ability-block').forEach((block) => {
+      const index = block.id?.replace('ability-block-', '');
+      const dropdown = block.querySelector('.ability-dropdown');
+      const poolSelect = block.querySelector('.roll-pool-assign');
+
+      if (poolSelect?.value && sets[selected]) {
+        const key = block.querySelector('input[type="hidden"]')?.name.match(/abilities\[(\w+)]/)?.[1];
+        const breakdown = poolBreakdowns[selected]?.[poolSelect.value];
+        if (key && breakdown) breakdowns[key] = breakdown;
+      } else if (dropdown?.value && this.manual[index]) {
+        const score = parseInt(block.querySelector('.ability-score')?.value);
+        if (score === this.manual[index].score) breakdowns[dropdown.value] = this.manual[index];
+      }
+    });
+
+    return breakdowns;
+  }
+
+  /**
+   * Stores the breakdowns of a character's ability scores on the created actor
+   * @param {Actor} actor - The created actor
+   * @param {Object<string, object>} [breakdowns] - Breakdowns keyed by ability
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async store(actor, breakdowns) {
+    if (!actor || foundry.utils.isEmpty(breakdowns ?? {})) return;
+
+    try {
+      await actor.setFlag(HM.ID, this.FLAG, breakdowns);
+    } catch (error) {
+      HM.log(1, `Error storing roll breakdowns on ${actor.name}:`, error);
+    }
+  }
+
+  /**
+   * Plays the Dice So Nice animation of ability rolls that are not posted to chat
+   * Rolls posted by the roll audit are animated by Dice So Nice with their chat message.
+   * @param {Array<{roll: Roll}>} rolls - Evaluated rolls
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async showDice(rolls) {
+    if (!game.dice3d || !rolls?.length || RollAuditService.getMode() !== 'off') return;
+
+    try {
+      await Promise.all(rolls.map(({ roll }) => game.dice3d.showForRoll(roll, game.user, true)));
+    } catch (error) {
+      HM.log(2, 'Error showing Dice So Nice animation:', error);
+    }
+  }
+}
@@ -0,0 +1,257 @@
+import { DOMManager, HM, RollBreakdown, StatRoller } from './index.js';
+
+const { DialogV2 } = foundry.applications.api;
+
+/**
+ * Handles the "roll and assign" method, where full sets of scores are rolled first and then arranged
+ * The rolled sets are kept on the user so closing the window does not give a free reroll.
+ * @class
+ */
+export class RollPoolManager {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * User flag holding the rolled sets and the chosen set
+   * @type {string}
+   * @static
+   */
+  static FLAG = 'rollPool';
+
+  /**
+   * Most sets a GM can let players roll
+   * @type {number}
+   * @static
+   */
+  static MAX_SETS = 5;
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Gets the number of sets rolled at once
+   * @returns {number} Configured set count within 1 and MAX_SETS
+   * @static
+   */
+  static getSetCount() {
+    const count = parseInt(game.settings.get(HM.ID, 'rollPoolSets')) || 1;
+    return Math.max(1, Math.min(this.MAX_SETS, count));
+  }
+
+  /**
+   * Gets the sets rolled by the current user
+   * @returns {{sets: number[][], selected: number|null, rejected: Array<object>, breakdowns: Array<object[]>}} Rolled sets, the index
+   * of the chosen one, the sets the roll rules replaced and the dice of each rolled score
+   * @static
+   */
+  static getPool() {
+    const pool = game.user.getFlag(HM.ID, this.FLAG);
+    return { sets: pool?.sets ?? [], selected: pool?.selected ?? null, rejected: pool?.rejected ?? [], breakdowns: pool?.breakdowns ?? [] };
+  }
+
+  /**
+   * Builds the rolled sets for rendering
+   * @returns {object} Whether anything was rolled, whether a set has to be chosen, the sets with the dice of each value,
+   * the values of the chosen set and what the roll rules replaced
+   * @static
+   */
+  static getContext() {
+    const { sets, selected, rejected, breakdowns } = this.getPool();
+
+    return {
+      rolled: sets.length > 0,
+      choosable: sets.length > 1,
+      sets: sets.map((values, index) => ({
+        index,
+        values: values.map((value, i) => ({ value, breakdown: RollBreakdown.toHTML(breakdowns[index]?.[i]) })),
+        total: values.reduce((sum, value) => sum + value, 0),
+        selected: index === selected
+      })),
+      values: (sets[selected] ?? []).map((value, index) => ({ index, value })),
+      rejected: rejected.map((entry) =>
+        game.i18n.format('hm.app.abilities.rules.rerolled-set', {
+          set: game.i18n.format('hm.app.abilities.pool.set', { number: entry.set + 1 }),
+          scores: entry.scores.join(', '),
+          reasons: entry.reasons.join('; ')
+        })
+      )
+    };
+  }
+
+  /**
+   * Action handler for the roll button, asks before replacing sets that were already rolled
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} _target - The roll button
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async roll(_event, _target) {
+    if (StatRoller.isRolling) return;
+
+    if (RollPoolManager.getPool().sets.length) {
+      const proceed = await DialogV2.confirm({
+        window: { title: 'hm.app.abilities.pool.reroll-title', icon: 'fas fa-dice' },
+        content: `<p>${game.i18n.localize('hm.app.abilities.pool.reroll-content')}</p>`,
+        rejectClose: false,
+        modal: true
+      });
+      if (!proceed) return;
+    }
+
+    await RollPoolManager.rollSets();
+  }
+
+  /**
+   * Rolls new sets with the configured formula and shows them
+   * A single set is chosen right away.
+   * @returns {Promise<boolean>} Whether the sets were rolled
+   * @static
+   */
+  static async rollSets() {
+    StatRoller.isRolling = true;
+
+    try {
+      const result = await StatRoller.rollScoreSets(this.getSetCount());
+      if (!result) {
+        ui.notifications.error('hm.errors.roll-failed', { localize: true });
+        return false;
+      }
+
+      const { sets, rejected, breakdowns } = result;
+      await game.user.setFlag(HM.ID, this.FLAG, { sets, selected: sets.length === 1 ? 0 : null, rejected, breakdowns });
+      await HM.heroMancer?.render({ parts: ['abilities'] });
+      return true;
+    } catch (error) {
+      HM.log(1, 'Error rolling ability score sets:', error);
+      ui.notifications.error('hm.errors.roll-failed', { localize: true });
+      return false;
+    } finally {
+      StatRoller.isRolling = false;
+    }
+  }
+
+  /**
+   * Action handler for choosing one of several rolled sets
+   * @param {Event} _event - The triggering event
+   * @param {HTMLElement} target - The button inside a set row
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async chooseSet(_event, target) {
+    const index = parseInt(target.closest('[data-set]')?.dataset.set);
+    await RollPoolManager.selectSet(index);
+  }
+
+  /**
+   * Makes a rolled set the one whose values are assigned, clearing any assignments
+   * @param {number} index - Index of the set
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async selectSet(index) {
+    const { sets, rejected, breakdowns } = this.getPool();
+    if (!sets[index]) return;
+
+    await game.user.setFlag(HM.ID, this.FLAG, { sets, selected: index, rejected, breakdowns });
+    await HM.heroMancer?.render({ parts: ['abilities'] });
+  }
+
+  /**
+   * Discards the rolled sets once they were used for a character
+   * @param {User} [user] - The user, defaults to the current user
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async clear(user = game.user) {
+    if (user?.getFlag(HM.ID, this.FLAG)) await user.unsetFlag(HM.ID, this.FLAG);
+  }
+
+  /**
+   * Attaches the assignment handlers of the pool selects and the drag and drop of pool values
+   * @param {HTMLElement} element - Application root element
+   * @returns {void}
+   * @static
+   */
+  static initialize(element) {
+    const selects = element?.querySelectorAll('.roll-pool-assign');
+    if (!selects?.length) return;
+
+    selects.forEach((select) => {
+      DOMManager.on(select, 'change', () => {
+        this.#resolveDuplicate(element, select);
+        this.#syncScores(element);
+        DOMManager.updateAbilitiesSummary();
+      });
+
+      const block = select.closest('.ability-block');
+      DOMManager.on(block, 'dragover', (event) => {
+        if (!select.disabled) event.preventDefault();
+      });
+      DOMManager.on(block, 'drop', (event) => {
+        const index = event.dataTransfer?.getData('text/plain');
+        if (select.disabled || !index) return;
+        event.preventDefault();
+        select.value = index;
+        select.dispatchEvent(new Event('change'));
+      });
+    });
+
+    element.querySelectorAll('.roll-pool-value[draggable="true"]').forEach((chip) => {
+      DOMManager.on(chip, 'dragstart', (event) => {
+        event.dataTransfer.setData('text/plain', chip.dataset.poolIndex);
+        event.dataTransfer.effectAllowed = 'move';
+      });
+    });
+
+    this.#syncScores(element);
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Makes sure each pool value is assigned to one ability only
+   * With swap mode the other ability takes the value this one had, otherwise it is cleared.
+   * @param {HTMLElement} element - Application root element
+   * @param {HTMLSelectElement} select - The changed select
+   * @private
+   * @static
+   */
+  static #resolveDuplicate(element, select) {
+    if (!select.value) return;
+
+    const duplicate = Array.from(element.querySelectorAll('.roll-pool-assign')).find((other) => other !== select && other.value === select.value);
+    if (!duplicate) return;
+
+    duplicate.value = game.settings.get(HM.ID, 'statGenerationSwapMode') ? (select.dataset.previous ?? '') : '';
+  }
+
+  /**
+   * Copies the assigned pool values to the ability score inputs with their dice and marks the values in use
+   * @param {HTMLElement} element - Application root element
+   * @private
+   * @static
+   */
+  static #syncScores(element) {
+    const { sets, selected, breakdowns } = this.getPool();
+    const values = sets[selected] ?? [];
+    const assigned = new Set();
+
+    element.querySelectorAll('.roll-pool-assign').forEach((select) => {
+      const block = select.closest('.ability-block');
+      const input = block?.querySelector('input[type="hidden"]');
+      const value = values[parseInt(select.value)];
+      if (input) input.value = value ?? '';
+      RollBreakdown.render(block, breakdowns[selected]?.[parseInt(select.value)] ?? null);
+      if (value !== undefined) assigned.add(select.value);
+      select.dataset.previous = select.value;
+    });
+
+    element.querySelectorAll('.roll-pool-value[data-pool-index]').forEach((chip) => {
+      chip.classList.toggle('used', assigned.has(chip.dataset.poolIndex));
+    });
+  }
+}
@@ -11,6 +11,12 @@ export class SavedOptions {
    */
   static FLAG = 'saved-options';
 
+  /**
+   * Flag name used for storing named drafts
+   * @static
+   */
+  static DRAFTS_FLAG = 'drafts';
+
   /**
    * Saves form data to user flags
    * @param {object} formData - Form data to save
@@ -106,6 +112,156 @@ export class SavedOptions {
     }
   }
 
+  /**
+   * Gets all named drafts of the current user, most recently saved first
+   * @returns {Array<object>} Drafts with id, name, timestamp, preview and form data
+   * @static
+   */
+  static getDrafts() {
+    try {
+      const drafts = game.user?.getFlag(HM.ID, this.DRAFTS_FLAG) || {};
+      return Object.values(drafts)
+        .filter((draft) => draft?.id)
+        .sort((a, b) => b.timestamp - a.timestamp);
+    } catch (error) {
+      HM.log(1, 'Error loading drafts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Gets a single draft by its ID
+   * @param {string} draftId - ID of the draft
+   * @returns {object|null} The draft or null if it does not exist
+   * @static
+   */
+  static getDraft(draftId) {
+    return game.user?.getFlag(HM.ID, `${this.DRAFTS_FLAG}.${draftId}`) || null;
+  }
+
+  /**
+   * Saves form data as a named draft, replacing any draft with the same name
+   * @param {string} name - Name of the draft
+   * @param {object} formData - Form data to save
+   * @returns {Promise<object|null>} The saved draft or null on failure
+   * @static
+   */
+  static async saveDraft(name, formData) {
+    try {
+      if (!game.user || !formData) return null;
+
+      const existing = this.getDrafts().find((draft) => draft.name === name);
+      const draft = {
+        id: existing?.id ?? foundry.utils.randomID(),
+        name,
+        timestamp: Date.now(),
+        preview: this.#buildPreview(formData),
+        data: { ...formData }
+      };
+
+      // Replace rather than merge so fields cleared since the last save do not linger
+      if (existing) await game.user.unsetFlag(HM.ID, `${this.DRAFTS_FLAG}.${draft.id}`);
+      await game.user.setFlag(HM.ID, `${this.DRAFTS_FLAG}.${draft.id}`, draft);
+      HM.log(3, `Saved draft "${name}"`);
+      return draft;
+    } catch (error) {
+      HM.log(1, 'Error saving draft:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Makes a draft the current saved options so it is restored into the form
+   * @param {string} draftId - ID of the draft to load
+   * @returns {Promise<object|null>} The loaded form data or null if the draft does not exist
+   * @static
+   */
+  static async loadDraft(draftId) {
+    try {
+      const draft = this.getDraft(draftId);
+      if (!draft) return null;
+
+      await game.user.unsetFlag(HM.ID, this.FLAG);
+      await game.user.setFlag(HM.ID, this.FLAG, { ...draft.data });
+      HM.log(3, `Loaded draft "${draft.name}"`);
+      return draft.data;
+    } catch (error) {
+      HM.log(1, 'Error loading draft:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Copies a draft under a new name
+   * @param {string} draftId - ID of the draft to copy
+   * @param {string} name - Name of the copy
+   * @returns {Promise<object|null>} The new draft or null on failure
+   * @static
+   */
+  static async duplicateDraft(draftId, name) {
+    try {
+      const draft = this.getDraft(draftId);
+      if (!draft) return null;
+
+      const copy = { ...foundry.utils.deepClone(draft), id: foundry.utils.randomID(), name, timestamp: Date.now() };
+      await game.user.setFlag(HM.ID, `${this.DRAFTS_FLAG}.${copy.id}`, copy);
+      return copy;
+    } catch (error) {
+      HM.log(1, 'Error duplicating draft:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Renames a draft
+   * @param {string} draftId - ID of the draft to rename
+   * @param {string} name - New name
+   * @returns {Promise<boolean>} Success status
+   * @static
+   */
+  static async renameDraft(draftId, name) {
+    try {
+      if (!this.getDraft(draftId)) return false;
+      await game.user.setFlag(HM.ID, `${this.DRAFTS_FLAG}.${draftId}.name`, name);
+      return true;
+    } catch (error) {
+      HM.log(1, 'Error renaming draft:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Deletes a draft
+   * @param {string} draftId - ID of the draft to delete
+   * @returns {Promise<boolean>} Success status
+   * @static
+   */
+  static async deleteDraft(draftId) {
+    try {
+      await game.user.unsetFlag(HM.ID, `${this.DRAFTS_FLAG}.${draftId}`);
+      return true;
+    } catch (error) {
+      HM.log(1, 'Error deleting draft:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Builds the race/class/background names shown for a draft
+   * @param {object} formData - Saved form data
+   * @returns {{race: string, class: string, background: string}} Names of the selections, empty when not chosen
+   * @private
+   * @static
+   */
+  static #buildPreview(formData) {
+    const preview = {};
+    for (const type of ['race', 'class', 'background']) {
+      const uuid = formData[type]?.match(/\[(.*?)]/)?.[1];
+      preview[type] = uuid ? (fromUuidSync(uuid)?.name ?? '') : '';
+    }
+    return preview;
+  }
+
   /**
    * Reset all elements in a form
    * @param {HTMLElement} formElement - The form to reset
@@ -0,0 +1,519 @@
+import { DocumentService, DOMManager, HM } from './index.js';
+
+/**
+ * Manages the Spells tab: spellcasting details, the filterable spell list and the chosen spells
+ * @class
+ */
+export class SpellManager {
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Caster level divisors used when the system does not provide its own progression table
+   * @type {Object<string, {divisor: number, roundUp?: boolean}>}
+   * @static
+   */
+  static FALLBACK_PROGRESSION = {
+    full: { divisor: 1 },
+    half: { divisor: 2 },
+    third: { divisor: 3 },
+    artificer: { divisor: 2, roundUp: true }
+  };
+
+  /**
+   * Scale value identifiers that hold the number of cantrips and spells known
+   * @type {{cantrips: string[], spells: string[]}}
+   * @static
+   */
+  static SCALE_IDENTIFIERS = {
+    cantrips: ['cantrips-known', 'cantrips'],
+    spells: ['spells-known', 'spells']
+  };
+
+  /**
+   * Highest spell level available to pact magic casters
+   * @type {number}
+   * @static
+   */
+  static MAX_PACT_LEVEL = 5;
+
+  /**
+   * Spellcasting details for the current class selection, or null if the class cannot cast spells
+   * @type {object|null}
+   * @private
+   * @static
+   */
+  static #spellcasting = null;
+
+  /**
+   * Names of the race and background that grant spells through their advancements
+   * @type {string[]}
+   * @private
+   * @static
+   */
+  static #grantedSources = [];
+
+  /**
+   * Incremented on each refresh so stale async results can be discarded
+   * @type {number}
+   * @private
+   * @static
+   */
+  static #refreshId = 0;
+
+  /* -------------------------------------------- */
+  /*  Static Getters                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Whether the Spells tab should be shown for the current selections
+   * @returns {boolean}
+   * @static
+   */
+  static get isAvailable() {
+    return !!this.#spellcasting || this.#grantedSources.length > 0;
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Public Methods                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Attaches the filter and selection handlers of the Spells tab
+   * @param {HTMLElement} element - Application root element
+   * @static
+   */
+  static initialize(element) {
+    const tab = element.querySelector('.tab[data-tab="spells"]');
+    if (!tab) return;
+
+    const search = tab.querySelector('#spell-search');
+    const levelFilter = tab.querySelector('#spell-level-filter');
+    const list = tab.querySelector('#spell-list');
+
+    if (search) DOMManager.on(search, 'input', foundry.utils.debounce(() => this.#applyFilters(tab), 150));
+    if (levelFilter) DOMManager.on(levelFilter, 'change', () => this.#applyFilters(tab));
+    if (list) {
+      DOMManager.on(list, 'change', (event) => {
+        if (!event.target.matches('.spell-checkbox')) return;
+        this.#storeSelections(tab);
+        this.#updateCounts(tab);
+      });
+    }
+  }
+
+  /**
+   * Re-reads spellcasting from the current selections and rebuilds the Spells tab
+   * @param {HTMLElement} [element] - Application root element
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async refresh(element = HM.heroMancer?.element) {
+    const tab = element?.querySelector('.tab[data-tab="spells"]');
+    if (!tab) return;
+
+    const refreshId = ++this.#refreshId;
+
+    try {
+      const level = parseInt(element.querySelector('#starting-level')?.value) || 1;
+      const spellcasting = await this.getSpellcasting(HM.SELECTED.class?.uuid, level, DOMManager.collectAbilityScores());
+      const grantedSources = await this.#getGrantedSpellSources();
+      const spells = spellcasting ? await this.getAvailableSpells(spellcasting) : [];
+
+      // A newer refresh started while this one was waiting
+      if (refreshId !== this.#refreshId) return;
+
+      this.#spellcasting = spellcasting;
+      this.#grantedSources = grantedSources;
+
+      this.#renderGrantedSources(tab);
+      this.#renderList(tab, spells);
+      this.#updateCounts(tab);
+      this.#applyFilters(tab);
+      this.#updateTabVisibility(element);
+    } catch (error) {
+      HM.log(1, 'Error refreshing spell selection:', error);
+    }
+  }
+
+  /**
+   * Reads the spellcasting progression and known/prepared counts from a class item
+   * @param {string} classUuid - UUID of the class item
+   * @param {number} level - Class level
+   * @param {Object<string, number>} [abilityScores={}] - Ability scores keyed by ability, used for prepared spell counts
+   * @returns {Promise<object|null>} Spellcasting details, or null if the class does not cast spells at this level
+   * @static
+   */
+  static async getSpellcasting(classUuid, level, abilityScores = {}) {
+    if (!classUuid) return null;
+
+    try {
+      const classItem = await fromUuid(classUuid);
+      const spellcasting = classItem?.system?.spellcasting;
+      const progression = spellcasting?.progression;
+      if (!progression || progression === 'none') return null;
+
+      const identifier = classItem.system.identifier || classItem.name.slugify({ strict: true });
+      const maxSpellLevel = this.getMaxSpellLevel(progression, level);
+      const cantrips = this.#getScaleValue(classItem, this.SCALE_IDENTIFIERS.cantrips, level) ?? 0;
+      const knownSpells = this.#getScaleValue(classItem, this.SCALE_IDENTIFIERS.spells, level);
+      const preparation = knownSpells === null ? 'prepared' : 'known';
+      const spells = maxSpellLevel === 0 ? 0 : (knownSpells ?? this.#getPreparedCount(classItem, identifier, level, abilityScores));
+
+      if (!cantrips && !spells) return null;
+
+      return {
+        classUuid,
+        className: classItem.name,
+        identifier,
+        progression,
+        ability: spellcasting.ability,
+        preparation,
+        level,
+        maxSpellLevel,
+        cantrips,
+        spells
+      };
+    } catch (error) {
+      HM.log(1, `Error reading spellcasting for ${classUuid}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the highest spell level a caster can pick at a class level
+   * @param {string} progression - Spellcasting progression key (full, half, third, artificer, pact)
+   * @param {number} level - Class level
+   * @returns {number} Highest spell level, or 0 if only cantrips are available
+   * @static
+   */
+  static getMaxSpellLevel(progression, level) {
+    if (progression === 'pact') {
+      // The pact table only lists the levels where something changes
+      const pactTable = CONFIG.DND5E.pactCastingProgression;
+      if (!pactTable) return Math.min(this.MAX_PACT_LEVEL, Math.ceil(level / 2));
+      return Object.entries(pactTable)
+        .filter(([pactLevel, data]) => Number(pactLevel) <= level && data.level)
+        .reduce((max, [, data]) => Math.max(max, data.level), 0);
+    }
+
+    const config = CONFIG.DND5E.spellcastingTypes?.leveled?.progression?.[progression] ?? this.FALLBACK_PROGRESSION[progression];
+    if (!config) return 0;
+
+    const casterLevel = config.roundUp ? Math.ceil(level / config.divisor) : Math.floor(level / config.divisor);
+    if (casterLevel < 1) return 0;
+
+    const slotTable = CONFIG.DND5E.SPELL_SLOT_TABLE ?? [];
+    return slotTable[Math.min(casterLevel, slotTable.length) - 1]?.length ?? 0;
+  }
+
+  /**
+   * Gets the preparation data for a spell learned through a class's spellcasting
+   * @param {string} progression - Spellcasting progression of the class
+   * @param {number} spellLevel - Level of the spell, 0 for cantrips
+   * @returns {{mode: string, prepared: boolean}} Spell preparation data
+   * @static
+   */
+  static getPreparation(progression, spellLevel) {
+    if (progression === 'pact' && spellLevel > 0) return { mode: 'pact', prepared: false };
+    return { mode: 'prepared', prepared: true };
+  }
+
+  /**
+   * Gets the UUIDs of the chosen spells
+   * @param {HTMLElement} [element] - Element containing the Spells tab
+   * @returns {string[]} Selected spell UUIDs
+   * @static
+   */
+  static getSelections(element = document) {
+    return this.parseSelections(element.querySelector('#selected-spells')?.value);
+  }
+
+  /**
+   * Splits the stored spell selection field into UUIDs
+   * @param {string} value - Comma separated spell UUIDs
+   * @returns {string[]} Spell UUIDs
+   * @static
+   */
+  static parseSelections(value) {
+    return (value || '')
+      .split(',')
+      .map((uuid) => uuid.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Gets the spells a class can choose from
+   * Limited to the class's spell list when the system provides one and it matches the configured packs
+   * @param {object} spellcasting - Spellcasting details
+   * @returns {Promise<Array<object>>} Spell index entries
+   * @static
+   */
+  static async getAvailableSpells(spellcasting) {
+    const index = await DocumentService.getSpellIndex();
+    const spells = index.filter((spell) => (spell.level === 0 ? spellcasting.cantrips > 0 : spell.level <= spellcasting.maxSpellLevel));
+
+    const classList = dnd5e.registry?.spellLists?.forType?.('class', spellcasting.identifier);
+    const uuids = classList?.uuids;
+    if (!uuids?.size) return spells;
+
+    const classSpells = spells.filter((spell) => uuids.has(spell.uuid));
+    return classSpells.length ? classSpells : spells;
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Private Methods                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Reads a scale value for a class level, trying each identifier in turn
+   * @param {Item} classItem - The class item
+   * @param {string[]} identifiers - Scale value identifiers to look for
+   * @param {number} level - Class level
+   * @returns {number|null} The scale value, or null if the class has no matching scale
+   * @private
+   * @static
+   */
+  static #getScaleValue(classItem, identifiers, level) {
+    const scales = classItem.advancement?.byType?.ScaleValue ?? [];
+    const scale = scales.find((advancement) => identifiers.includes(advancement.identifier));
+    if (!scale) return null;
+
+    const value = scale.valueForLevel?.(level)?.value;
+    return Number.isFinite(Number(value)) ? Number(value) : 0;
+  }
+
+  /**
+   * Calculates how many spells a prepared caster can prepare
+   * Uses the class's preparation formula when defined, otherwise spellcasting modifier plus class level (halved for partial casters)
+   * @param {Item} classItem - The class item
+   * @param {string} identifier - Class identifier
+   * @param {number} level - Class level
+   * @param {Object<string, number>} abilityScores - Ability scores keyed by ability
+   * @returns {number} Number of spells that can be prepared
+   * @private
+   * @static
+   */
+  static #getPreparedCount(classItem, identifier, level, abilityScores) {
+    const spellcasting = classItem.system.spellcasting;
+    const score = parseInt(abilityScores[spellcasting.ability]) || 10;
+    const mod = Math.floor((score - 10) / 2);
+
+    const formula = spellcasting.preparation?.formula;
+    if (formula) {
+      try {
+        const rollData = {
+          abilities: Object.fromEntries(Object.entries(abilityScores).map(([key, value]) => [key, { value: parseInt(value) || 10, mod: Math.floor(((parseInt(value) || 10) - 10) / 2) }])),
+          classes: { [identifier]: { levels: level } },
+          details: { level }
+        };
+        const count = Roll.safeEval(Roll.replaceFormulaData(formula, rollData, { missing: 0 }));
+        if (Number.isFinite(count)) return Math.max(1, Math.floor(count));
+      } catch (error) {
+        HM.log(2, `Unable to evaluate preparation formula "${formula}" for ${classItem.name}:`, error);
+      }
+    }
+
+    const levels = spellcasting.progression === 'full' ? level : Math.floor(level / 2);
+    return Math.max(1, mod + levels);
+  }
+
+  /**
+   * Finds the selected race and background when they grant spells through their advancements
+   * Those spells are picked in the advancement prompts after creation
+   * @returns {Promise<string[]>} Names of the items that grant spells
+   * @private
+   * @static
+   */
+  static async #getGrantedSpellSources() {
+    const sources = [];
+
+    for (const type of ['race', 'background']) {
+      const uuid = HM.SELECTED[type]?.uuid;
+      if (!uuid) continue;
+
+      try {
+        const item = await fromUuid(uuid);
+        const choices = item?.advancement?.byType?.ItemChoice ?? [];
+        const grants = item?.advancement?.byType?.ItemGrant ?? [];
+
+        const grantsSpells =
+          choices.some((advancement) => advancement.configuration?.type === 'spell') ||
+          grants.some((advancement) => advancement.configuration?.items?.some((entry) => fromUuidSync(entry.uuid ?? entry)?.type === 'spell'));
+
+        if (grantsSpells) sources.push(item.name);
+      } catch (error) {
+        HM.log(2, `Unable to check ${type} for granted spells:`, error);
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Shows which race or background grants its own spells
+   * @param {HTMLElement} tab - The Spells tab element
+   * @private
+   * @static
+   */
+  static #renderGrantedSources(tab) {
+    const notice = tab.querySelector('.spell-granted');
+    if (!notice) return;
+
+    notice.textContent = this.#grantedSources.length
+      ? game.i18n.format('hm.app.spells.granted', { sources: game.i18n.getListFormatter().format(this.#grantedSources) })
+      : '';
+    notice.hidden = !this.#grantedSources.length;
+  }
+
+  /**
+   * Rebuilds the spell list and level filter, keeping selections that are still available
+   * @param {HTMLElement} tab - The Spells tab element
+   * @param {Array<object>} spells - Spell index entries to list
+   * @private
+   * @static
+   */
+  static #renderList(tab, spells) {
+    const list = tab.querySelector('#spell-list');
+    const levelFilter = tab.querySelector('#spell-level-filter');
+    if (!list) return;
+
+    const available = new Set(spells.map((spell) => spell.uuid));
+    const selected = new Set(this.getSelections(tab).filter((uuid) => available.has(uuid)));
+
+    list.innerHTML = '';
+    for (const spell of spells) {
+      const item = document.createElement('li');
+      item.className = 'spell-item flex items-center gap-sm';
+      item.dataset.level = spell.level;
+      item.dataset.name = spell.name.toLowerCase();
+
+      const label = document.createElement('label');
+      label.className = 'flex items-center gap-sm';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'spell-checkbox';
+      checkbox.value = spell.uuid;
+      checkbox.dataset.level = spell.level;
+      checkbox.checked = selected.has(spell.uuid);
+
+      const img = document.createElement('img');
+      img.src = spell.img;
+      img.alt = '';
+      img.className = 'spell-icon';
+
+      const name = document.createElement('span');
+      name.className = 'spell-name';
+      name.textContent = spell.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'spell-meta hint';
+      meta.textContent = [CONFIG.DND5E.spellLevels[spell.level], CONFIG.DND5E.spellSchools[spell.school]?.label ?? CONFIG.DND5E.spellSchools[spell.school]].filter(Boolean).join(', ');
+
+      label.append(checkbox, img, name, meta);
+      item.appendChild(label);
+      list.appendChild(item);
+    }
+
+    if (levelFilter) {
+      const current = levelFilter.value;
+      levelFilter.querySelectorAll('option:not([value=""])').forEach((option) => option.remove());
+      for (const level of [...new Set(spells.map((spell) => spell.level))].sort((a, b) => a - b)) {
+        const option = document.createElement('option');
+        option.value = level;
+        option.textContent = CONFIG.DND5E.spellLevels[level] ?? level;
+        levelFilter.appendChild(option);
+      }
+      levelFilter.value = Array.from(levelFilter.options).some((option) => option.value === current) ? current : '';
+    }
+
+    tab.querySelector('.spell-empty')?.toggleAttribute('hidden', spells.length > 0 || !this.#spellcasting);
+    tab.querySelector('.spell-selection')?.toggleAttribute('hidden', !this.#spellcasting);
+    this.#storeSelections(tab);
+  }
+
+  /**
+   * Shows only the spells matching the search text and level filter
+   * @param {HTMLElement} tab - The Spells tab element
+   * @private
+   * @static
+   */
+  static #applyFilters(tab) {
+    const search = tab.querySelector('#spell-search')?.value.trim().toLowerCase() || '';
+    const level = tab.querySelector('#spell-level-filter')?.value ?? '';
+
+    tab.querySelectorAll('.spell-item').forEach((item) => {
+      const matchesSearch = !search || item.dataset.name.includes(search);
+      const matchesLevel = level === '' || item.dataset.level === level;
+      item.hidden = !(matchesSearch && matchesLevel);
+    });
+  }
+
+  /**
+   * Writes the checked spells to the hidden form field
+   * @param {HTMLElement} tab - The Spells tab element
+   * @private
+   * @static
+   */
+  static #storeSelections(tab) {
+    const input = tab.querySelector('#selected-spells');
+    if (!input) return;
+
+    const checked = Array.from(tab.querySelectorAll('.spell-checkbox:checked')).map((checkbox) => checkbox.value);
+    input.value = checked.join(',');
+  }
+
+  /**
+   * Updates the cantrip and spell counters and locks further picks once a limit is reached
+   * @param {HTMLElement} tab - The Spells tab element
+   * @private
+   * @static
+   */
+  static #updateCounts(tab) {
+    const spellcasting = this.#spellcasting;
+    const checkboxes = Array.from(tab.querySelectorAll('.spell-checkbox'));
+    const isCantrip = (checkbox) => checkbox.dataset.level === '0';
+
+    const cantripsChosen = checkboxes.filter((checkbox) => checkbox.checked && isCantrip(checkbox)).length;
+    const spellsChosen = checkboxes.filter((checkbox) => checkbox.checked && !isCantrip(checkbox)).length;
+    const cantripLimit = spellcasting?.cantrips ?? 0;
+    const spellLimit = spellcasting?.spells ?? 0;
+
+    const cantripCount = tab.querySelector('.spell-count-cantrips');
+    if (cantripCount) {
+      cantripCount.textContent = game.i18n.format('hm.app.spells.cantrips-count', { chosen: cantripsChosen, max: cantripLimit });
+      cantripCount.hidden = !cantripLimit;
+    }
+
+    const spellCount = tab.querySelector('.spell-count-spells');
+    if (spellCount) {
+      const key = spellcasting?.preparation === 'known' ? 'hm.app.spells.known-count' : 'hm.app.spells.prepared-count';
+      spellCount.textContent = game.i18n.format(key, { chosen: spellsChosen, max: spellLimit, level: spellcasting?.maxSpellLevel ?? 0 });
+      spellCount.hidden = !spellLimit;
+    }
+
+    for (const checkbox of checkboxes) {
+      const full = isCantrip(checkbox) ? cantripsChosen >= cantripLimit : spellsChosen >= spellLimit;
+      checkbox.disabled = !checkbox.checked && full;
+    }
+  }
+
+  /**
+   * Shows or hides the Spells tab in the navigation
+   * @param {HTMLElement} element - Application root element
+   * @private
+   * @static
+   */
+  static #updateTabVisibility(element) {
+    const navItem = element.querySelector('.hero-mancer-tabs [data-tab="spells"]');
+    if (navItem) navItem.hidden = !this.isAvailable;
+
+    // Move off the tab if it was open when spellcasting went away
+    const app = HM.heroMancer;
+    if (!this.isAvailable && app?.tabGroups['hero-mancer-tabs'] === 'spells') {
+      app.changeTab('class', 'hero-mancer-tabs');
+    }
+  }
+}
@@ -1,4 +1,4 @@
-import { DOMManager, HeroMancer, HM } from './index.js';
+import { DOMManager, HeroMancer, HM, RollAuditService, RollBreakdown, RollPoolManager } from './index.js';
 
 const { DialogV2 } = foundry.applications.api;
 
@@ -21,6 +21,71 @@ export class StatRoller {
 
   static #lastHandledChanges = new Map();
 
+  /**
+   * Named point buy cost tables with the total, score range and starting score they are meant for
+   * @type {Object<string, {costs: Object<number, number>, total: number, min: number, max: number, default: number}>}
+   * @static
+   */
+  static POINT_BUY_PRESETS = {
+    standard: { costs: { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 }, total: 27, min: 8, max: 15, default: 8 },
+    extended: {
+      costs: { 3: -9, 4: -6, 5: -4, 6: -2, 7: -1, 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9, 16: 12, 17: 15, 18: 19 },
+      total: 27,
+      min: 3,
+      max: 18,
+      default: 8
+    },
+    pathfinder: { costs: { 7: -4, 8: -2, 9: -1, 10: 0, 11: 1, 12: 2, 13: 3, 14: 5, 15: 7, 16: 10, 17: 13, 18: 17 }, total: 25, min: 7, max: 18, default: 10 }
+  };
+
+  /**
+   * Most times a set is rolled before the roll rules give up and keep the last one
+   * @type {number}
+   * @static
+   */
+  static MAX_RULE_REROLLS = 20;
+
+  /**
+   * User flag holding the method a player is locked to after rolling
+   * @type {string}
+   * @static
+   */
+  static METHOD_LOCK_FLAG = 'methodLock';
+
+  /**
+   * Allowed method setting keys and the roll methods they enable
+   * @type {Object<string, string>}
+   * @static
+   */
+  static METHOD_KEYS = {
+    standardArray: 'standardArray',
+    pointBuy: 'pointBuy',
+    manual: 'manualFormula',
+    rollPool: 'rollPool'
+  };
+
+  /**
+   * Abilities of the core rules, anything else in CONFIG.DND5E.abilities is an extra ability such as Honor or Sanity
+   * @type {string[]}
+   * @static
+   */
+  static STANDARD_ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+  /**
+   * Score an extra ability adds to the standard array and to the point buy budget unless it has its own default
+   * @type {number}
+   * @static
+   */
+  static EXTRA_ABILITY_SCORE = 11;
+
+  /**
+   * Parsed cost table and the setting value it was parsed from
+   * @type {{value: string|null, costs: Object<number, number>|null}}
+   * @private
+   * @static
+   */
+  static #costTable = { value: null, costs: null };
+
   /* -------------------------------------------- */
   /*  Getters                                     */
   /* -------------------------------------------- */
@@ -33,7 +98,8 @@ export class StatRoller {
     return {
       pointBuy: game.i18n.localize('hm.app.abilities.methods.pointBuy'),
       standardArray: game.i18n.localize('hm.app.abilities.methods.standardArray'),
-      manualFormula: game.i18n.localize('hm.app.abilities.methods.manual')
+      manualFormula: game.i18n.localize('hm.app.abilities.methods.manual'),
+      rollPool: game.i18n.localize('hm.app.abilities.methods.rollPool')
     };
   }
 
@@ -158,13 +224,18 @@ export class StatRoller {
       // Add a small delay to show the animation
       await new Promise((resolve) => setTimeout(resolve, 100));
 
-      const rollResult = await this.#performRoll(rollFormula);
+      const rolls = [];
+      const rollResult = await this.#performRoll(rollFormula, rolls, this.#getAuditSlot(index));
       if (!rollResult) return false;
+      await RollBreakdown.showDice(rolls);
+      await RollAuditService.record('manualFormula', rolls);
+      await this.lockMethod('manualFormula');
 
       // Apply roll result to input
       if (input) {
         input.value = rollResult;
         input.focus();
+        RollBreakdown.setManual(index, RollBreakdown.fromRoll(rolls[0].roll, rollResult));
 
         // Trigger change event
         input.dispatchEvent(new Event('change', { bubbles: true }));
@@ -210,16 +281,50 @@ export class StatRoller {
     }
   }
 
+  /**
+   * Gets the log slot and label of an ability block for the roll audit
+   * @param {string|number} index - The ability block index
+   * @returns {{slot: string, label: string}} Slot shared by rerolls of the block and the ability it is assigned to
+   * @private
+   * @static
+   */
+  static #getAuditSlot(index) {
+    const dropdown = document.getElementById(`ability-block-${index}`)?.querySelector('.ability-dropdown');
+    const label = dropdown?.value ? dropdown.selectedOptions[0]?.textContent.trim() : `#${parseInt(index) + 1}`;
+    return { slot: `ability-${index}`, label };
+  }
+
+  /**
+   * Creates an ability score roll, adding a reroll of 1s to each die when the roll rules ask for it
+   * @param {string} rollFormula - The formula to use for rolling
+   * @returns {Roll} The unevaluated roll
+   * @private
+   * @static
+   */
+  static #createRoll(rollFormula) {
+    const roll = new Roll(rollFormula);
+    if (!this.getRollRules().rerollOnes) return roll;
+
+    for (const die of roll.dice) {
+      // Modifiers run in order, so the reroll has to come before keep or drop
+      if (!die.modifiers.some((modifier) => /^r/i.test(modifier))) die.modifiers.unshift('r1');
+    }
+    roll.resetFormula();
+    return roll;
+  }
+
   /**
    * Performs a roll and constrains the result
    * @param {string} rollFormula - The formula to use for rolling
+   * @param {Array<object>|null} [rolls=null] - Collects the evaluated roll for the roll audit
+   * @param {{slot: string, label: string}} [details={}] - Audit slot and label added to the collected roll
    * @returns {Promise<number|null>} The constrained roll result or null if failed
    * @private
    * @static
    */
-  static async #performRoll(rollFormula) {
+  static async #performRoll(rollFormula, rolls = null, details = {}) {
     try {
-      const roll = new Roll(rollFormula);
+      const roll = this.#createRoll(rollFormula);
       await roll.evaluate();
 
       // Apply min/max constraints to roll result
@@ -233,6 +338,7 @@ export class StatRoller {
         HM.log(3, 'Roll result:', roll.total);
       }
 
+      rolls?.push({ roll, total: constrainedResult, ...details });
       return constrainedResult;
     } catch (error) {
       HM.log(1, `Failed to evaluate roll formula "${rollFormula}":`, error);
@@ -275,6 +381,111 @@ export class StatRoller {
     }
   }
 
+  /**
+   * Rolls one set of manual formula scores, one per ability block, as the roll all button does
+   * The set is rolled again until it passes the roll rules. The kept set is shown with dice, recorded for the roll audit
+   * and locks the method, and the replaced sets are listed below the ability inputs.
+   * @param {number} count - Number of scores
+   * @returns {Promise<{scores: number[], rejected: Array<{scores: number[], reasons: string[]}>, rolls: Array<object>}|null>}
+   * The kept scores and their rolls in block order and the replaced sets, or null if a roll failed
+   * @static
+   */
+  static async rollManualSet(count) {
+    const result = await this.#rollValidSet(this.getAbilityScoreRollFormula(), 'manualFormula', count, (i) => this.#getAuditSlot(i));
+    if (result) this.#showRuleNotes(result.rejected);
+    return result;
+  }
+
+  /**
+   * Rolls full sets of ability scores to be assigned afterwards
+   * Each set is rolled again until it passes the configured roll rules.
+   * @param {number} [setCount=1] - Number of sets to roll
+   * @returns {Promise<{sets: number[][], rejected: Array<{set: number, scores: number[], reasons: string[]}>, breakdowns: Array<object[]>}|null>}
+   * One array of scores per set, highest first, the sets replaced by the roll rules and the dice of each score in set order,
+   * or null if a roll failed
+   * @static
+   */
+  static async rollScoreSets(setCount = 1) {
+    const rollFormula = this.getAbilityScoreRollFormula();
+    const abilitiesCount = Object.keys(CONFIG.DND5E.abilities).length;
+    const sets = [];
+    const rejected = [];
+    const breakdowns = [];
+
+    for (let i = 0; i < setCount; i++) {
+      const label = game.i18n.format('hm.app.abilities.pool.set', { number: i + 1 });
+      const result = await this.#rollValidSet(rollFormula, 'rollPool', abilitiesCount, (j) => ({ slot: `set-${i}-${j}`, label }));
+      if (!result) return null;
+
+      const rolled = result.rolls.map(({ roll, total }) => RollBreakdown.fromRoll(roll, total)).sort((a, b) => b.score - a.score);
+      sets.push(rolled.map((breakdown) => breakdown.score));
+      breakdowns.push(rolled);
+      rejected.push(...result.rejected.map((entry) => ({ set: i, ...entry })));
+    }
+
+    return { sets, rejected, breakdowns };
+  }
+
+  /**
+   * Gets the configured rules for rolled sets
+   * @returns {{rerollOnes: boolean, minModifierTotal: number|null, minHighestScore: number|null}} The roll rules
+   * @static
+   */
+  static getRollRules() {
+    const rules = game.settings.get(HM.ID, 'rollRules') ?? {};
+    const toNumber = (value) => (value === null || value === '' || isNaN(parseInt(value)) ? null : parseInt(value));
+
+    return {
+      rerollOnes: !!rules.rerollOnes,
+      minModifierTotal: toNumber(rules.minModifierTotal),
+      minHighestScore: toNumber(rules.minHighestScore)
+    };
+  }
+
+  /**
+   * Describes the active roll rules for display
+   * @param {object} [rules] - Roll rules, defaults to the configured ones
+   * @returns {string[]} One localized description per active rule
+   * @static
+   */
+  static describeRollRules(rules = this.getRollRules()) {
+    const descriptions = [];
+    if (rules.rerollOnes) descriptions.push(game.i18n.localize('hm.app.abilities.rules.reroll-ones'));
+    if (rules.minModifierTotal !== null) {
+      descriptions.push(game.i18n.format('hm.app.abilities.rules.min-modifier-total', { min: this.#formatModifier(rules.minModifierTotal) }));
+    }
+    if (rules.minHighestScore !== null) descriptions.push(game.i18n.format('hm.app.abilities.rules.min-highest-score', { min: rules.minHighestScore }));
+    return descriptions;
+  }
+
+  /**
+   * Checks a full set of scores against the set rules
+   * @param {number[]} scores - The rolled scores
+   * @param {object} [rules] - Roll rules, defaults to the configured ones
+   * @returns {string[]} Localized reasons the set has to be rolled again, empty if it passes
+   * @static
+   */
+  static checkRollRules(scores, rules = this.getRollRules()) {
+    const reasons = [];
+
+    const total = scores.reduce((sum, score) => sum + Math.floor((score - 10) / 2), 0);
+    if (rules.minModifierTotal !== null && total < rules.minModifierTotal) {
+      reasons.push(
+        game.i18n.format('hm.app.abilities.rules.reasons.modifier-total', {
+          total: this.#formatModifier(total),
+          min: this.#formatModifier(rules.minModifierTotal)
+        })
+      );
+    }
+
+    const highest = Math.max(...scores);
+    if (rules.minHighestScore !== null && highest < rules.minHighestScore) {
+      reasons.push(game.i18n.format('hm.app.abilities.rules.reasons.highest-score', { highest, min: rules.minHighestScore }));
+    }
+
+    return reasons;
+  }
+
   /**
    * Gets all ability blocks from the document
    * @returns {NodeList} Collection of ability blocks
@@ -296,6 +507,11 @@ export class StatRoller {
   static async #rollAbilitiesSequentially(blocks, rollFormula) {
     const delay = game.settings.get(HM.ID, 'rollDelay') || 500;
 
+    // The whole set is rolled up front so it can be checked against the roll rules
+    const result = await this.#rollValidSet(rollFormula, 'manualFormula', blocks.length, (i) => this.#getAuditSlot(i));
+    if (!result) throw new Error(`Failed to roll a set with "${rollFormula}"`);
+    this.#showRuleNotes(result.rejected);
+
     for (let i = 0; i < blocks.length; i++) {
       const block = blocks[i];
       const diceIcon = block.querySelector('.fa-dice-d6');
@@ -306,15 +522,13 @@ export class StatRoller {
         diceIcon.classList.add('rolling');
       }
 
-      // Wait a moment to show animation before performing roll
+      // Wait a moment to show animation before showing the roll
       await new Promise((r) => setTimeout(r, 100));
 
-      // Perform the roll
-      const constrainedResult = await this.#performRoll(rollFormula);
-
       // Update the input
-      if (input && constrainedResult !== null) {
-        input.value = constrainedResult;
+      if (input) {
+        input.value = result.scores[i];
+        RollBreakdown.setManual(i, RollBreakdown.fromRoll(result.rolls[i].roll, result.scores[i]));
         input.dispatchEvent(new Event('change', { bubbles: true }));
       }
 
@@ -333,15 +547,193 @@ export class StatRoller {
     }
   }
 
+  /**
+   * Rolls a full set of scores until it passes the set rules
+   * Only the kept set is shown with dice and recorded for the roll audit, together with the sets the rules replaced.
+   * @param {string} rollFormula - The formula to use for rolling
+   * @param {string} method - Roll method recorded in the roll log
+   * @param {number} count - Number of scores in the set
+   * @param {function(number): {slot: string, label: string}} getDetails - Audit slot and label of each score
+   * @returns {Promise<{scores: number[], rejected: Array<{scores: number[], reasons: string[]}>, rolls: Array<object>}|null>}
+   * The accepted scores and their rolls in roll order and the sets that were replaced, or null if a roll failed
+   * @private
+   * @static
+   */
+  static async #rollValidSet(rollFormula, method, count, getDetails) {
+    const rules = this.getRollRules();
+    const rejected = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const rolls = [];
+      for (let i = 0; i < count; i++) {
+        const result = await this.#performRoll(rollFormula, rolls, getDetails(i));
+        if (result === null) return null;
+      }
+
+      const scores = rolls.map((roll) => roll.total);
+      const reasons = this.checkRollRules(scores, rules);
+      const exhausted = reasons.length && attempt >= this.MAX_RULE_REROLLS;
+
+      if (!reasons.length || exhausted) {
+        if (exhausted) {
+          HM.log(2, `Roll rules not met after ${attempt} attempts, keeping the last set`, reasons);
+          ui.notifications.warn(game.i18n.format('hm.warnings.roll-rules-exhausted', { attempts: attempt }));
+        }
+        await RollBreakdown.showDice(rolls);
+        await RollAuditService.record(method, rolls, rejected);
+        await this.lockMethod(method);
+        return { scores, rejected, rolls };
+      }
+
+      HM.log(3, 'Set rolled again by the roll rules:', scores, reasons);
+      rejected.push({ scores, reasons });
+    }
+  }
+
+  /**
+   * Lists the sets the roll rules replaced below the manual ability inputs
+   * @param {Array<{scores: number[], reasons: string[]}>} rejected - Replaced sets
+   * @private
+   * @static
+   */
+  static #showRuleNotes(rejected) {
+    const list = document.querySelector('.roll-rule-notes');
+    if (!list) return;
+
+    list.replaceChildren(
+      ...rejected.map(({ scores, reasons }) => {
+        const item = document.createElement('li');
+        item.textContent = game.i18n.format('hm.app.abilities.rules.rerolled', { scores: scores.join(', '), reasons: reasons.join('; ') });
+        return item;
+      })
+    );
+    list.hidden = !rejected.length;
+  }
+
+  /**
+   * Checks ability scores against a single roll method
+   * @param {number[]} values - Base ability scores in CONFIG.DND5E.abilities order
+   * @param {string} method - Roll method
+   * @param {string[]} allowed - Methods the user may use
+   * @param {string|null} locked - Method the user is locked to
+   * @param {User} user - The user the scores are for
+   * @returns {string|null} Localized reason the scores are invalid, or null if they pass
+   * @private
+   * @static
+   */
+  static #checkMethodScores(values, method, allowed, locked, user) {
+    const name = game.i18n.localize(`hm.app.abilities.methods.${method === 'manualFormula' ? 'manual' : method}`);
+    if (!allowed.includes(method)) return game.i18n.format('hm.errors.scores.method-not-allowed', { method: name });
+    if (locked && locked !== method) return game.i18n.format('hm.errors.scores.method-locked', { method: game.i18n.localize(`hm.app.abilities.methods.${locked === 'manualFormula' ? 'manual' : locked}`) });
+
+    switch (method) {
+      case 'standardArray':
+        return this.#isDrawnFrom(values, this.getStandardArrayValues(method)) ? null : game.i18n.localize('hm.errors.scores.standard-array');
+      case 'pointBuy': {
+        const spent = this.calculateTotalPointsSpent(values);
+        const total = this.getTotalPoints();
+        return spent <= total ? null : game.i18n.format('hm.errors.scores.point-buy', { spent, total });
+      }
+      case 'manualFormula': {
+        // The latest roll of every slot is the score it currently holds
+        const latest = new Map();
+        for (const entry of RollAuditService.getLog(user).filter((logged) => logged.method === method)) {
+          for (const result of entry.results) latest.set(result.slot, result.total);
+        }
+        return latest.size && this.#isDrawnFrom(values, [...latest.values()]) ? null : game.i18n.localize('hm.errors.scores.not-rolled');
+      }
+      case 'rollPool': {
+        const pool = user?.getFlag(HM.ID, RollPoolManager.FLAG);
+        const sets = Number.isInteger(pool?.selected) ? [pool.sets?.[pool.selected]] : (pool?.sets ?? []);
+        return sets.some((set) => set && this.#isDrawnFrom(values, set)) ? null : game.i18n.localize('hm.errors.scores.not-rolled');
+      }
+      default:
+        return game.i18n.format('hm.errors.scores.method-not-allowed', { method });
+    }
+  }
+
+  /**
+   * Checks whether every score can be taken from a set of available values, each value used once
+   * @param {number[]} values - The scores
+   * @param {number[]} available - The values they have to come from
+   * @returns {boolean} True if all scores are covered
+   * @private
+   * @static
+   */
+  static #isDrawnFrom(values, available) {
+    const remaining = available.map(Number);
+    return values.every((value) => {
+      const index = remaining.indexOf(value);
+      if (index === -1) return false;
+      remaining.splice(index, 1);
+      return true;
+    });
+  }
+
+  /**
+   * Formats a modifier with its sign
+   * @param {number} value - The modifier
+   * @returns {string} e.g. "+2" or "-1"
+   * @private
+   * @static
+   */
+  static #formatModifier(value) {
+    return value >= 0 ? `+${value}` : `${value}`;
+  }
+
   /**
    * Gets the default standard array for ability scores
    * @returns {string} Comma-separated string of ability scores
    * @static
    */
   static getStandardArrayDefault() {
-    const abilitiesCount = Object.keys(CONFIG.DND5E.abilities).length;
-    const extraAbilities = Math.max(0, abilitiesCount - 6);
-    return this.getStandardArray(extraAbilities).map(String).join(',');
+    return this.getStandardArray(this.getExtraAbilities().length).map(String).join(',');
+  }
+
+  /**
+   * Gets the abilities beyond the core six
+   * @returns {string[]} Keys of the extra abilities in CONFIG.DND5E.abilities order
+   * @static
+   */
+  static getExtraAbilities() {
+    return Object.keys(CONFIG.DND5E.abilities).filter((key) => !this.STANDARD_ABILITIES.includes(key));
+  }
+
+  /**
+   * Gets the score an extra ability adds to the standard array and buys with the point buy budget
+   * @param {string} key - Ability key
+   * @returns {number} The ability's own default, or EXTRA_ABILITY_SCORE if it has none
+   * @static
+   */
+  static getExtraAbilityScore(key) {
+    const configured = game.settings.get(HM.ID, 'abilityLimits')?.[key]?.default;
+    return Number.isInteger(configured) ? configured : this.EXTRA_ABILITY_SCORE;
+  }
+
+  /**
+   * Gets the score range and default of an ability
+   * Values not configured for the ability fall back to the world-wide ability score settings.
+   * @param {string} key - Ability key
+   * @returns {{min: number, max: number, default: number}} The ability's limits
+   * @static
+   */
+  static getAbilityLimits(key) {
+    const { MIN, MAX, DEFAULT } = HM.ABILITY_SCORES;
+    const limits = game.settings.get(HM.ID, 'abilityLimits')?.[key] ?? {};
+    const min = Number.isInteger(limits.min) ? limits.min : MIN;
+    const max = Math.max(min, Number.isInteger(limits.max) ? limits.max : MAX);
+    const value = Number.isInteger(limits.default) ? limits.default : DEFAULT;
+
+    return { min, max, default: Math.max(min, Math.min(max, value)) };
+  }
+
+  /**
+   * Gets the starting score of every ability
+   * @returns {number[]} Default scores in CONFIG.DND5E.abilities order
+   * @static
+   */
+  static getDefaultScores() {
+    return Object.keys(CONFIG.DND5E.abilities).map((key) => this.getAbilityLimits(key).default);
   }
 
   /**
@@ -405,6 +797,7 @@ export class StatRoller {
 
   /**
    * Generates a standard array of ability scores
+   * Each extra ability adds its own default score, or EXTRA_ABILITY_SCORE.
    * @param {number} extraAbilities - Number of additional abilities beyond the base six
    * @returns {number[]} Array of ability scores in descending order
    * @static
@@ -412,10 +805,11 @@ export class StatRoller {
   static getStandardArray(extraAbilities) {
     // Validate input
     const extraCount = Math.max(0, parseInt(extraAbilities) || 0);
+    const extraKeys = this.getExtraAbilities();
 
     // Use default D&D 5e standard array adjusted for constraints
     const standardArray = [15, 14, 13, 12, 10, 8];
-    const extraValues = Array(extraCount).fill(11);
+    const extraValues = Array.from({ length: extraCount }, (_, i) => (extraKeys[i] ? this.getExtraAbilityScore(extraKeys[i]) : this.EXTRA_ABILITY_SCORE));
 
     // Apply min/max constraints
     const { MIN, MAX } = HM.ABILITY_SCORES;
@@ -426,31 +820,94 @@ export class StatRoller {
 
   /**
    * Calculates total points available for point buy
+   * The configured total covers the six core abilities, each extra ability adds the points its score costs.
    * @returns {number} Total points available
    * @static
    */
   static getTotalPoints() {
     const customTotal = game.settings.get(HM.ID, 'customPointBuyTotal');
-    const abilitiesCount = Object.keys(CONFIG.DND5E.abilities).length;
-    const extraPoints = Math.max(0, abilitiesCount - 6) * 3;
-    const defaultTotal = 27 + extraPoints;
+    const baseCost = this.getPointBuyCostForScore(this.getPointBuyBaseScore());
+    const extraPoints = this.getExtraAbilities().reduce((sum, key) => sum + Math.max(0, this.getPointBuyCostForScore(this.getExtraAbilityScore(key)) - baseCost), 0);
 
     // Only use customTotal if it's greater than 0 (indicating it was set)
-    // and different from the default calculation
-    if (customTotal > 0 && customTotal !== defaultTotal) {
-      return customTotal;
+    const baseTotal = customTotal > 0 ? customTotal : 27;
+    return baseTotal + extraPoints;
+  }
+
+  /**
+   * Gets the configured point buy cost table
+   * Falls back to the standard table if the setting cannot be parsed.
+   * @returns {Object<number, number>} Point cost keyed by ability score
+   * @static
+   */
+  static getPointBuyCosts() {
+    const value = game.settings.get(HM.ID, 'pointBuyCosts');
+    if (this.#costTable.value === value) return this.#costTable.costs;
+
+    const { costs, error } = this.parsePointBuyCosts(value);
+    if (error) HM.log(2, `Invalid point buy cost table "${value}": ${error}`);
+
+    this.#costTable = { value, costs: error ? this.POINT_BUY_PRESETS.standard.costs : costs };
+    return this.#costTable.costs;
+  }
+
+  /**
+   * Parses a point buy cost table written as "score:cost" pairs
+   * The scores must be consecutive and the costs may not go down as scores go up.
+   * @param {string} value - Comma-separated pairs, e.g. "8:0,9:1,10:2"
+   * @returns {{costs: Object<number, number>|null, error: string|null}} The cost table, or a localized error
+   * @static
+   */
+  static parsePointBuyCosts(value) {
+    const entries = (value || '')
+      .split(',')
+      .map((pair) => pair.trim())
+      .filter(Boolean);
+    if (!entries.length) return { costs: null, error: game.i18n.localize('hm.settings.point-buy-costs.errors.empty') };
+
+    const costs = {};
+    for (const entry of entries) {
+      const match = entry.match(/^(\d+)\s*:\s*(-?\d+)$/);
+      if (!match) return { costs: null, error: game.i18n.format('hm.settings.point-buy-costs.errors.format', { entry }) };
+
+      const score = parseInt(match[1]);
+      if (score in costs) return { costs: null, error: game.i18n.format('hm.settings.point-buy-costs.errors.duplicate', { score }) };
+      costs[score] = parseInt(match[2]);
     }
 
-    return defaultTotal;
+    const scores = Object.keys(costs)
+      .map(Number)
+      .sort((a, b) => a - b);
+    for (let i = 1; i < scores.length; i++) {
+      if (scores[i] !== scores[i - 1] + 1) return { costs: null, error: game.i18n.format('hm.settings.point-buy-costs.errors.gap', { score: scores[i - 1] + 1 }) };
+      if (costs[scores[i]] < costs[scores[i - 1]]) return { costs: null, error: game.i18n.format('hm.settings.point-buy-costs.errors.decreasing', { score: scores[i] }) };
+    }
+
+    return { costs, error: null };
+  }
+
+  /**
+   * Writes a point buy cost table as "score:cost" pairs
+   * @param {Object<number, number>} costs - Point cost keyed by ability score
+   * @returns {string} Comma-separated pairs in score order
+   * @static
+   */
+  static formatPointBuyCosts(costs) {
+    return Object.entries(costs)
+      .sort(([a], [b]) => a - b)
+      .map(([score, cost]) => `${score}:${cost}`)
+      .join(',');
   }
 
   /**
    * Gets the point cost for a given ability score
+   * Scores outside the table refund one point per score below it and cost two points per score above it.
    * @param {number} score - The ability score
+   * @param {Object<number, number>} [costs] - Cost table to use, defaults to the configured one
    * @returns {number} Point cost for the score
    * @static
    */
-  static getPointBuyCostForScore(score) {
+  static getPointBuyCostForScore(score, costs = this.getPointBuyCosts()) {
     // Validate input
     const validScore = parseInt(score);
     if (isNaN(validScore)) {
@@ -458,24 +915,39 @@ export class StatRoller {
       return 0;
     }
 
-    const costs = { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 };
+    if (validScore in costs) return costs[validScore];
 
-    // Handle scores outside the standard scale but within our min/max
-    const { MIN, MAX } = HM.ABILITY_SCORES;
+    const scores = Object.keys(costs).map(Number);
+    const lowest = Math.min(...scores);
+    const highest = Math.max(...scores);
 
-    // For scores lower than standard minimum
-    if (validScore < 8 && validScore >= MIN) {
-      // Negative costs for lower scores (saves points)
-      return -1 * (8 - validScore);
-    }
+    if (validScore < lowest) return costs[lowest] - (lowest - validScore);
+    return costs[highest] + (validScore - highest) * 2;
+  }
 
-    // For scores higher than standard maximum
-    if (validScore > 15 && validScore <= MAX) {
-      // Exponential cost increase for higher scores
-      return 9 + (validScore - 15) * 2;
-    }
+  /**
+   * Gets the score a point buy starts from, the one that costs nothing
+   * @param {Object<number, number>} [costs] - Cost table to use, defaults to the configured one
+   * @returns {number} The lowest score costing no points, or the lowest score in the table
+   * @static
+   */
+  static getPointBuyBaseScore(costs = this.getPointBuyCosts()) {
+    const scores = Object.keys(costs)
+      .map(Number)
+      .sort((a, b) => a - b);
+    return scores.find((score) => costs[score] === 0) ?? scores[0];
+  }
 
-    return costs[validScore] ?? 0;
+  /**
+   * Gets the points needed to raise an ability score by one
+   * @param {number} score - The current ability score
+   * @param {number} [max] - Highest score of the ability, defaults to the world-wide maximum
+   * @returns {number} Point cost of the increase, or Infinity at the maximum score
+   * @static
+   */
+  static getPointBuyIncreaseCost(score, max = HM.ABILITY_SCORES.MAX) {
+    if (score >= max) return Infinity;
+    return this.getPointBuyCostForScore(score + 1) - this.getPointBuyCostForScore(score);
   }
 
   /**
@@ -492,6 +964,7 @@ export class StatRoller {
     }
 
     const { MIN } = HM.ABILITY_SCORES;
+    const baseScore = this.getPointBuyBaseScore();
     let total = 0;
 
     scores.forEach((score) => {
@@ -499,11 +972,11 @@ export class StatRoller {
       const validScore = parseInt(score);
       if (isNaN(validScore)) return;
 
-      // When MIN is higher than standard 8, adjust total calculation
-      if (MIN > 8) {
-        // Calculate cost as if starting from standard minimum
-        const standardMinCost = this.getPointBuyCostForScore(MIN) - this.getPointBuyCostForScore(8);
-        total += this.getPointBuyCostForScore(validScore) - standardMinCost;
+      // When MIN is higher than the table's base score, adjust total calculation
+      if (MIN > baseScore) {
+        // Calculate cost as if starting from the base score
+        const baseMinCost = this.getPointBuyCostForScore(MIN) - this.getPointBuyCostForScore(baseScore);
+        total += this.getPointBuyCostForScore(validScore) - baseMinCost;
       } else {
         total += this.getPointBuyCostForScore(validScore);
       }
@@ -523,7 +996,7 @@ export class StatRoller {
       abbreviation: value.abbreviation.toUpperCase(),
       fullKey: value.fullKey.toUpperCase(),
       label: value.label.toUpperCase(),
-      currentScore: HM.ABILITY_SCORES.DEFAULT
+      currentScore: this.getAbilityLimits(key).default
     }));
   }
 
@@ -535,22 +1008,16 @@ export class StatRoller {
   static getDiceRollingMethod() {
     let diceRollingMethod = game.settings.get(HM.ID, 'diceRollingMethod');
 
-    // Get allowed methods configuration
-    const allowedMethods = game.settings.get(HM.ID, 'allowedMethods');
-
-    // Map settings keys to method names
-    const methodMapping = {
-      standardArray: 'standardArray',
-      pointBuy: 'pointBuy',
-      manual: 'manualFormula'
-    };
-
     // Create array of allowed method names
-    const validMethods = Object.entries(allowedMethods)
+    const validMethods = Object.entries(this.getAllowedMethods())
       .filter(([key, enabled]) => enabled)
-      .map(([key]) => methodMapping[key])
+      .map(([key]) => this.METHOD_KEYS[key])
       .filter(Boolean);
 
+    // A player who started rolling keeps that method as long as it is still allowed
+    const lockedMethod = this.getLockedMethod();
+    if (lockedMethod && validMethods.includes(lockedMethod)) diceRollingMethod = lockedMethod;
+
     // Select first allowed method if current isn't valid
     if (!diceRollingMethod || !validMethods.includes(diceRollingMethod)) {
       diceRollingMethod = validMethods[0];
@@ -562,6 +1029,94 @@ export class StatRoller {
     return diceRollingMethod;
   }
 
+  /**
+   * Gets the methods a user may choose from
+   * GMs use the world setting, players use their own permissions when the GM set any.
+   * @param {User} [user] - The user, defaults to the current user
+   * @returns {Object<string, boolean>} Enabled flag keyed by allowed method setting key
+   * @static
+   */
+  static getAllowedMethods(user = game.user) {
+    const allowedMethods = game.settings.get(HM.ID, 'allowedMethods');
+    const permissions = user?.isGM ? null : game.settings.get(HM.ID, 'methodPermissions')?.[user?.id];
+    if (!permissions) return allowedMethods;
+
+    return Object.fromEntries(Object.keys(this.METHOD_KEYS).map((key) => [key, !!permissions[key]]));
+  }
+
+  /**
+   * Gets the method a user is locked to because they started rolling with it
+   * @param {User} [user] - The user, defaults to the current user
+   * @returns {string|null} The locked roll method, or null if the user can switch methods
+   * @static
+   */
+  static getLockedMethod(user = game.user) {
+    if (!game.settings.get(HM.ID, 'lockMethodOnRoll') || user?.isGM) return null;
+    return user?.getFlag(HM.ID, this.METHOD_LOCK_FLAG) ?? null;
+  }
+
+  /**
+   * Locks the current user to a rolled method when the GM asks for it
+   * @param {string} method - The roll method that was rolled with
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async lockMethod(method) {
+    if (!game.settings.get(HM.ID, 'lockMethodOnRoll') || game.user.isGM || this.getLockedMethod()) return;
+
+    try {
+      await game.user.setFlag(HM.ID, this.METHOD_LOCK_FLAG, method);
+      const select = HM.heroMancer?.element?.querySelector('#roll-method');
+      if (select) select.disabled = true;
+    } catch (error) {
+      HM.log(1, 'Error locking roll method:', error);
+    }
+  }
+
+  /**
+   * Lets a user choose another method again
+   * @param {User} [user] - The user, defaults to the current user
+   * @returns {Promise<void>}
+   * @static
+   */
+  static async unlockMethod(user = game.user) {
+    if (user?.getFlag(HM.ID, this.METHOD_LOCK_FLAG)) await user.unsetFlag(HM.ID, this.METHOD_LOCK_FLAG);
+  }
+
+  /**
+   * Checks base ability scores against a roll method and the methods a user may use
+   * Standard array scores have to come from the array, point buy scores have to fit the budget,
+   * and rolled scores have to be among the user's logged rolls or rolled sets.
+   * @param {Object<string, number>} scores - Base ability scores keyed by ability
+   * @param {string|null} [method] - Roll method, one of the METHOD_KEYS values; without one any method the user may use will do
+   * @param {User} [user] - The user the scores are for, defaults to the current user
+   * @returns {string|null} Localized reason the scores are invalid, or null if they pass
+   * @static
+   */
+  static checkScores(scores, method = null, user = game.user) {
+    const allowed = Object.entries(this.getAllowedMethods(user))
+      .filter(([, enabled]) => enabled)
+      .map(([key]) => this.METHOD_KEYS[key])
+      .filter(Boolean);
+    const locked = this.getLockedMethod(user);
+    const methods = method ? [method] : locked ? [locked] : allowed;
+
+    const keys = Object.keys(CONFIG.DND5E.abilities);
+    const values = keys.map((key) => parseInt(scores?.[key]));
+    const outOfRange = keys.find((key, index) => {
+      const { min, max } = this.getAbilityLimits(key);
+      return isNaN(values[index]) || values[index] < min || values[index] > max;
+    });
+    if (outOfRange) return game.i18n.format('hm.errors.scores.out-of-range', { ability: CONFIG.DND5E.abilities[outOfRange].label, ...this.getAbilityLimits(outOfRange) });
+
+    let reason = null;
+    for (const candidate of methods) {
+      reason = this.#checkMethodScores(values, candidate, allowed, locked, user);
+      if (!reason) return null;
+    }
+    return reason ?? game.i18n.localize('hm.errors.scores.no-method');
+  }
+
   /**
    * Gets the standard array for ability scores
    * @param {string} [diceRollingMethod] - Optional pre-validated dice rolling method
@@ -570,7 +1125,7 @@ export class StatRoller {
    */
   static getStandardArrayValues(diceRollingMethod) {
     const abilitiesCount = Object.keys(CONFIG.DND5E.abilities).length;
-    const extraAbilities = abilitiesCount > 6 ? abilitiesCount - 6 : 0;
+    const extraAbilities = this.getExtraAbilities().length;
     const { MIN, MAX } = HM.ABILITY_SCORES;
 
     // Only use the provided method, don't call getDiceRollingMethod again